@@ -0,0 +1,101 @@
+/**
+ * SecureVault — Access Control
+ * ------------------------------------------------------------
+ * Roles grant a fixed set of actions:
+ *
+ *   viewer   view, preview, details, download
+ *   editor   viewer + rename, move, delete, create, encrypt, edit
+ *   admin    everything; ACLs never restrict an admin
+ *
+ * Every user has a role (config.js). Any node in data.json can change
+ * that for its whole subtree with an `acl` mapping a user id or a role
+ * name to a role, or to "none" to hide the node:
+ *
+ *   "acl": { "viewer": "none", "Dev_Jake": "editor" }
+ *
+ * The nearest ACL up the tree that applies wins, and on one node an
+ * entry for the user beats an entry for their role. Nothing inside a
+ * hidden folder is visible, whatever its own ACL says.
+ */
+
+export const ROLES = ["viewer", "editor", "admin"];
+
+const VIEWER_ACTIONS = ["view", "preview", "details", "download"];
+const EDITOR_ACTIONS = [
+  ...VIEWER_ACTIONS,
+  "rename",
+  "move",
+  "delete",
+  "create",
+  "encrypt",
+  "edit",
+];
+
+export const ACTIONS_BY_ROLE = {
+  none: [],
+  viewer: VIEWER_ACTIONS,
+  editor: EDITOR_ACTIONS,
+  admin: EDITOR_ACTIONS,
+};
+
+// Returns a message when `acl` is not a valid ACL, otherwise null
+export function aclError(acl) {
+  if (!acl || typeof acl !== "object" || Array.isArray(acl)) {
+    return "acl must be an object of user or role names to roles.";
+  }
+  for (const [principal, role] of Object.entries(acl)) {
+    if (!ACTIONS_BY_ROLE[role]) {
+      return `acl entry '${principal}' must be one of: ${Object.keys(ACTIONS_BY_ROLE).join(", ")}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Effective rights of `user` ({ id, role }) on tree nodes.
+ * `parentOf(node)` walks up the tree; results are cached until reset(),
+ * which must be called whenever nodes move or ACLs change.
+ *
+ * rights(node) → { role, actions: Set, from, via }
+ *   from  node whose ACL decided, or null for the user's own role
+ *   via   the ACL key that matched (user id or role name)
+ */
+export function createAccessControl(user, { parentOf }) {
+  const cache = new Map(); // node id -> rights
+  const base = grant(user.role, null, null);
+
+  function rights(node) {
+    if (user.role === "admin") return base;
+
+    const cached = cache.get(node.id);
+    if (cached) return cached;
+
+    const parent = parentOf(node);
+    const inherited = parent ? rights(parent) : base;
+    const entry = inherited.actions.has("view") && matchAcl(node.acl, user);
+    const result = entry ? grant(entry.role, node, entry.via) : inherited;
+
+    cache.set(node.id, result);
+    return result;
+  }
+
+  return {
+    user,
+    rights,
+    can: (node, action) => rights(node).actions.has(action),
+    reset: () => cache.clear(),
+  };
+}
+
+function matchAcl(acl, user) {
+  if (!acl) return null;
+  if (Object.hasOwn(acl, user.id)) return { role: acl[user.id], via: user.id };
+  if (Object.hasOwn(acl, user.role)) {
+    return { role: acl[user.role], via: user.role };
+  }
+  return null;
+}
+
+function grant(role, from, via) {
+  return { role, actions: new Set(ACTIONS_BY_ROLE[role]), from, via };
+}
@@ -0,0 +1,107 @@
+/**
+ * SecureVault — Audit Log
+ * ------------------------------------------------------------
+ * Records who did what to which node:
+ *
+ *   { id, action, actor, nodeId, path, timestamp, details }
+ *
+ * `timestamp` is ISO 8601 (UTC) and `path` is where the node was when
+ * it happened. Entries are kept newest first and handed to the storage
+ * adapter (appendAudit) as they are recorded, so the log lasts as long
+ * as the tree does.
+ */
+
+import { csvTable } from "./export.js";
+
+export const AUDIT_ACTIONS = {
+  preview: "opened preview",
+  details: "viewed details",
+  rename: "renamed",
+  move: "moved",
+  delete: "deleted",
+  restore: "restored",
+  download: "downloaded",
+  verify: "verified checksum",
+  import: "imported",
+  edit: "edited metadata",
+  version: "saved new version",
+  revert: "restored version",
+  compare: "compared versions",
+};
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "actor",
+  "action",
+  "nodeId",
+  "path",
+  "details",
+];
+
+/**
+ * `append(entry)` persists one entry; writes run in order and a failed
+ * one is reported through `onError` without stopping later ones.
+ */
+export function createAuditLog({ append, onError = () => {} }) {
+  let entries = [];
+  let writes = Promise.resolve();
+  let nextId = 0;
+
+  return {
+    get entries() {
+      return entries;
+    },
+
+    load(saved) {
+      entries = [...saved].sort((a, b) =>
+        b.timestamp.localeCompare(a.timestamp),
+      );
+    },
+
+    record({ action, actor, node, details = "" }) {
+      if (!AUDIT_ACTIONS[action])
+        throw new Error(`Unknown audit action '${action}'.`);
+
+      const timestamp = new Date().toISOString();
+      const entry = {
+        id: `audit_${Date.now().toString(36)}${(nextId++).toString(36)}`,
+        action,
+        actor,
+        nodeId: node.id,
+        path: node.path || node.name,
+        timestamp,
+        details,
+      };
+      entries.unshift(entry);
+
+      writes = writes.then(() => append(entry)).catch(onError);
+      return entry;
+    },
+
+    forNode(id) {
+      return entries.filter((entry) => entry.nodeId === id);
+    },
+  };
+}
+
+// Every given field has to match; `text` is a case-insensitive substring
+// of the path, node id or details
+export function filterAudit(entries, { action = "", actor = "", text = "" }) {
+  const needle = text.trim().toLowerCase();
+  return entries.filter(
+    (entry) =>
+      (!action || entry.action === action) &&
+      (!actor || entry.actor === actor) &&
+      (!needle ||
+        entry.path.toLowerCase().includes(needle) ||
+        entry.nodeId.toLowerCase().includes(needle) ||
+        entry.details.toLowerCase().includes(needle)),
+  );
+}
+
+export function auditToCsv(entries) {
+  return csvTable(
+    CSV_COLUMNS,
+    entries.map((entry) => CSV_COLUMNS.map((column) => entry[column])),
+  );
+}
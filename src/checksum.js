@@ -0,0 +1,31 @@
+/**
+ * SecureVault — Checksums
+ * ------------------------------------------------------------
+ * Real SHA-256 digests computed with Web Crypto. Checksums are written
+ * as "sha256:<64 hex digits>", both as the expected value in data.json
+ * and as the digest stored on a node once its content has been read.
+ */
+
+export const CHECKSUM_PATTERN = /^sha256:[0-9a-f]{64}$/i;
+
+export async function sha256Checksum(blob) {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error("Web Crypto is unavailable (HTTPS or localhost required).");
+  }
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await blob.arrayBuffer(),
+  );
+  const hex = Array.from(new Uint8Array(digest), (b) =>
+    b.toString(16).padStart(2, "0"),
+  ).join("");
+  return `sha256:${hex}`;
+}
+
+// "Unknown" until both sides exist: no expected value or no content read yet
+export function compareChecksum(expected, actual) {
+  if (!expected || !actual) return "Unknown";
+  return expected.toLowerCase() === actual.toLowerCase()
+    ? "Verified"
+    : "Mismatch";
+}
@@ -0,0 +1,56 @@
+/**
+ * SecureVault — Runtime Configuration
+ * ------------------------------------------------------------
+ * Defaults below can be overridden per page load with query
+ * parameters, which is handy for pointing the dashboard at a mock
+ * server while testing:
+ *
+ *   index.html?storage=rest&api=http://localhost:4000/api
+ *   index.html?storage=local
+ *   index.html?user=Dev_Jake
+ *   index.html?validation=lenient
+ */
+
+const params = new URLSearchParams(window.location.search);
+
+const storage = {
+  adapter: params.get("storage") || "static", // 'static' | 'local' | 'rest'
+  url: params.get("data") || "./data.json", // static source / local seed
+  baseUrl: params.get("api") || "http://localhost:4000/api", // rest only
+  dbName: "securevault", // local only
+};
+
+export const config = {
+  storage,
+  access: {
+    // Who the explorer acts as; roles and ACLs are explained in access.js
+    users: [
+      { id: "Admin_Sara", role: "admin", avatar: "👩🏽‍💼" },
+      { id: "Dev_Jake", role: "editor", avatar: "🧑🏽‍💻" },
+      { id: "Auditor_Mia", role: "viewer", avatar: "🕵🏻‍♀️" },
+    ],
+    user: params.get("user") || "Admin_Sara",
+  },
+  tags: {
+    // The vault's tags and their chip colours (see tags.js); `inherit`
+    // applies a folder's tag to everything inside it
+    definitions: [
+      { name: "Confidential", color: "#f59e0b", inherit: true },
+      { name: "PII", color: "#ef4444", inherit: true },
+      { name: "Privileged", color: "#a855f7", inherit: true },
+      { name: "Retention-7y", color: "#3b82f6", inherit: true },
+      { name: "Draft", color: "#94a3b8", inherit: false },
+    ],
+  },
+  validation: {
+    // 'strict' refuses invalid data.json; 'lenient' loads the valid parts
+    // and lists the rest under Diagnostics (see schema.js)
+    mode: params.get("validation") === "lenient" ? "lenient" : "strict",
+  },
+  session: {
+    // One entry per vault source, so vaults never share expanded ids
+    key: `securevault:session:${storage.adapter}:${
+      storage.adapter === "rest" ? storage.baseUrl : storage.url
+    }`,
+  },
+};
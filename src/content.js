@@ -0,0 +1,209 @@
+/**
+ * SecureVault — File Content Loading
+ * ------------------------------------------------------------
+ * A file node can point at its content in three ways:
+ *  - blob:    a Blob held in memory (uploaded files)
+ *  - src:     relative URL to the file (fetched on demand)
+ *  - content: inline text, or a data: URL for binary content
+ *
+ * A blob always wins. Otherwise `src` is fetched and `content` is
+ * used as the fallback if the fetch fails. Text is read in pages (HTTP Range
+ * requests) so large logs never load in one go.
+ *
+ * The static and local storage adapters read content through these
+ * helpers; the REST adapter reuses fetchRange/fetchBlob against its
+ * own content endpoint.
+ */
+
+export const TEXT_PAGE_SIZE = 32 * 1024; // bytes per text page
+
+export function hasContentSource(node) {
+  if (!node || node.type !== "file") return false;
+  return Boolean(node.blob || node.src) || typeof node.content === "string";
+}
+
+// Just the fields that say where the content is (e.g. to keep it as
+// an earlier version, see versions.js); `hasContent` is the REST
+// server's mark for uploaded bytes (see storage.js)
+export function contentReference({ blob, src, content, hasContent }) {
+  if (blob) return { blob };
+  return {
+    ...(src ? { src } : {}),
+    ...(typeof content === "string" ? { content } : {}),
+    ...(hasContent === true ? { hasContent } : {}),
+  };
+}
+
+// -----------------------------
+// Text (paged)
+// -----------------------------
+/**
+ * Reads `length` bytes of a file starting at byte `offset`.
+ * Resolves to { bytes, total, done } where `total` may be null when
+ * the server does not report a length.
+ */
+export async function readRange(node, offset = 0, length = TEXT_PAGE_SIZE) {
+  if (node.blob) {
+    const slice = node.blob.slice(offset, offset + length);
+    const bytes = new Uint8Array(await slice.arrayBuffer());
+    const done = offset + bytes.length >= node.blob.size;
+    return { bytes, total: node.blob.size, done };
+  }
+
+  if (node.src) {
+    try {
+      return await fetchRange(node.src, offset, length);
+    } catch (err) {
+      if (!node.content) throw err;
+    }
+  }
+
+  return readInlinePage(node.content, offset, length);
+}
+
+function readInlinePage(content, offset, pageSize) {
+  const all = isDataUrl(content)
+    ? dataUrlToBytes(content)
+    : new TextEncoder().encode(content);
+  const bytes = all.subarray(offset, offset + pageSize);
+  const end = offset + bytes.length;
+  return { bytes, total: all.length, done: end >= all.length };
+}
+
+export async function fetchRange(url, offset, length, headers = {}) {
+  const res = await fetch(url, {
+    cache: "no-store",
+    headers: { ...headers, Range: `bytes=${offset}-${offset + length - 1}` },
+  });
+  if (!res.ok) {
+    throw new Error(`Failed to load ${url} (HTTP ${res.status}).`);
+  }
+
+  // 206: the server honoured the range
+  if (res.status === 206) {
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    const total = parseContentRangeTotal(res.headers.get("Content-Range"));
+    const end = offset + bytes.length;
+    const done = total !== null ? end >= total : bytes.length < length;
+    return { bytes, total, done };
+  }
+
+  // 200: range ignored, so stream the body and stop once the page is full
+  const total = Number(res.headers.get("Content-Length")) || null;
+  const bytes = await readStreamWindow(res, offset, length);
+  const end = offset + bytes.length;
+  const done = total !== null ? end >= total : bytes.length < length;
+  return { bytes, total, done };
+}
+
+async function readStreamWindow(res, offset, length) {
+  if (!res.body || !res.body.getReader) {
+    const all = new Uint8Array(await res.arrayBuffer());
+    return all.slice(offset, offset + length);
+  }
+
+  const reader = res.body.getReader();
+  const out = new Uint8Array(length);
+  let seen = 0; // bytes of the body consumed so far
+  let filled = 0;
+
+  while (filled < length) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    const chunkStart = Math.max(0, offset - seen);
+    if (chunkStart < value.length) {
+      const piece = value.subarray(chunkStart, chunkStart + (length - filled));
+      out.set(piece, filled);
+      filled += piece.length;
+    }
+    seen += value.length;
+  }
+
+  reader.cancel().catch(() => {});
+  return out.subarray(0, filled);
+}
+
+function parseContentRangeTotal(header) {
+  // e.g. "bytes 0-32767/47185920"
+  const match = /\/(\d+)\s*$/.exec(header || "");
+  return match ? Number(match[1]) : null;
+}
+
+// -----------------------------
+// Binary (images)
+// -----------------------------
+/**
+ * Resolves to the whole file as a Blob (used for images). Remote
+ * sources are fetched so that failures surface to the caller instead
+ * of as a broken image.
+ */
+export async function readBlob(node) {
+  if (node.blob) return node.blob;
+
+  if (node.src) {
+    try {
+      return await fetchBlob(node.src);
+    } catch (err) {
+      if (!node.content) throw err;
+    }
+  }
+
+  if (isDataUrl(node.content)) {
+    const mime = node.content.slice(5).split(/[;,]/)[0];
+    return new Blob([dataUrlToBytes(node.content)], { type: mime });
+  }
+  return new Blob([node.content], { type: "text/plain" });
+}
+
+export async function fetchBlob(url, headers = {}) {
+  const res = await fetch(url, { cache: "no-store", headers });
+  if (!res.ok) {
+    throw new Error(`Failed to load ${url} (HTTP ${res.status}).`);
+  }
+  return res.blob();
+}
+
+/**
+ * Copies a Blob (e.g. a File picked by the user) into memory, reporting
+ * progress as a 0..1 fraction. The copy no longer depends on the
+ * original file on disk.
+ */
+export async function copyBlob(blob, onProgress = () => {}) {
+  const reader = blob.stream().getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  onProgress(0);
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress(blob.size ? loaded / blob.size : 1);
+  }
+  onProgress(1);
+
+  return new Blob(chunks, { type: blob.type });
+}
+
+// -----------------------------
+// Helpers
+// -----------------------------
+function isDataUrl(value) {
+  return typeof value === "string" && value.startsWith("data:");
+}
+
+function dataUrlToBytes(dataUrl) {
+  const comma = dataUrl.indexOf(",");
+  const meta = dataUrl.slice(5, comma);
+  const payload = dataUrl.slice(comma + 1);
+
+  if (meta.endsWith(";base64")) {
+    const bin = atob(payload);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+  return new TextEncoder().encode(decodeURIComponent(payload));
+}
@@ -0,0 +1,200 @@
+/**
+ * SecureVault — Line Diff
+ * ------------------------------------------------------------
+ * Compares two texts line by line (Myers' algorithm) for the version
+ * compare view:
+ *
+ *   diffLines("a\nb\nc", "a\nc\nd")
+ *   → [ { type: "same",    text: "a", left: 1,    right: 1 },
+ *       { type: "removed", text: "b", left: 2,    right: null },
+ *       { type: "same",    text: "c", left: 3,    right: 2 },
+ *       { type: "added",   text: "d", left: null, right: 3 } ]
+ *
+ * `left` and `right` are 1-based line numbers in each text. Texts that
+ * differ in more than EDIT_LIMIT lines give null rather than a diff that
+ * would take too long (and too much memory) to compute.
+ */
+
+const EDIT_LIMIT = 2000;
+
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Unchanged heads and tails are common between versions; only the
+  // middle goes through the (quadratic in the worst case) search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middle = shortestEdit(a.slice(start, endA), b.slice(start, endB));
+  if (!middle) return null;
+
+  const ops = [];
+  let left = 1;
+  let right = 1;
+  const push = (type, text) => {
+    ops.push({
+      type,
+      text,
+      left: type === "added" ? null : left++,
+      right: type === "removed" ? null : right++,
+    });
+  };
+
+  for (const text of a.slice(0, start)) push("same", text);
+  for (const [type, text] of middle) push(type, text);
+  for (const text of a.slice(endA)) push("same", text);
+  return ops;
+}
+
+/**
+ * Folds long runs of unchanged lines, keeping `context` lines around
+ * each change:
+ *   → [ op, …, { type: "skip", count }, op, … ]
+ */
+export function foldUnchanged(ops, context = 3) {
+  const out = [];
+  let run = [];
+
+  const flush = (atStart, atEnd) => {
+    const keepBefore = atStart ? 0 : context;
+    const keepAfter = atEnd ? 0 : context;
+    if (run.length > keepBefore + keepAfter + 1) {
+      out.push(...run.slice(0, keepBefore));
+      out.push({ type: "skip", count: run.length - keepBefore - keepAfter });
+      out.push(...run.slice(run.length - keepAfter));
+    } else {
+      out.push(...run);
+    }
+    run = [];
+  };
+
+  for (const op of ops) {
+    if (op.type === "same") {
+      run.push(op);
+      continue;
+    }
+    flush(out.length === 0, false);
+    out.push(op);
+  }
+  flush(out.length === 0, true);
+  return out;
+}
+
+/**
+ * Side-by-side rows: removed and added lines of one change are paired
+ * up, so a changed line sits next to its replacement.
+ *   → [ { left: op|null, right: op|null } | { skip: count } ]
+ */
+export function pairRows(ops) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] ?? null, right: added[i] ?? null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const op of ops) {
+    if (op.type === "removed") removed.push(op);
+    else if (op.type === "added") added.push(op);
+    else {
+      flush();
+      rows.push(
+        op.type === "skip" ? { skip: op.count } : { left: op, right: op },
+      );
+    }
+  }
+  flush();
+  return rows;
+}
+
+// Added and removed line counts
+export function diffStats(ops) {
+  let added = 0;
+  let removed = 0;
+  for (const op of ops) {
+    if (op.type === "added") added++;
+    else if (op.type === "removed") removed++;
+  }
+  return { added, removed };
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split(/\r\n|\r|\n/);
+  // A final newline ends the last line rather than starting another
+  if (lines.at(-1) === "") lines.pop();
+  return lines;
+}
+
+// Myers' O((N+M)D) search. Each round d keeps the furthest x reached
+// on every diagonal k = x - y; a copy of that frontier per round lets
+// the path be walked back afterwards.
+// → [[type, text], …] or null when more than EDIT_LIMIT edits are needed
+function shortestEdit(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > EDIT_LIMIT) return null;
+    trace.push(v.slice(offset - d, offset + d + 1)); // diagonals -d..d
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1] // step down: insert b[y]
+          : v[offset + k - 1] + 1; // step right: delete a[x]
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b);
+    }
+  }
+  return backtrack(trace, a, b);
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const frontier = trace[d];
+    const at = (k) => frontier[k + d];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push(["same", a[--x]]);
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push(["added", b[--y]]);
+      else ops.push(["removed", a[--x]]);
+    }
+  }
+  return ops.reverse();
+}
@@ -0,0 +1,128 @@
+/**
+ * SecureVault — Client-side Encryption
+ * ------------------------------------------------------------
+ * Files are encrypted in the browser with AES-256-GCM. The key is
+ * derived from a passphrase with PBKDF2; the passphrase and key never
+ * leave the page. Everything needed to derive the key again (except the
+ * passphrase) is stored on the node as `encryption`:
+ *
+ *   { algorithm: "AES-256-GCM", kdf: "PBKDF2", hash: "SHA-256",
+ *     iterations: 600000, salt: "<base64>", iv: "<base64>", tagLength: 128 }
+ */
+
+export const ENCRYPTION_ALGORITHM = "AES-256-GCM";
+
+const KDF_ITERATIONS = 600_000; // OWASP guidance for PBKDF2-HMAC-SHA256
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // 96-bit nonce, the size GCM is designed for
+const TAG_LENGTH = 128;
+
+/**
+ * Encrypts a Blob with a key derived from `passphrase`.
+ * Resolves to { blob, encryption } where `blob` is the ciphertext
+ * (with the GCM tag appended) and `encryption` the parameters to keep.
+ */
+export async function encryptBlob(blob, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const encryption = {
+    algorithm: ENCRYPTION_ALGORITHM,
+    kdf: "PBKDF2",
+    hash: "SHA-256",
+    iterations: KDF_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    tagLength: TAG_LENGTH,
+  };
+
+  const key = await deriveKey(passphrase, encryption);
+  const cipher = await subtle().encrypt(
+    { name: "AES-GCM", iv, tagLength: TAG_LENGTH },
+    key,
+    await blob.arrayBuffer(),
+  );
+
+  return {
+    blob: new Blob([cipher], { type: "application/octet-stream" }),
+    encryption,
+  };
+}
+
+/**
+ * Decrypts ciphertext produced by encryptBlob. A wrong passphrase and
+ * tampered data both fail GCM authentication, so they share one error.
+ */
+export async function decryptBlob(blob, passphrase, encryption, type = "") {
+  const key = await deriveKey(passphrase, encryption);
+  try {
+    const plain = await subtle().decrypt(
+      {
+        name: "AES-GCM",
+        iv: fromBase64(encryption.iv),
+        tagLength: encryption.tagLength,
+      },
+      key,
+      await blob.arrayBuffer(),
+    );
+    return new Blob([plain], { type });
+  } catch {
+    throw new Error("Wrong passphrase, or the file has been tampered with.");
+  }
+}
+
+// Returns an error message, or null when the parameters are usable
+export function encryptionParamsError(encryption) {
+  if (!encryption || typeof encryption !== "object") {
+    return "encryption must be an object.";
+  }
+  if (encryption.algorithm !== ENCRYPTION_ALGORITHM) {
+    return `encryption.algorithm must be '${ENCRYPTION_ALGORITHM}'.`;
+  }
+  if (encryption.kdf !== "PBKDF2" || encryption.hash !== "SHA-256") {
+    return "encryption must use PBKDF2 with SHA-256.";
+  }
+  if (!Number.isInteger(encryption.iterations) || encryption.iterations < 1) {
+    return "encryption.iterations must be a positive integer.";
+  }
+  if (![96, 104, 112, 120, 128].includes(encryption.tagLength)) {
+    return "encryption.tagLength must be a valid GCM tag length.";
+  }
+  for (const field of ["salt", "iv"]) {
+    if (typeof encryption[field] !== "string" || !encryption[field]) {
+      return `encryption.${field} must be a base64 string.`;
+    }
+  }
+  return null;
+}
+
+async function deriveKey(passphrase, { hash, iterations, salt }) {
+  const material = await subtle().importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+  return subtle().deriveKey(
+    { name: "PBKDF2", hash, iterations, salt: fromBase64(salt) },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+function subtle() {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error("Web Crypto is unavailable (HTTPS or localhost required).");
+  }
+  return crypto.subtle;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
@@ -0,0 +1,157 @@
+/**
+ * SecureVault — Export
+ * ------------------------------------------------------------
+ * Turns explorer nodes back into the data.json format and hands the
+ * result to the browser as a download. UI-only fields (path, verification
+ * state, …) are left out so an export can be loaded again as a
+ * data.json. Content held only in memory (uploaded blobs) is not
+ * part of a JSON export.
+ *
+ * The same nodes can also be listed as CSV (one row per node) or as a
+ * plain-text tree, for reading rather than re-importing.
+ */
+
+import { formatBytes } from "./format.js";
+
+const MANIFEST_FIELDS = [
+  "id",
+  "name",
+  "type",
+  "size",
+  "mime",
+  "checksum",
+  "encryption",
+  "src",
+  "content",
+  "created",
+  "modified",
+  "acl",
+  "owner",
+  "tags",
+  "description",
+  "classification",
+  "fields",
+  "author",
+  "versions",
+];
+
+// `include(node)` can leave descendants out, e.g. ones the user can't see
+export function toManifest(nodes, { include = () => true } = {}) {
+  const toManifestNode = (node) => {
+    const out = manifestFields(node);
+    if (node.type === "folder") {
+      out.children = (node.children || []).filter(include).map(toManifestNode);
+    }
+    return out;
+  };
+  return nodes.map(toManifestNode);
+}
+
+const CSV_COLUMNS = [
+  "id",
+  "path",
+  "type",
+  "bytes",
+  "mime",
+  "owner",
+  "created",
+  "modified",
+  "checksum",
+  "encrypted",
+];
+
+// One row per node, folders included; `path` is the explorer path
+export function toCsv(nodes, { include = () => true } = {}) {
+  const rows = [];
+  const visit = (node) => {
+    rows.push([
+      node.id,
+      node.path || node.name,
+      node.type,
+      node.bytes,
+      node.mime,
+      node.owner,
+      node.created,
+      node.modified,
+      node.checksum,
+      node.type === "file" ? Boolean(node.encryption) : "",
+    ]);
+    if (node.type === "folder") {
+      (node.children || []).filter(include).forEach(visit);
+    }
+  };
+  nodes.forEach(visit);
+  return csvTable(CSV_COLUMNS, rows);
+}
+
+// `tree`-style listing:
+//
+//   Reports/
+//   ├── q1.pdf (4.2MB)
+//   └── Archive/
+export function toTextTree(nodes, { include = () => true } = {}) {
+  const lines = [];
+  const label = (node) =>
+    node.type === "folder"
+      ? `${node.name}/`
+      : node.bytes != null
+        ? `${node.name} (${formatBytes(node.bytes)})`
+        : node.name;
+  const visit = (node, prefix) => {
+    const children =
+      node.type === "folder" ? (node.children || []).filter(include) : [];
+    children.forEach((child, i) => {
+      const last = i === children.length - 1;
+      lines.push(`${prefix}${last ? "└── " : "├── "}${label(child)}`);
+      visit(child, `${prefix}${last ? "    " : "│   "}`);
+    });
+  };
+  for (const node of nodes) {
+    lines.push(label(node));
+    visit(node, "");
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// RFC 4180 table; null and undefined become empty cells
+export function csvTable(columns, rows) {
+  return [columns, ...rows]
+    .map((row) => row.map((value) => csvCell(value ?? "")).join(","))
+    .join("\r\n");
+}
+
+// Quotes cells that need it; a leading =, +, - or @ is defused so
+// spreadsheets don't run the cell as a formula
+function csvCell(value) {
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function manifestFields(node) {
+  const out = {};
+  for (const key of MANIFEST_FIELDS) {
+    if (node[key] !== undefined && node[key] !== "N/A") {
+      out[key] = structuredClone(node[key]);
+    }
+  }
+  // Stored blobs stay in the vault; the version is still listed
+  if (out.versions) {
+    out.versions = out.versions.map(
+      ({ blob: _blob, hasContent: _stored, ...version }) => version,
+    );
+  }
+  return out;
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,75 @@
+/**
+ * SecureVault — Sizes and Timestamps
+ * ------------------------------------------------------------
+ * data.json keeps sizes and dates as strings ("4.2MB",
+ * "2024-01-12 08:00"). They are parsed once, when the tree is loaded,
+ * into bytes and Date objects that can be sorted and compared, and
+ * always shown through the formatters below.
+ */
+
+const SIZE_UNITS = ["B", "KB", "MB", "GB", "TB"];
+const RELATIVE_UNITS = [
+  ["day", 86_400],
+  ["hour", 3_600],
+  ["min", 60],
+];
+
+// Size strings such as "4.2MB" → bytes; null when not a size
+export function parseSize(size) {
+  const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/i.exec(
+    String(size ?? "").trim(),
+  );
+  if (!match) return null;
+  const power = SIZE_UNITS.indexOf((match[2] || "B").toUpperCase());
+  return Math.round(Number(match[1]) * 1024 ** power);
+}
+
+// "2024-01-12" and "2024-01-12 08:00" are local time; ISO 8601 strings
+// with a zone keep it. Anything else (e.g. "N/A") is null.
+export function parseTimestamp(text) {
+  if (typeof text !== "string") return null;
+
+  const match =
+    /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+  if (match) {
+    const [y, m, d, hh, mm, ss] = match.slice(1).map((n) => Number(n ?? 0));
+    const date = new Date(y, m - 1, d, hh, mm, ss);
+    return date.getMonth() === m - 1 && date.getDate() === d ? date : null;
+  }
+
+  const time = /^\d{4}-\d{2}-\d{2}T/.test(text) ? Date.parse(text) : NaN;
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+// Same shape as the data.json sizes, e.g. "45KB", "4.2MB"
+export function formatBytes(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  const rounded = unit === 0 ? value : Math.round(value * 10) / 10;
+  return `${rounded}${SIZE_UNITS[unit]}`;
+}
+
+// Same shape as the data.json timestamps, e.g. "2024-01-12 08:00"
+export function formatTimestamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+// "just now", "2 mins ago", "1 hour ago"…; after a week the timestamp
+export function formatRelative(iso) {
+  const date = new Date(iso);
+  const seconds = (Date.now() - date.getTime()) / 1000;
+  if (seconds < 60) return "just now";
+  if (seconds >= 7 * 86_400) return formatTimestamp(date);
+
+  const [unit, size] = RELATIVE_UNITS.find(([, size]) => seconds >= size);
+  const count = Math.floor(seconds / size);
+  return `${count} ${unit}${count === 1 ? "" : "s"} ago`;
+}
@@ -0,0 +1,133 @@
+/**
+ * SecureVault — Full-text Search
+ * ------------------------------------------------------------
+ * Searches the text of files line by line. The main thread reads file
+ * content and hands it over; splitting, lower-casing and scanning run in
+ * a Web Worker (fulltext.worker.js) so large logs never block the tree.
+ * Where workers are unavailable the same index runs in the page.
+ *
+ *   const index = createTextIndex();
+ *   index.add(id, text);
+ *   const { files, truncated } = await index.search("10.0.0.12");
+ *   // files: [{ id, hits: [{ line, column, length, before, match, after }] }]
+ *
+ * Matching is a case-insensitive substring match. `line` and `column`
+ * are 1-based.
+ */
+
+const HITS_PER_FILE = 50;
+const MAX_HITS = 1000;
+const SNIPPET_CONTEXT = 60; // characters kept on each side of a match
+
+export function createTextIndex() {
+  if (typeof Worker === "undefined") return createLocalIndex();
+
+  const worker = new Worker(new URL("./fulltext.worker.js", import.meta.url), {
+    type: "module",
+  });
+  const pending = new Map(); // request id -> { resolve, reject }
+  let nextRequest = 1;
+
+  worker.addEventListener("message", ({ data }) => {
+    const request = pending.get(data.request);
+    if (!request) return;
+    pending.delete(data.request);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  });
+  worker.addEventListener("error", (e) => {
+    for (const { reject } of pending.values()) {
+      reject(new Error(e.message || "The search worker failed."));
+    }
+    pending.clear();
+  });
+
+  function call(type, payload) {
+    const request = nextRequest++;
+    return new Promise((resolve, reject) => {
+      pending.set(request, { resolve, reject });
+      worker.postMessage({ request, type, ...payload });
+    });
+  }
+
+  return {
+    add: (id, text) => call("add", { id, text }),
+    remove: (id) => call("remove", { id }),
+    search: (query) => call("search", { query }),
+  };
+}
+
+function createLocalIndex() {
+  const index = createLineIndex();
+  return {
+    add: async (id, text) => index.add(id, text),
+    remove: async (id) => index.remove(id),
+    search: async (query) => index.search(query),
+  };
+}
+
+// The index itself; runs inside the worker
+export function createLineIndex() {
+  const files = new Map(); // id -> { lines, lower }
+
+  return {
+    add(id, text) {
+      const lines = text.replace(/\r\n?/g, "\n").split("\n");
+      files.set(id, { lines, lower: lines.map((l) => l.toLowerCase()) });
+    },
+
+    remove(id) {
+      files.delete(id);
+    },
+
+    search(query) {
+      const needle = query.toLowerCase();
+      const result = { files: [], truncated: false };
+      if (!needle) return result;
+
+      let total = 0;
+      for (const [id, { lines, lower }] of files) {
+        const hits = [];
+        for (let i = 0; i < lower.length && hits.length < HITS_PER_FILE; i++) {
+          const column = lower[i].indexOf(needle);
+          if (column !== -1) hits.push(snippet(lines[i], i, column, needle));
+        }
+        if (!hits.length) continue;
+
+        // Hits beyond the per-file cap are counted, not returned
+        const more = countRemaining(lower, hits.at(-1).line, needle);
+        result.files.push({ id, hits, more });
+        total += hits.length;
+        if (more) result.truncated = true;
+        if (total >= MAX_HITS) {
+          result.truncated = true;
+          break;
+        }
+      }
+      return result;
+    },
+  };
+}
+
+function snippet(line, index, column, needle) {
+  const end = column + needle.length;
+  const from = Math.max(0, column - SNIPPET_CONTEXT);
+  const to = Math.min(line.length, end + SNIPPET_CONTEXT);
+
+  return {
+    line: index + 1,
+    column: column + 1,
+    length: needle.length,
+    before: (from > 0 ? "…" : "") + line.slice(from, column),
+    match: line.slice(column, end),
+    after: line.slice(end, to) + (to < line.length ? "…" : ""),
+  };
+}
+
+function countRemaining(lower, lastLine, needle) {
+  let count = 0;
+  for (let i = lastLine; i < lower.length; i++) {
+    if (lower[i].includes(needle)) count++;
+  }
+  return count;
+}
@@ -0,0 +1,26 @@
+/**
+ * SecureVault — Full-text Search Worker
+ * ------------------------------------------------------------
+ * Hosts the line index from fulltext.js off the main thread. Messages
+ * are { request, type: "add" | "remove" | "search", ... } and every one
+ * is answered with { request, result } or { request, error }.
+ */
+
+import { createLineIndex } from "./fulltext.js";
+
+const index = createLineIndex();
+
+self.addEventListener("message", ({ data }) => {
+  const { request, type } = data;
+  try {
+    let result = null;
+    if (type === "add") index.add(data.id, data.text);
+    else if (type === "remove") index.remove(data.id);
+    else if (type === "search") result = index.search(data.query);
+    else throw new Error(`Unknown request '${type}'.`);
+
+    self.postMessage({ request, result });
+  } catch (err) {
+    self.postMessage({ request, error: err.message });
+  }
+});
@@ -0,0 +1,165 @@
+/**
+ * SecureVault — Fuzzy Search
+ * ------------------------------------------------------------
+ * Ranks nodes for the command palette. The tree is flattened once into
+ * an index of lower-cased names and paths; each keystroke then scans
+ * that array instead of walking the tree, which keeps typing responsive
+ * with tens of thousands of nodes. Rebuild the index after the tree
+ * changes.
+ *
+ * Every space-separated word of the query has to match, as an in-order
+ * subsequence, either the name or the path. Name matches outrank path
+ * matches; consecutive letters, word starts and short names score higher.
+ */
+
+import { walk } from "./tree.js";
+
+const NAME_WEIGHT = 2;
+
+// `include(node)` leaves nodes out, e.g. ones the user cannot see
+export function buildSearchIndex(root, { include = () => true } = {}) {
+  const entries = [];
+  walk(root, (node) => {
+    if (node === root || !include(node)) return;
+    entries.push({
+      id: node.id,
+      type: node.type,
+      name: node.name,
+      path: node.path || node.name,
+      bytes: node.type === "folder" ? null : (node.bytes ?? null),
+      items:
+        node.type === "folder"
+          ? (node.children || []).filter(include).length
+          : null,
+      lowerName: node.name.toLowerCase(),
+      lowerPath: (node.path || node.name).toLowerCase(),
+    });
+  });
+  return entries;
+}
+
+/**
+ * Returns up to `limit` hits, best first:
+ *   { entry, score, nameHits, pathHits }
+ * where `*Hits` are the matched character positions for highlighting.
+ */
+export function fuzzySearch(index, query, { limit = 50 } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+
+  const hits = [];
+  for (const entry of index) {
+    const hit = scoreEntry(entry, words);
+    if (!hit) continue;
+
+    // Keep only the best `limit` hits, sorted, as we go
+    if (hits.length === limit && hit.score <= hits.at(-1).score) continue;
+    let i = hits.length;
+    while (i > 0 && hits[i - 1].score < hit.score) i--;
+    hits.splice(i, 0, hit);
+    if (hits.length > limit) hits.pop();
+  }
+  return hits;
+}
+
+function scoreEntry(entry, words) {
+  let score = 0;
+  const nameHits = [];
+  const pathHits = [];
+
+  for (const word of words) {
+    const inName = matchWord(entry.name, entry.lowerName, word);
+    if (inName) {
+      score += inName.score * NAME_WEIGHT;
+      nameHits.push(...inName.positions);
+      continue;
+    }
+
+    const inPath = matchWord(entry.path, entry.lowerPath, word);
+    if (!inPath) return null;
+    score += inPath.score;
+    pathHits.push(...inPath.positions);
+  }
+
+  // An exact or prefix name match beats any scattered one
+  const query = words.join(" ");
+  if (entry.lowerName === query) score += 100;
+  else if (entry.lowerName.startsWith(query)) score += 40;
+
+  return {
+    entry,
+    score: score - entry.name.length * 0.1,
+    nameHits,
+    pathHits,
+  };
+}
+
+// Greedy subsequence match that jumps to a word start when the next
+// letter isn't adjacent to the previous one
+function matchWord(text, lower, word) {
+  // Cheap rejection before scoring
+  let from = 0;
+  for (const ch of word) {
+    from = lower.indexOf(ch, from);
+    if (from === -1) return null;
+    from++;
+  }
+
+  const positions = [];
+  let score = 0;
+  let prev = -1;
+
+  for (const ch of word) {
+    let pos = lower.indexOf(ch, prev + 1);
+    if (pos !== prev + 1 || prev === -1) {
+      const boundary = nextBoundary(text, lower, ch, prev + 1);
+      if (
+        boundary !== -1 &&
+        isReachable(lower, word, positions.length, boundary)
+      ) {
+        pos = boundary;
+      }
+    }
+
+    score += 1;
+    if (pos === prev + 1 && prev !== -1) score += 5;
+    if (isBoundary(text, pos)) score += 8;
+    if (pos === 0) score += 10;
+    if (prev !== -1) score -= Math.min(pos - prev - 1, 5);
+
+    positions.push(pos);
+    prev = pos;
+  }
+
+  return { score, positions };
+}
+
+function nextBoundary(text, lower, ch, from) {
+  for (
+    let i = lower.indexOf(ch, from);
+    i !== -1;
+    i = lower.indexOf(ch, i + 1)
+  ) {
+    if (isBoundary(text, i)) return i;
+  }
+  return -1;
+}
+
+// The rest of the word still has to fit after the chosen position
+function isReachable(lower, word, matched, pos) {
+  let from = pos + 1;
+  for (let i = matched + 1; i < word.length; i++) {
+    from = lower.indexOf(word[i], from);
+    if (from === -1) return false;
+    from++;
+  }
+  return true;
+}
+
+function isBoundary(text, i) {
+  if (i === 0) return true;
+  const before = text[i - 1];
+  if (/[\s/_\-.]/.test(before)) return true;
+  // camelCase humps start new words too
+  return /[a-z]/.test(before) && /[A-Z]/.test(text[i]);
+}
@@ -0,0 +1,65 @@
+/**
+ * SecureVault — Command History
+ * ------------------------------------------------------------
+ * Undo/redo stacks of commands:
+ *
+ *   { label, undo: () => Promise, redo: () => Promise }
+ *
+ * A command is recorded after its action succeeded, so `undo` always
+ * runs first. Recording clears the redo stack. A command whose undo or
+ * redo throws is dropped: the tree has moved on and it no longer applies.
+ */
+
+export function createHistory({ limit = 100 } = {}) {
+  const done = [];
+  const undone = [];
+  let busy = false;
+
+  async function step(from, to, method) {
+    if (busy || !from.length) return null;
+
+    busy = true;
+    const command = from.pop();
+    try {
+      await command[method]();
+      to.push(command);
+      return command;
+    } finally {
+      busy = false;
+    }
+  }
+
+  return {
+    record(command) {
+      done.push(command);
+      if (done.length > limit) done.shift();
+      undone.length = 0;
+    },
+
+    undo: () => step(done, undone, "undo"),
+    redo: () => step(undone, done, "redo"),
+
+    // Forgets every command, e.g. when another user takes over
+    clear() {
+      done.length = 0;
+      undone.length = 0;
+    },
+
+    get canUndo() {
+      return !busy && done.length > 0;
+    },
+
+    get canRedo() {
+      return !busy && undone.length > 0;
+    },
+
+    // Labels of the commands the next undo/redo would run
+    get undoLabel() {
+      return done.at(-1)?.label ?? null;
+    },
+
+    get redoLabel() {
+      return undone.at(-1)?.label ?? null;
+    },
+  };
+}
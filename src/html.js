@@ -0,0 +1,12 @@
+/**
+ * SecureVault — HTML helpers shared by the UI and preview renderers.
+ */
+
+export function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
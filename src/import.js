@@ -0,0 +1,377 @@
+/**
+ * SecureVault — Import
+ * ------------------------------------------------------------
+ * Reads a manifest into vault nodes and plans how it merges into a
+ * folder. Two formats are accepted:
+ *
+ *   JSON  an array of nodes in the data.json format (what the JSON
+ *         export writes); UI-only fields are dropped
+ *   CSV   a header row with `path` and `size` (or `bytes`) columns,
+ *         plus optional `type`, `mime`, `id`, `created`, `modified`
+ *         and `checksum`:
+ *
+ *           path,size
+ *           Reports/2024/q1.pdf,4.2MB
+ *           Reports/Drafts/
+ *
+ *         A trailing "/" (or type "folder") marks a folder; folders
+ *         on the way to a file are created as needed.
+ *
+ * Nothing here touches the tree: planImport only describes what would
+ * be added, replaced, merged or skipped, and the caller applies it.
+ */
+
+import { parseSize, formatBytes } from "./format.js";
+import { toManifest } from "./export.js";
+import { SchemaError } from "./schema.js";
+import { walk } from "./tree.js";
+
+export const IMPORT_POLICIES = {
+  skip: "Skip",
+  replace: "Replace",
+  keep: "Keep both",
+};
+
+const CSV_FIELDS = ["mime", "created", "modified", "checksum"];
+
+/**
+ * `validate(nodes)` throws a SchemaError for invalid nodes; `createId(type)`
+ * gives ids to CSV rows without one.
+ *
+ * → { format, nodes, errors: [{ path, id, message }] }
+ */
+export function readManifest(text, fileName, { validate, createId }) {
+  const format = /\.csv$/i.test(fileName) ? "csv" : "json";
+  const { nodes, errors, lines } =
+    format === "csv" ? fromCsv(text, createId) : fromJson(text);
+
+  if (!errors.length) {
+    try {
+      validate(nodes);
+    } catch (err) {
+      if (!(err instanceof SchemaError)) throw err;
+      // CSV users know their rows, not the JSON paths of the built nodes
+      for (const error of err.errors) {
+        errors.push(
+          lines?.has(error.id)
+            ? { ...error, path: `line ${lines.get(error.id)}` }
+            : error,
+        );
+      }
+    }
+  }
+  if (!errors.length) errors.push(...duplicateNameErrors(nodes));
+
+  return {
+    format,
+    nodes: errors.length ? [] : toManifest(nodes),
+    errors,
+  };
+}
+
+/**
+ * Plans merging `nodes` into `target`. Folders merge into an existing
+ * folder of the same name (case-insensitive, like sibling names); any
+ * other name clash follows `policy` ("skip", "replace" or "keep").
+ * Ids already used in the vault (`idTaken(id)`) get a new one.
+ *
+ * → {
+ *     added:    [{ parent, node, path, renamedFrom? }],
+ *     replaced: [{ parent, node, existing, path }],
+ *     merged:   [{ folder, path }],
+ *     skipped:  [{ path, reason }],
+ *     newIds:   [{ from, to }],
+ *   }
+ */
+export function planImport(
+  nodes,
+  target,
+  { policy = "skip", can, idTaken, createId },
+) {
+  const plan = { added: [], replaced: [], merged: [], skipped: [], newIds: [] };
+  const used = new Set();
+
+  // Fresh copy of `node` with every id in its subtree unique
+  const claim = (node) => {
+    const copy = structuredClone(node);
+    walk(copy, (n) => {
+      if (idTaken(n.id) || used.has(n.id)) {
+        let id;
+        do id = createId(n.type);
+        while (used.has(id));
+        plan.newIds.push({ from: n.id, to: id });
+        n.id = id;
+      }
+      used.add(n.id);
+    });
+    return copy;
+  };
+
+  const merge = (folder, children, at) => {
+    const names = new Set(
+      (folder.children || []).map((c) => c.name.toLowerCase()),
+    );
+
+    for (const child of children) {
+      const path = `${at}/${child.name}`;
+      const existing = (folder.children || []).find(
+        (c) => c.name.toLowerCase() === child.name.toLowerCase(),
+      );
+
+      if (existing?.type === "folder" && child.type === "folder") {
+        plan.merged.push({ folder: existing, path });
+        merge(existing, child.children || [], path);
+        continue;
+      }
+      if (!can(folder, "create")) {
+        plan.skipped.push({
+          path,
+          reason: `no permission to add items to '${folder.name}'`,
+        });
+        continue;
+      }
+
+      if (!existing) {
+        plan.added.push({ parent: folder, node: claim(child), path });
+        names.add(child.name.toLowerCase());
+      } else if (policy === "keep") {
+        const node = claim(child);
+        node.name = uniqueName(child, names);
+        names.add(node.name.toLowerCase());
+        plan.added.push({
+          parent: folder,
+          node,
+          path: `${at}/${node.name}`,
+          renamedFrom: child.name,
+        });
+      } else if (
+        policy === "replace" &&
+        existing.type === "file" &&
+        child.type === "file"
+      ) {
+        if (can(existing, "delete")) {
+          plan.replaced.push({
+            parent: folder,
+            node: claim(child),
+            existing,
+            path,
+          });
+        } else {
+          plan.skipped.push({ path, reason: "no permission to replace it" });
+        }
+      } else {
+        plan.skipped.push({
+          path,
+          reason:
+            existing.type === child.type
+              ? "already exists"
+              : `a ${existing.type} with that name already exists`,
+        });
+      }
+    }
+  };
+
+  merge(target, nodes, target.path || `/${target.name}`);
+  return plan;
+}
+
+// Every node in the subtrees of `entries`, by type
+export function countPlanned(entries) {
+  const counts = { files: 0, folders: 0 };
+  for (const { node } of entries) {
+    walk(node, (n) => {
+      if (n.type === "folder") counts.folders++;
+      else counts.files++;
+    });
+  }
+  return counts;
+}
+
+function fromJson(text) {
+  let nodes;
+  try {
+    nodes = JSON.parse(text);
+  } catch (err) {
+    return {
+      nodes: [],
+      errors: [error("$", `Not valid JSON: ${err.message}`)],
+    };
+  }
+  if (!Array.isArray(nodes)) {
+    return {
+      nodes: [],
+      errors: [error("$", "The manifest must be an array of nodes.")],
+    };
+  }
+  return { nodes, errors: [] };
+}
+
+function fromCsv(text, createId) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const errors = [];
+  const lines = new Map(); // node id -> line number, for error reports
+
+  if (!columns.includes("path")) {
+    errors.push(error("line 1", "The header row needs a 'path' column."));
+    return { nodes: [], errors, lines };
+  }
+
+  const root = { type: "folder", children: [] };
+  const folders = new Map([["", root]]); // lower-case path -> folder
+
+  rows.forEach((cells, i) => {
+    const line = i + 2;
+    if (cells.every((cell) => !cell.trim())) return;
+    const row = Object.fromEntries(
+      columns.map((name, c) => [name, unquote(cells[c]?.trim() ?? "")]),
+    );
+
+    const fail = (message) => errors.push(error(`line ${line}`, message));
+    const isFolder =
+      row.type === "folder" || (!row.type && row.path.endsWith("/"));
+    const parts = row.path.split("/").filter(Boolean);
+    if (!parts.length) return fail("path is empty.");
+    if (row.type && row.type !== "file" && row.type !== "folder") {
+      return fail("type must be 'file' or 'folder'.");
+    }
+
+    // Walk down, creating the folders on the way
+    let parent = root;
+    let key = "";
+    for (const [depth, name] of parts.entries()) {
+      key += `/${name.toLowerCase()}`;
+      const last = depth === parts.length - 1;
+      if (folders.has(key)) {
+        if (last && !isFolder) return fail(`'${row.path}' is a folder.`);
+        parent = folders.get(key);
+        continue;
+      }
+      if (
+        parent.children.some((c) => c.name.toLowerCase() === name.toLowerCase())
+      ) {
+        return fail(`'${name}' is listed more than once.`);
+      }
+      if (last && !isFolder) break;
+
+      const folder = {
+        id: (last && row.id) || createId("folder"),
+        name,
+        type: "folder",
+        children: [],
+      };
+      lines.set(folder.id, line);
+      parent.children.push(folder);
+      folders.set(key, folder);
+      parent = folder;
+    }
+    if (isFolder) return;
+
+    const file = {
+      id: row.id || createId("file"),
+      name: parts.at(-1),
+      type: "file",
+    };
+    if (row.size) file.size = row.size;
+    else if (row.bytes) {
+      const bytes = Number(row.bytes);
+      if (!Number.isFinite(bytes) || bytes < 0) {
+        return fail("bytes must be a number.");
+      }
+      file.size = formatBytes(bytes);
+    }
+    if (file.size && parseSize(file.size) === null) {
+      return fail(`size '${file.size}' must look like '4.2MB'.`);
+    }
+    for (const field of CSV_FIELDS) {
+      if (row[field]) file[field] = row[field];
+    }
+    lines.set(file.id, line);
+    parent.children.push(file);
+  });
+
+  return { nodes: root.children, errors, lines };
+}
+
+// Sibling names must be unique (case-insensitive), as in the explorer
+function duplicateNameErrors(nodes) {
+  const errors = [];
+  const check = (list, at) => {
+    const seen = new Set();
+    list.forEach((node, i) => {
+      const lower = node.name.toLowerCase();
+      if (seen.has(lower)) {
+        errors.push(
+          error(
+            `${at}[${i}].name`,
+            `'${node.name}' appears twice in one folder.`,
+            node.id,
+          ),
+        );
+      }
+      seen.add(lower);
+      if (node.type === "folder") {
+        check(node.children || [], `${at}[${i}].children`);
+      }
+    });
+  };
+  check(nodes, "");
+  return errors;
+}
+
+// RFC 4180: quoted cells may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  text = text.replace(/^\uFEFF/, ""); // byte order mark
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+// Undoes the formula guard csvTable adds ('=…, '+…, '-…, '@…)
+function unquote(cell) {
+  return /^'[=+\-@]/.test(cell) ? cell.slice(1) : cell;
+}
+
+// "report.pdf" -> "report (2).pdf", skipping names already in `names`
+function uniqueName(node, names) {
+  const dot = node.type === "file" ? node.name.lastIndexOf(".") : -1;
+  const [base, ext] =
+    dot > 0 ? [node.name.slice(0, dot), node.name.slice(dot)] : [node.name, ""];
+  let n = 2;
+  while (names.has(`${base} (${n})${ext}`.toLowerCase())) n++;
+  return `${base} (${n})${ext}`;
+}
+
+function error(path, message, id = null) {
+  return { path, id, message };
+}
@@ -2,30 +2,140 @@
  * SecureVault — File Explorer (Vanilla JS)
  * ------------------------------------------------------------
  * Assessment requirements covered:
- *  - Fetch folder tree from ./data.json (root)
+ *  - Fetch folder tree through the configured storage adapter
+ *    (./data.json by default, see config.js)
  *  - Recursive folder rendering (unlimited depth)
  *  - Expand/Collapse folders
  *  - Search filters tree + auto-expands parents
  *  - Keyboard navigation (Up/Down/Left/Right/Enter)
- *  - Click file => Preview (ONLY if previewable)
+ *  - Click file => Preview (ONLY if previewable), loading real content
+ *    from the node's `src` URL / inline `content` in pages
  *  - Action menu => View Details (populates inspector + details workspace)
  *  - Non-previewable files => "Preview not available" shield
- *  - Delete action with confirmation modal
+ *  - Delete action with confirmation modal (persisted via the adapter)
+ *  - Inline rename for files and folders (menu or F2)
+ *  - New Folder / New File actions on folders and the vault root
+ *  - Move nodes by drag and drop, or Ctrl+X / Ctrl+V from the keyboard
+ *  - Upload local files into a folder (drop from the OS or Upload action)
+ *  - Encrypt files with a passphrase (AES-256-GCM) and unlock them to preview
+ *  - Undo/redo tree changes (Ctrl+Z / Ctrl+Shift+Z); deleted items go to Trash
+ *  - Content search inside text files (indexed in a Web Worker)
+ *  - Ctrl+K command palette with fuzzy-ranked results over names and paths
+ *  - Windowed tree rendering and an id index, for vaults with 50k+ nodes
+ *  - Multi-select (Ctrl/Cmd-click, Shift-click, Shift+Arrow) with bulk
+ *    delete, move and export
+ *  - Role-based access (viewer / editor / admin) with inherited per-node
+ *    ACLs: rows offer only allowed actions, hidden nodes never show
+ *  - The open file and view live in the URL hash (shareable, back/forward);
+ *    expanded folders, panel widths and the last query survive a reload
+ *  - data.json is checked against a schema; every problem is reported, and
+ *    lenient mode loads the valid parts and quarantines the rest
+ *  - Download files (ciphertext unless unlocked), folders as ZIP archives,
+ *    and the tree or search results as JSON, CSV or a text listing
+ *  - Sizes and timestamps are parsed when the tree loads; folders show
+ *    their total size and a sortable list of their contents
+ *  - Audit log of previews, detail views, renames, moves, deletes,
+ *    downloads and checksum checks, with a filterable, exportable view
+ *  - Import JSON or CSV manifests into a folder, merging same-named
+ *    folders, after a preview of what is added, replaced or skipped
+ *  - Owner, classification, tags, description and custom fields are
+ *    edited in the inspector (validated, audited, undoable)
+ *  - Vault-wide tags with colours, optionally inherited down folders,
+ *    shown as chips on rows and badges in Details; `tag:` filters by them
+ *  - Files keep their earlier versions: upload a new one, restore an old
+ *    one, or compare two (a line-by-line diff for text files)
  *
  
  */
 
+import { createAccessControl } from "./access.js";
+import {
+  AUDIT_ACTIONS,
+  auditToCsv,
+  createAuditLog,
+  filterAudit,
+} from "./audit.js";
+import { config } from "./config.js";
+import { contentReference, readRange, TEXT_PAGE_SIZE } from "./content.js";
+import { diffLines, diffStats, foldUnchanged, pairRows } from "./diff.js";
+import { decryptBlob, encryptBlob } from "./encryption.js";
+import { compareChecksum, sha256Checksum } from "./checksum.js";
+import { createTextIndex } from "./fulltext.js";
+import { buildSearchIndex, fuzzySearch } from "./fuzzy.js";
+import { createHistory } from "./history.js";
+import {
+  IMPORT_POLICIES,
+  countPlanned,
+  planImport,
+  readManifest,
+} from "./import.js";
+import { compileQuery } from "./query.js";
+import { downloadBlob, toCsv, toManifest, toTextTree } from "./export.js";
+import {
+  formatBytes,
+  formatRelative,
+  formatTimestamp,
+  parseSize,
+  parseTimestamp,
+} from "./format.js";
+import { escapeHtml } from "./html.js";
+import {
+  CLASSIFICATIONS,
+  changedMetadata,
+  metadataErrors,
+} from "./metadata.js";
+import { findRenderer, mimeForExtension, renderSource } from "./renderers.js";
+import {
+  assertValidNodes,
+  SCHEMA_VERSION,
+  SchemaError,
+  validateNodeName,
+  validateNodes,
+  withoutQuarantined,
+} from "./schema.js";
+import { createSessionStore, parseViewHash, viewHash } from "./session.js";
+import { createStorage } from "./storage.js";
+import { createTagResolver } from "./tags.js";
+import { createNodeIndex, findNodeById, walk } from "./tree.js";
+import { createVersionId, versionNumber } from "./versions.js";
+import { createZip } from "./zip.js";
+
 // -----------------------------
 // DOM References
 // -----------------------------
 const els = {
+  layout: document.querySelector(".layout"),
   tree: document.getElementById("tree"),
   inspector: document.getElementById("inspector"),
   workspace: document.getElementById("workspace"),
   treeSearch: document.getElementById("treeSearch"),
+  treeSearchError: document.getElementById("treeSearchError"),
+  contentSearchToggle: document.getElementById("contentSearchToggle"),
   globalSearch: document.getElementById("globalSearch"),
+  globalResults: document.getElementById("globalResults"),
+  userSelect: document.getElementById("userSelect"),
+  toast: document.getElementById("toast"),
+  selectionBar: document.getElementById("selectionBar"),
+  explorerFooter: document.getElementById("explorerFooter"),
+  uploads: document.getElementById("uploads"),
+  uploadInput: document.getElementById("uploadInput"),
+  importInput: document.getElementById("importInput"),
+  versionInput: document.getElementById("versionInput"),
 };
 
+// Storage adapter, created from config in init()
+let store = null;
+const history = createHistory();
+const session = createSessionStore(config.session.key);
+const audit = createAuditLog({
+  append: (entry) => store.appendAudit(entry),
+  onError: (err) =>
+    showToast(`Audit log not saved: ${errorMessage(err)}`, "error"),
+});
+const tags = createTagResolver(config.tags.definitions, {
+  parentOf: accessParent,
+});
+
 // -----------------------------
 // App State
 // -----------------------------
@@ -34,16 +144,97 @@ const state = {
   expanded: new Set(), // Expanded folder ids
 
   // Selection + modes
-  mode: "empty", // 'empty' | 'preview' | 'details'
+  mode: "empty", // 'empty' | 'preview' | 'details' | 'compare' | 'trash' | 'audit' | 'diagnostics' | 'search'
   previewId: null, // currently previewed file id
   selectedId: null, // file selected for details
   focusedId: null, // keyboard focus id
 
   // UI helpers
   query: "",
+  search: null, // compiled query (src/query.js); kept while the text is invalid
+  queryError: null,
+
+  // Content search (explorer search box in "In files" mode)
+  contentMode: false,
+  contentSearch: null, // { query, status, files, truncated, indexed, total, skipped, error }
+  previewTarget: null, // { id, line, column, length, scrolled } opened from a hit
+
+  // Derived views of the tree are rebuilt when this changes
+  treeVersion: 0,
+  treeRows: [], // visible rows: { node, level, setsize, posinset }
+  rowIndex: new Map(), // node id -> position in treeRows
+  treeWindow: null, // [first, last) rows currently in the DOM
+  searchKeep: null, // { search, version, ids } nodes that survive the filter
+
+  // Command palette (top bar search)
+  searchIndex: null, // flattened tree for fuzzy search; null when stale
+  paletteResults: [],
+  paletteActive: 0,
+  paletteOpen: false,
   visibleIds: [], // visible node ids after rendering
   openMenuForId: null, // file id whose action menu is open
-  deleteTargetId: null, // file id pending deletion
+  deleteTargetIds: [], // node ids pending deletion (one confirmation)
+  renamingId: null, // node id with the inline rename editor open
+  renameDraft: "", // current text of the rename editor
+  renameError: null, // validation message shown under the editor
+  renamePending: false, // rename request in flight
+  dragId: null, // node id being dragged
+  dragIds: [], // ids moving with it (the selection, when it is part of one)
+  dragHoverId: null, // folder under the pointer while dragging
+  dragExpandTimer: null, // auto-expands a collapsed folder on hover
+  cutIds: [], // node ids waiting to be pasted elsewhere
+  dragFiles: false, // OS files are being dragged over the tree
+
+  // Uploads
+  uploads: [], // { key, name, progress, status, error } per file
+  uploadTargetId: null, // folder chosen through the Upload action
+  uploadConflict: null, // { folderName, names, resolve } while asking
+  importTargetId: null, // folder chosen through the Import action
+  importDialog: null, // { targetId, fileName, nodes, errors, policy, plan, pending }
+
+  // Versions
+  versionTargetId: null, // file chosen through the Upload New Version action
+  versionPending: null, // file id while a version is being written
+  compare: null, // { id, from, to, layout, status, result, error, request }
+
+  // Inspector
+  inspectorHtml: "", // last markup written to the inspector
+  metaEdit: null, // { id, draft, errors, pending } while editing metadata
+  workspaceHtml: "", // last markup written to the workspace
+  toastTimer: null, // hides the current toast
+
+  // Preview content
+  previews: new Map(), // file id -> { status, text, offset, total, done, url, error }
+  verifying: new Set(), // file ids whose SHA-256 is being computed
+
+  // Encryption
+  unlocked: new Map(), // file id -> decrypted Blob, for this session only
+  passphrase: null, // { id, mode: "encrypt" | "unlock", error, pending }
+
+  // Multi-select
+  selection: new Set(), // node ids picked with Ctrl/Cmd or Shift
+  anchorId: null, // fixed end of Shift ranges
+  moveDialogIds: null, // node ids for the "Move to…" folder picker
+
+  // Trash
+  trash: [], // { node, parentId, path, deletedAt }, newest first
+  purgeTargetId: null, // trashed id, or "all" to empty the trash
+
+  // Audit view
+  auditFilter: { action: "", actor: "", text: "" },
+
+  // Explorer footer "Export" menu
+  exportMenuOpen: false,
+
+  // Folder contents list (details view of a folder)
+  listSort: { key: "name", dir: "asc" }, // key: name | size | type | owner | modified
+  folderStats: new Map(), // folder id -> totals of what the user can see
+
+  // Schema problems found at load (lenient mode keeps the app running)
+  diagnostics: { errors: [], quarantined: [] }, // see schema.js
+
+  // Layout
+  panelWidths: {}, // "explorer" | "inspector" -> px, once resized
 };
 
 // -----------------------------
@@ -55,42 +246,47 @@ async function init() {
   wireUI();
 
   try {
-    const nodes = await fetchDataJson("./data.json");
-    const root = buildVirtualRoot(nodes);
+    store = createStorage(config.storage);
+
+    const [nodes, trash, auditEntries] = await Promise.all([
+      store.listTree(),
+      store.listTrash(),
+      store.listAudit(),
+    ]);
+    const valid = validateVaultData(nodes, trash);
+    const root = buildVirtualRoot(valid.nodes);
 
     // Optional: add extra fields for the inspector UI
     enrichNodesInPlace(root);
+    state.trash = valid.trash.map((entry) => toTrashEntry(entry, root));
+    audit.load(auditEntries);
 
     state.data = root;
+    nodeIndex = createNodeIndex(root);
+    access = createAccessControl(findUser(config.access.user), {
+      parentOf: accessParent,
+    });
     state.expanded.add(root.id); // expand the root so top-level shows
     state.focusedId = root.id;
 
-    renderAll();
+    restoreSession();
+    showViewFromHash();
+
+    const count = state.diagnostics.quarantined.length;
+    if (count) {
+      showToast(
+        `${count} invalid item${count === 1 ? " was" : "s were"} left out of the vault. See Diagnostics.`,
+        "error",
+      );
+    }
   } catch (err) {
     renderFatalError(err);
   }
 }
 
 // -----------------------------
-// Fetch + Validate
+// Validate
 // -----------------------------
-async function fetchDataJson(url) {
-  const res = await fetch(url, { cache: "no-store" });
-  if (!res.ok) {
-    throw new Error(
-      `Failed to load ${url} (HTTP ${res.status}). Make sure data.json is in the project root and you are using a local server.`,
-    );
-  }
-
-  const data = await res.json();
-  if (!Array.isArray(data)) {
-    throw new Error("Invalid data.json: expected an array of nodes.");
-  }
-
-  validateTreeNodes(data);
-  return data;
-}
-
 function buildVirtualRoot(childrenArray) {
   return {
     id: "__root__",
@@ -100,74 +296,78 @@ function buildVirtualRoot(childrenArray) {
   };
 }
 
-function validateTreeNodes(nodes) {
-  const ids = new Set();
-
-  function validateNode(node) {
-    if (!node || typeof node !== "object") {
-      throw new Error("Invalid node: every item must be an object.");
-    }
-
-    if (!node.id || typeof node.id !== "string") {
-      throw new Error("Invalid node: missing string 'id'.");
-    }
-    if (ids.has(node.id)) {
-      throw new Error(`Duplicate id found: ${node.id}`);
-    }
-    ids.add(node.id);
+// Strict mode rejects the whole vault on any problem; lenient mode
+// drops invalid nodes (and trash entries) and records them for the
+// diagnostics view. Trashed nodes share the id space with the tree.
+function validateVaultData(nodes, trash) {
+  const ids = new Map();
+  const tree = validateNodes(nodes, { ids });
+  const trashed = validateNodes(
+    trash.map((entry) => entry.node),
+    { path: "trash", ids },
+  );
 
-    if (!node.name || typeof node.name !== "string") {
-      throw new Error(`Invalid node '${node.id}': missing string 'name'.`);
-    }
+  const errors = [...tree.errors, ...trashed.errors];
+  if (errors.length && config.validation.mode !== "lenient") {
+    throw new SchemaError(errors);
+  }
 
-    if (node.type !== "folder" && node.type !== "file") {
-      throw new Error(
-        `Invalid node '${node.id}': type must be 'folder' or 'file'.`,
-      );
-    }
+  state.diagnostics = {
+    errors,
+    quarantined: [...tree.quarantined, ...trashed.quarantined],
+  };
+  const dropped = new Set(trashed.quarantined.map((entry) => entry.node));
+  return {
+    nodes: withoutQuarantined(nodes, tree),
+    trash: trash.filter((entry) => !dropped.has(entry.node)),
+  };
+}
 
-    if (node.type === "folder") {
-      if ("children" in node && !Array.isArray(node.children)) {
-        throw new Error(
-          `Invalid folder '${node.id}': children must be an array.`,
-        );
-      }
-      (node.children || []).forEach(validateNode);
-    } else {
-      // file
-      if ("children" in node) {
-        throw new Error(
-          `Invalid file '${node.id}': files must not have 'children'.`,
-        );
-      }
-      if ("size" in node && typeof node.size !== "string") {
-        throw new Error(
-          `Invalid file '${node.id}': size must be a string, e.g. '4.2MB'.`,
-        );
-      }
-    }
-  }
+// For records built by the explorer itself (new items, uploads)
+function validateTreeNodes(nodes) {
+  assertValidNodes(nodes);
+}
 
-  nodes.forEach(validateNode);
+function siblingNameError(parent, name, exceptId = null) {
+  const lower = name.toLowerCase();
+  const clash = (parent?.children || []).find(
+    (c) => c.id !== exceptId && c.name.toLowerCase() === lower,
+  );
+  return clash ? `'${clash.name}' already exists in this folder.` : null;
 }
 
-function enrichNodesInPlace(root) {
-  walk(root, (node, parents) => {
+// `ancestors` lets a subtree added after boot be enriched in place
+function enrichNodesInPlace(root, ancestors = []) {
+  const enrich = (node, parents) => {
     node.path ??= buildPath(parents, node.name);
+    parseMetadata(node);
 
     if (node.type === "file") {
-      node.owner ??= "System";
-      node.encryption ??= guessEncryption(node.name);
-      node.checksum ??= `sha256:${hashStub(node.id)}`;
-      node.permissions ??= "755 (Global)";
       node.mime ??= guessMime(node.name);
-      node.created ??= "2024-01-12 08:00";
-      node.modified ??= "N/A";
-      node.accessed ??= "Just now";
-      node.status ??= node.encryption === "None" ? "Unverified ⚠" : "Verified";
-      node.activity ??= defaultActivity();
+      node.status ??= compareChecksum(node.checksum, node.sha256);
     }
+  };
+
+  walk(root, enrich, ancestors);
+}
+
+// Typed copies of the data.json strings (see format.js); call again
+// whenever `size` or a timestamp changes
+function parseMetadata(node) {
+  node.bytes = node.type === "file" ? parseSize(node.size) : null;
+  node.createdAt = parseTimestamp(node.created);
+  node.modifiedAt = parseTimestamp(node.modified);
+  node.accessedAt = parseTimestamp(node.accessed);
+}
+
+// Re-derives `path` for a node and its descendants after it was renamed
+// or moved; other enriched fields are left alone.
+function recomputePaths(node) {
+  const ancestors = ancestorsOf(node.id);
+  walk(node, (n, parents) => {
+    n.path = buildPath([...ancestors, ...parents], n.name);
   });
+  markTreeChanged();
 }
 
 function buildPath(parents, name) {
@@ -177,85 +377,203 @@ function buildPath(parents, name) {
   return `/${parts.join("/")}/${name}`.replaceAll("//", "/");
 }
 
-function guessEncryption(filename) {
-  return filename.toLowerCase().endsWith(".enc") ? "AES-256-GCM" : "None";
-}
+// Text formats get their MIME type from the renderer registry
+const MIME_BY_EXT = {
+  pdf: "application/pdf",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+};
 
 function guessMime(filename) {
   const ext = getExt(filename);
-  if (ext === "pdf") return "application/pdf";
-  if (ext === "png") return "image/png";
-  if (ext === "jpg" || ext === "jpeg") return "image/jpeg";
-  if (ext === "svg") return "image/svg+xml";
-  if (ext === "json") return "application/json";
-  if (ext === "yaml" || ext === "yml") return "text/yaml";
-  if (ext === "txt" || ext === "log" || ext === "md") return "text/plain";
-  return "application/octet-stream";
-}
-
-function defaultActivity() {
-  return [
-    {
-      who: "Admin_Sara",
-      what: "viewed metadata",
-      when: "2 mins ago",
-      avatar: "👩🏽‍💼",
-    },
-    {
-      who: "System_Bot",
-      what: "performed integrity check",
-      when: "15 mins ago",
-      avatar: "🤖",
-    },
-    {
-      who: "Dev_Jake",
-      what: "modified security flags",
-      when: "1 hour ago",
-      avatar: "🧑🏽‍💻",
-    },
-    {
-      who: "Admin_Sara",
-      what: "unlocked directory",
-      when: "3 hours ago",
-      avatar: "👩🏽‍💼",
-    },
-  ];
-}
-
-function hashStub(str) {
-  // Display-only stub (NOT cryptographic)
-  let h = 0;
-  for (let i = 0; i < str.length; i++) {
-    h = (h * 31 + str.charCodeAt(i)) >>> 0;
-  }
-  return h.toString(16).padStart(8, "0") + "...";
+  return (
+    MIME_BY_EXT[ext] || mimeForExtension(ext) || "application/octet-stream"
+  );
 }
 
 // -----------------------------
 // UI Wiring
 // -----------------------------
 function wireUI() {
-  // Search inputs share the same logic
-  function onSearch(value) {
-    state.query = value.trim();
-    if (state.data) autoExpandForSearch();
-    renderAll({ preserveTreeScroll: true });
-  }
+  els.treeSearch.addEventListener("input", (e) => {
+    if (state.contentMode) runContentSearch(e.target.value);
+    else setTreeQuery(e.target.value);
+  });
+  els.contentSearchToggle.addEventListener("click", () =>
+    setContentMode(!state.contentMode),
+  );
 
-  els.treeSearch.addEventListener("input", (e) => onSearch(e.target.value));
-  els.globalSearch.addEventListener("input", (e) => {
-    els.treeSearch.value = e.target.value;
-    onSearch(e.target.value);
+  // The top bar search is a command palette over the whole vault
+  els.globalSearch.addEventListener("input", updatePalette);
+  els.globalSearch.addEventListener("focus", updatePalette);
+  els.globalSearch.addEventListener("blur", closePalette);
+  els.globalSearch.addEventListener("keydown", onPaletteKeyDown);
+  // Keep focus in the input so the blur doesn't close the list first
+  els.globalResults.addEventListener("mousedown", (e) => e.preventDefault());
+  els.globalResults.addEventListener("click", (e) => {
+    const option = e.target.closest("[data-result-id]");
+    if (option) pickResult(option.dataset.resultId);
   });
 
+  // Acting user; switching re-applies roles and ACLs everywhere
+  els.userSelect.innerHTML = config.access.users
+    .map(
+      (user) =>
+        `<option value="${escapeHtml(user.id)}">${escapeHtml(user.id)} (${user.role})</option>`,
+    )
+    .join("");
+  els.userSelect.value = findUser(config.access.user).id;
+  els.userSelect.addEventListener("change", (e) => switchUser(e.target.value));
+
   // Keyboard navigation happens on the tree container
   els.tree.addEventListener("keydown", onTreeKeyDown);
 
+  // Windowed rows follow the scroll position (one update per frame)
+  let scrollFrame = 0;
+  els.tree.addEventListener("scroll", () => {
+    cancelAnimationFrame(scrollFrame);
+    scrollFrame = requestAnimationFrame(renderTreeWindow);
+  });
+
   // Tree click delegation (one listener)
   els.tree.addEventListener("click", onTreeClick);
 
+  // Drag and drop moves (delegated on the tree)
+  els.tree.addEventListener("dragstart", onTreeDragStart);
+  els.tree.addEventListener("dragover", onTreeDragOver);
+  els.tree.addEventListener("dragleave", onTreeDragLeave);
+  els.tree.addEventListener("drop", onTreeDrop);
+  document.addEventListener("dragend", clearDrag);
+  // Re-rendering can detach the drag source before its dragend bubbles
+  // here; a button-less mousemove afterwards means the drag has ended
+  document.addEventListener("mousemove", (e) => {
+    if (state.dragId && e.buttons === 0) clearDrag();
+  });
+
+  // Inline rename editor keeps its draft in state across re-renders
+  els.tree.addEventListener("input", (e) => {
+    if (e.target.matches("[data-rename-input]")) {
+      state.renameDraft = e.target.value;
+    }
+  });
+
   // Workspace click delegation (details button + modal)
   els.workspace.addEventListener("click", onWorkspaceClick);
+  els.workspace.addEventListener("input", (e) => {
+    const field = e.target.dataset.auditFilter;
+    if (!field) return;
+    state.auditFilter = { ...state.auditFilter, [field]: e.target.value };
+    renderWorkspace();
+  });
+  els.workspace.addEventListener("change", (e) => {
+    const side = e.target.dataset.compareSide;
+    if (side) setCompareSide(side, e.target.value);
+  });
+  els.workspace.addEventListener("keydown", (e) => {
+    if (!e.target.matches("[data-passphrase-input]")) return;
+    if (e.key === "Enter") {
+      e.preventDefault();
+      submitPassphrase();
+    } else if (e.key === "Escape") {
+      closePassphrase();
+    }
+  });
+
+  // Undo/redo anywhere except inside text fields, which keep their own
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key = e.key.toLowerCase();
+    if (key === "k") {
+      e.preventDefault();
+      els.globalSearch.focus();
+      els.globalSearch.select();
+      return;
+    }
+    if (e.target.closest("input, textarea, [contenteditable='true']")) return;
+
+    if (key === "z" || key === "y") {
+      e.preventDefault();
+      stepHistory(key === "z" && !e.shiftKey ? "undo" : "redo");
+    }
+  });
+  els.selectionBar.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-action]");
+    if (btn) onSelectionAction(btn.dataset.action);
+  });
+
+  // Back/forward (and edited addresses) move between viewed files
+  window.addEventListener("popstate", () => {
+    if (state.data) showViewFromHash();
+  });
+  window.addEventListener("pagehide", () => session.flush());
+
+  // Panel splitters: drag, arrow keys, double-click for the default width
+  for (const splitter of document.querySelectorAll("[data-resize]")) {
+    splitter.addEventListener("pointerdown", onSplitterPointerDown);
+    splitter.addEventListener("keydown", onSplitterKeyDown);
+    splitter.addEventListener("dblclick", () =>
+      setPanelWidth(splitter.dataset.resize, null),
+    );
+  }
+  els.explorerFooter.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-action]");
+    if (!btn) return;
+    if (btn.dataset.action === "undo" || btn.dataset.action === "redo") {
+      stepHistory(btn.dataset.action);
+    } else if (btn.dataset.action === "open-trash") {
+      openTrash();
+    } else if (btn.dataset.action === "open-audit") {
+      openAudit();
+    } else if (btn.dataset.action === "open-diagnostics") {
+      openDiagnostics();
+    } else if (btn.dataset.action === "toggle-export") {
+      state.exportMenuOpen = !state.exportMenuOpen;
+      renderExplorerFooter();
+    } else if (btn.dataset.action === "export-tree") {
+      state.exportMenuOpen = false;
+      exportTree(btn.dataset.format);
+      renderAll({ preserveTreeScroll: true });
+    }
+  });
+  els.inspector.addEventListener("click", onInspectorClick);
+  els.inspector.addEventListener("input", onMetadataInput);
+  els.inspector.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveMetadataEdit();
+  });
+  els.inspector.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && e.target.closest("[data-meta-form]")) {
+      cancelMetadataEdit();
+    }
+  });
+
+  // Upload action opens the native picker; the panel lists progress
+  els.uploadInput.addEventListener("change", () => {
+    const files = [...els.uploadInput.files];
+    els.uploadInput.value = "";
+    if (files.length) uploadFiles(state.uploadTargetId, files);
+  });
+  els.importInput.addEventListener("change", () => {
+    const [file] = els.importInput.files;
+    els.importInput.value = "";
+    if (file) openImport(state.importTargetId, file);
+  });
+  els.versionInput.addEventListener("change", () => {
+    const [file] = els.versionInput.files;
+    els.versionInput.value = "";
+    if (file) uploadVersion(state.versionTargetId, file);
+  });
+  els.uploads.addEventListener("click", (e) => {
+    if (e.target.closest("[data-action='clear-uploads']")) {
+      state.uploads = state.uploads.filter((u) => !isUploadSettled(u));
+      renderUploads();
+    }
+  });
 
   // Close file menus when clicking outside
   document.addEventListener("click", (e) => {
@@ -266,6 +584,19 @@ function wireUI() {
       state.openMenuForId = null;
       renderAll({ preserveTreeScroll: true });
     }
+    if (
+      state.exportMenuOpen &&
+      !e.target.closest(".exportMenu, [data-action='toggle-export']")
+    ) {
+      state.exportMenuOpen = false;
+      renderExplorerFooter();
+    }
+
+    // Clicking away from the rename editor commits it
+    const inRename = e.target.closest(
+      "[data-rename-input], [data-action='rename']",
+    );
+    if (state.renamingId && !inRename) commitRename();
   });
 }
 
@@ -274,9 +605,18 @@ function onTreeClick(e) {
   if (!itemEl) return;
 
   const nodeId = itemEl.dataset.nodeId;
-  const node = findNodeById(state.data, nodeId);
+  const node = nodeById(nodeId);
   if (!node) return;
 
+  // Clicks inside the rename editor only move the caret
+  if (e.target.closest("[data-rename-input]")) return;
+
+  const tagChip = e.target.closest("[data-action='filter-tag']");
+  if (tagChip) {
+    filterByTag(tagChip.dataset.tag);
+    return;
+  }
+
   // 1) Action menu button (⋯)
   const menuBtn = e.target.closest("[data-action='menu']");
   if (menuBtn) {
@@ -294,16 +634,92 @@ function onTreeClick(e) {
     return;
   }
 
+  const downloadBtn = e.target.closest("[data-action='download']");
+  if (downloadBtn) {
+    downloadNode(downloadBtn.dataset.id);
+    return;
+  }
+
   const deleteBtn = e.target.closest("[data-action='delete']");
   if (deleteBtn) {
-    const id = deleteBtn.dataset.id;
-    state.deleteTargetId = id;
+    state.openMenuForId = null;
+    requestDelete(actionTargets(deleteBtn.dataset.id));
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+
+  const renameBtn = e.target.closest("[data-action='rename']");
+  if (renameBtn) {
+    startRename(renameBtn.dataset.id);
+    return;
+  }
+
+  const newFolderBtn = e.target.closest("[data-action='new-folder']");
+  if (newFolderBtn) {
+    createNode(newFolderBtn.dataset.id, "folder");
+    return;
+  }
+
+  const newFileBtn = e.target.closest("[data-action='new-file']");
+  if (newFileBtn) {
+    createNode(newFileBtn.dataset.id, "file");
+    return;
+  }
+
+  const cryptoBtn = e.target.closest(
+    "[data-action='encrypt'], [data-action='unlock'], [data-action='lock']",
+  );
+  if (cryptoBtn) {
+    onCryptoAction(cryptoBtn.dataset.action, cryptoBtn.dataset.id);
+    return;
+  }
+
+  const uploadBtn = e.target.closest("[data-action='upload']");
+  if (uploadBtn) {
+    state.uploadTargetId = uploadBtn.dataset.id;
+    state.openMenuForId = null;
+    renderAll({ preserveTreeScroll: true });
+    els.uploadInput.click();
+    return;
+  }
+
+  const importBtn = e.target.closest("[data-action='import']");
+  if (importBtn) {
+    state.importTargetId = importBtn.dataset.id;
     state.openMenuForId = null;
     renderAll({ preserveTreeScroll: true });
+    els.importInput.click();
+    return;
+  }
+
+  const versionBtn = e.target.closest("[data-action='upload-version']");
+  if (versionBtn) {
+    pickVersionFile(versionBtn.dataset.id);
+    return;
+  }
+
+  const cutBtn = e.target.closest("[data-action='cut']");
+  if (cutBtn) {
+    cutNode(cutBtn.dataset.id);
+    return;
+  }
+
+  const pasteBtn = e.target.closest("[data-action='paste']");
+  if (pasteBtn) {
+    pasteInto(pasteBtn.dataset.id);
     return;
   }
 
-  // 3) Normal clicking
+  // 3) Ctrl/Cmd and Shift clicks build a multi-selection
+  if (e.shiftKey || e.ctrlKey || e.metaKey) {
+    selectWithPointer(node.id, e);
+    return;
+  }
+
+  // 4) Normal clicking
+  state.selection.clear();
+  state.anchorId = node.id;
+
   if (node.type === "folder") {
     // Click folder => toggle
     toggleExpand(node.id);
@@ -313,14 +729,11 @@ function onTreeClick(e) {
 
   if (node.type === "file") {
     // Click file => preview if possible
-    state.previewId = node.id;
-    state.mode = "preview";
-
     // Details is separate; will not set selectedId on plain click
     state.openMenuForId = null;
 
     setFocus(node.id);
-    renderAll({ preserveTreeScroll: true });
+    openPreview(node.id);
   }
 }
 
@@ -332,10 +745,137 @@ function onWorkspaceClick(e) {
     return;
   }
 
+  const downloadBtn = e.target.closest("[data-action='download']");
+  if (downloadBtn) {
+    downloadNode(downloadBtn.dataset.id);
+    return;
+  }
+
+  const cryptoBtn = e.target.closest(
+    "[data-action='encrypt'], [data-action='unlock'], [data-action='lock']",
+  );
+  if (cryptoBtn) {
+    onCryptoAction(cryptoBtn.dataset.action, cryptoBtn.dataset.id);
+    return;
+  }
+
+  // Bulk "Move to…" folder picker
+  if (e.target.closest("[data-action='close-move']")) {
+    state.moveDialogIds = null;
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+  if (e.target.closest("[data-action='confirm-move']")) {
+    const ids = state.moveDialogIds;
+    const targetId = els.workspace.querySelector("[data-move-target]").value;
+    state.moveDialogIds = null;
+    moveNodes(ids, targetId);
+    return;
+  }
+
+  // Trash view
+  const restoreBtn = e.target.closest("[data-action='restore']");
+  if (restoreBtn) {
+    restoreNode(restoreBtn.dataset.id);
+    return;
+  }
+
+  // Version compare
+  const layoutBtn = e.target.closest("[data-action='compare-layout']");
+  if (layoutBtn) {
+    state.compare.layout = layoutBtn.dataset.layout;
+    renderWorkspace();
+    return;
+  }
+
+  // Folder contents list
+  const sortBtn = e.target.closest("[data-action='sort-list']");
+  if (sortBtn) {
+    setListSort(sortBtn.dataset.key);
+    return;
+  }
+  const entryBtn = e.target.closest("[data-action='open-entry']");
+  if (entryBtn) {
+    openListEntry(entryBtn.dataset.id);
+    return;
+  }
+
+  const exportBtn = e.target.closest("[data-action='export-audit']");
+  if (exportBtn) {
+    exportAudit(exportBtn.dataset.format);
+    return;
+  }
+
+  const purgeBtn = e.target.closest("[data-action='purge']");
+  if (purgeBtn) {
+    state.purgeTargetId = purgeBtn.dataset.id;
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+
+  if (e.target.closest("[data-action='close-purge']")) {
+    state.purgeTargetId = null;
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+
+  if (e.target.closest("[data-action='confirm-purge']")) {
+    purgeCurrentTarget();
+    return;
+  }
+
+  // Passphrase modal
+  if (e.target.closest("[data-action='close-passphrase']")) {
+    closePassphrase();
+    return;
+  }
+  if (e.target.closest("[data-action='submit-passphrase']")) {
+    submitPassphrase();
+    return;
+  }
+
+  // Content search results
+  const hitBtn = e.target.closest("[data-action='open-hit']");
+  if (hitBtn) {
+    const { id, line, column, length } = hitBtn.dataset;
+    setFocus(id);
+    openPreview(id, {
+      line: Number(line),
+      column: Number(column),
+      length: Number(length),
+    });
+    return;
+  }
+  if (e.target.closest("[data-action='back-to-results']")) {
+    state.mode = "search";
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+  if (e.target.closest("[data-action='formatted-view']")) {
+    state.previewTarget = null;
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+
+  // Preview paging + retry
+  const loadMoreBtn = e.target.closest("[data-action='load-more']");
+  if (loadMoreBtn) {
+    loadNextTextPage(loadMoreBtn.dataset.id);
+    return;
+  }
+
+  const retryBtn = e.target.closest("[data-action='retry-preview']");
+  if (retryBtn) {
+    const id = retryBtn.dataset.id;
+    discardPreview(id);
+    openPreview(id);
+    return;
+  }
+
   // Modal close
   const closeModalBtn = e.target.closest("[data-action='close-delete']");
   if (closeModalBtn) {
-    state.deleteTargetId = null;
+    state.deleteTargetIds = [];
     renderAll({ preserveTreeScroll: true });
     return;
   }
@@ -346,31 +886,212 @@ function onWorkspaceClick(e) {
     deleteCurrentTarget();
     return;
   }
+
+  // Upload name-collision choice (skip / replace / keep both / cancel)
+  const policyBtn = e.target.closest("[data-action='upload-policy']");
+  if (policyBtn && state.uploadConflict) {
+    const { resolve } = state.uploadConflict;
+    state.uploadConflict = null;
+    renderAll({ preserveTreeScroll: true });
+    resolve(policyBtn.dataset.policy || null);
+    return;
+  }
+
+  // Import preview: policy for name clashes, cancel, apply
+  const importPolicyBtn = e.target.closest("[data-action='import-policy']");
+  if (importPolicyBtn) {
+    setImportPolicy(importPolicyBtn.dataset.policy);
+    return;
+  }
+  if (e.target.closest("[data-action='close-import']")) {
+    closeImport();
+    return;
+  }
+  if (e.target.closest("[data-action='confirm-import']")) applyImport();
+}
+
+function onInspectorClick(e) {
+  const auditBtn = e.target.closest("[data-action='open-audit']");
+  if (auditBtn) {
+    openAudit({ text: auditBtn.dataset.id });
+    return;
+  }
+
+  const btn = e.target.closest("[data-action]");
+  switch (btn?.dataset.action) {
+    case "edit-metadata":
+      startMetadataEdit(btn.dataset.id);
+      break;
+    case "cancel-metadata":
+      cancelMetadataEdit();
+      break;
+    case "revert-metadata":
+      revertMetadataEdit();
+      break;
+    case "toggle-meta-tag":
+      toggleMetadataTag(btn.dataset.tag);
+      break;
+    case "add-meta-field":
+      addMetadataField();
+      break;
+    case "remove-meta-field":
+      removeMetadataField(Number(btn.dataset.row));
+      break;
+    case "upload-version":
+      pickVersionFile(btn.dataset.id);
+      break;
+    case "restore-version":
+      restoreVersion(btn.dataset.id, btn.dataset.version);
+      break;
+    case "compare-version":
+      openCompare(btn.dataset.id, btn.dataset.version);
+      break;
+    case "verify-checksum":
+      verifyChecksum(nodeById(btn.dataset.id));
+      break;
+  }
+}
+
+// `target` ({ line, column, length }) scrolls to and marks a content
+// search hit
+function openPreview(id, target = null) {
+  if (denied(nodeById(id), "preview")) return;
+  if (state.mode !== "preview" || state.previewId !== id) {
+    recordAudit("preview", nodeById(id));
+  }
+
+  state.previewId = id;
+  state.mode = "preview";
+  state.previewTarget = target ? { id, ...target, scrolled: false } : null;
+
+  // Locked files keep their shield; nothing is read until unlocked
+  const node = nodeById(id);
+  if (node && isPreviewable(node) && !isLocked(node)) {
+    ensurePreviewContent(node);
+  }
+  if (node && isContentInMemory(node)) verifyChecksum(node);
+
+  updateViewHash({ push: true });
+  renderAll({ preserveTreeScroll: true });
 }
 
 function openDetails(id) {
+  if (denied(nodeById(id), "details")) return;
+  if (state.mode !== "details" || state.selectedId !== id) {
+    recordAudit("details", nodeById(id));
+  }
+  // An open metadata editor belongs to the item it was opened on
+  if (state.metaEdit?.id !== id) state.metaEdit = null;
+
   state.selectedId = id;
   state.mode = "details";
   state.openMenuForId = null;
   setFocus(id);
+
+  const node = nodeById(id);
+  if (node && isContentInMemory(node)) verifyChecksum(node);
+
+  updateViewHash({ push: true });
   renderAll({ preserveTreeScroll: true });
 }
 
-function deleteCurrentTarget() {
-  const id = state.deleteTargetId;
-  if (!id) return;
+// Opening a file only hashes content that is already in memory; a file
+// fetched from `src` or the server may be large (and is paged for the
+// preview), so it waits for the inspector's Verify Checksum button
+function isContentInMemory(node) {
+  return Boolean(node.blob) || typeof node.content === "string";
+}
 
-  deleteNodeById(state.data, id);
+// Hashes the file's content once and compares it to the expected
+// checksum from data.json; the digest is kept on the node.
+async function verifyChecksum(node) {
+  if (!node || node.sha256 || state.verifying.has(node.id)) return;
+  if (!store.hasContent(node) || !can(node, "preview")) return;
 
-  // Clean up UI state if deleted item was active
-  if (state.selectedId === id) state.selectedId = null;
+  state.verifying.add(node.id);
+  renderAll({ preserveTreeScroll: true });
+  try {
+    node.sha256 = await sha256Checksum(await store.readContent(node));
+  } catch (err) {
+    // Nothing was compared, so the status stays as it was
+    state.verifying.delete(node.id);
+    renderAll({ preserveTreeScroll: true });
+    showToast(
+      `Checksum failed for ${node.name}: ${errorMessage(err)}`,
+      "error",
+    );
+    return;
+  }
+  state.verifying.delete(node.id);
+
+  node.status = compareChecksum(node.checksum, node.sha256);
+  if (node.checksum) recordAudit("verify", node, node.status);
+  markTreeChanged();
+  renderAll({ preserveTreeScroll: true });
+}
+
+async function deleteCurrentTarget() {
+  const ids = state.deleteTargetIds;
+  if (!ids.length) return;
+  state.deleteTargetIds = [];
+
+  const label =
+    ids.length === 1 ? `'${nodeById(ids[0])?.name}'` : `${ids.length} items`;
+
+  // Trash one by one; whatever made it is still recorded for undo
+  const trashed = [];
+  let failure = null;
+  for (const id of ids) {
+    try {
+      await trashNode(id);
+      trashed.push(id);
+    } catch (err) {
+      failure = err;
+      break;
+    }
+  }
+
+  if (trashed.length) {
+    history.record({
+      label: `delete ${label}`,
+      undo: async () => {
+        for (const id of [...trashed].reverse()) await restoreFromTrash(id);
+      },
+      redo: async () => {
+        for (const id of trashed) await trashNode(id);
+      },
+    });
+  }
+  renderAll({ preserveTreeScroll: true });
+
+  if (failure) {
+    showToast(`Delete failed: ${errorMessage(failure)}`, "error");
+  } else {
+    showToast(`Moved ${label} to Trash. Ctrl+Z to undo.`);
+  }
+}
+
+function removeNodeLocally(id) {
+  const node = nodeById(id);
+  if (node) walk(node, (n) => state.selection.delete(n.id));
+
+  nodeIndex.detach(id);
+  markTreeChanged();
+  state.unlocked.delete(id);
+  state.cutIds = state.cutIds.filter((cutId) => cutId !== id);
+
+  // Clean up UI state if deleted item was active
+  if (state.selectedId === id) state.selectedId = null;
+  if (state.metaEdit && !nodeById(state.metaEdit.id)) state.metaEdit = null;
+  discardPreview(id);
   if (state.previewId === id) {
     state.previewId = null;
     state.mode = "empty";
   }
-
-  state.deleteTargetId = null;
-  renderAll({ preserveTreeScroll: true });
+  if (state.compare && !nodeById(state.compare.id)) {
+    state.compare = null;
+    if (state.mode === "compare") state.mode = "empty";
+  }
 }
 
 // -----------------------------
@@ -387,505 +1108,4714 @@ function setFocus(nodeId) {
 }
 
 // -----------------------------
-// Keyboard Navigation
+// Create
 // -----------------------------
-function onTreeKeyDown(e) {
-  const ids = state.visibleIds;
-  if (!ids.length) return;
+async function createNode(parentId, type) {
+  const parent = nodeById(parentId);
+  if (!parent || parent.type !== "folder") return;
+  if (denied(parent, "create")) return;
 
-  const idx = Math.max(0, ids.indexOf(state.focusedId));
-  const currentId = ids[idx];
-  const currentNode = findNodeById(state.data, currentId);
+  state.openMenuForId = null;
 
-  switch (e.key) {
-    case "ArrowDown": {
-      e.preventDefault();
-      const next = ids[Math.min(ids.length - 1, idx + 1)];
-      setFocus(next);
-      renderAll({ preserveTreeScroll: true });
-      scrollFocusedIntoView();
-      break;
-    }
-    case "ArrowUp": {
-      e.preventDefault();
-      const prev = ids[Math.max(0, idx - 1)];
-      setFocus(prev);
-      renderAll({ preserveTreeScroll: true });
-      scrollFocusedIntoView();
-      break;
-    }
-    case "ArrowRight": {
-      e.preventDefault();
-      if (
-        currentNode?.type === "folder" &&
-        !state.expanded.has(currentNode.id)
-      ) {
-        state.expanded.add(currentNode.id);
-        renderAll({ preserveTreeScroll: true });
-      }
-      break;
-    }
-    case "ArrowLeft": {
-      e.preventDefault();
-      if (
-        currentNode?.type === "folder" &&
-        state.expanded.has(currentNode.id)
-      ) {
-        state.expanded.delete(currentNode.id);
-        renderAll({ preserveTreeScroll: true });
-      } else {
-        const parent = findParentOf(state.data, currentId);
-        if (parent) {
-          setFocus(parent.id);
-          renderAll({ preserveTreeScroll: true });
-          scrollFocusedIntoView();
+  const now = formatTimestamp(new Date());
+  const record =
+    type === "folder"
+      ? {
+          id: createNodeId("folder"),
+          name: uniqueChildName(parent, "New Folder"),
+          type: "folder",
+          children: [],
         }
-      }
-      break;
-    }
-    case "Enter": {
-      e.preventDefault();
-      if (!currentNode) return;
-
-      if (currentNode.type === "folder") {
-        toggleExpand(currentNode.id);
-      } else {
-        // Enter on a file behaves like click: preview
-        state.previewId = currentNode.id;
-        state.mode = "preview";
-        renderAll({ preserveTreeScroll: true });
-      }
-      break;
-    }
-    default:
-      break;
+      : {
+          id: createNodeId("file"),
+          name: uniqueChildName(parent, "New File", ".txt"),
+          type: "file",
+          size: formatBytes(0),
+          content: "",
+          created: now,
+          modified: now,
+        };
+
+  let node;
+  try {
+    validateTreeNodes([record]);
+    node = await insertNode(parentId, record);
+  } catch (err) {
+    renderAll({ preserveTreeScroll: true });
+    showToast(`Could not create ${type}: ${errorMessage(err)}`, "error");
+    return;
   }
+
+  history.record({
+    label: `create '${node.name}'`,
+    undo: () => removeNode(node.id),
+    redo: () => insertNode(parentId, record),
+  });
+  state.expanded.add(parent.id);
+
+  // Land in the rename editor so the new row can be named straight away
+  startRename(node.id);
+  scrollFocusedIntoView();
 }
 
-function scrollFocusedIntoView() {
-  const el = els.tree.querySelector(
-    `[data-node-id="${cssEscape(state.focusedId)}"]`,
-  );
-  if (el) el.scrollIntoView({ block: "nearest" });
+function createNodeId(type) {
+  const prefix = type === "folder" ? "dir" : "file";
+  let id;
+  do {
+    const rand = Math.random().toString(36).slice(2, 8);
+    id = `${prefix}_${Date.now().toString(36)}${rand}`;
+  } while (nodeById(id));
+  return id;
 }
 
-function cssEscape(value) {
-  return String(value).replace(/"/g, '\\"');
+function splitExt(name) {
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+}
+
+function uniqueChildName(parent, base, ext = "") {
+  let name = `${base}${ext}`;
+  for (let n = 2; siblingNameError(parent, name); n++) {
+    name = `${base} (${n})${ext}`;
+  }
+  return name;
+}
+
+// Storage adapters address the top level as null, not the virtual root id
+function storeId(folder) {
+  return folder.id === state.data.id ? null : folder.id;
 }
 
 // -----------------------------
-// Search (filter + auto-expand)
+// Rename
 // -----------------------------
-function autoExpandForSearch() {
-  if (!state.query) return;
+function startRename(id) {
+  const node = nodeById(id);
+  if (!node || node.id === state.data.id) return;
+  if (denied(node, "rename")) return;
+
+  state.renamingId = id;
+  state.renameDraft = node.name;
+  state.renameError = null;
+  state.openMenuForId = null;
+  setFocus(id);
+  renderAll({ preserveTreeScroll: true });
 
-  const q = state.query.toLowerCase();
+  // Select the name without its extension, like desktop explorers do
+  const input = els.tree.querySelector("[data-rename-input]");
+  if (input) {
+    const dot = node.type === "file" ? node.name.lastIndexOf(".") : -1;
+    input.setSelectionRange(0, dot > 0 ? dot : node.name.length);
+  }
+}
 
-  walk(state.data, (node, parents) => {
-    if (node.name.toLowerCase().includes(q)) {
-      for (const p of parents) {
-        if (p.type === "folder") state.expanded.add(p.id);
-      }
-    }
+function cancelRename() {
+  state.renamingId = null;
+  state.renameError = null;
+  renderAll({ preserveTreeScroll: true });
+  els.tree.focus();
+}
+
+async function commitRename() {
+  const id = state.renamingId;
+  const node = nodeById(id);
+  if (!node || state.renamePending) return;
+
+  const name = state.renameDraft.trim();
+  if (name === node.name) {
+    cancelRename();
+    return;
+  }
+
+  const parent = parentOf(id);
+  const error = validateNodeName(name) || siblingNameError(parent, name, id);
+  if (error) {
+    state.renameError = error;
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+
+  const oldName = node.name;
+  state.renamePending = true;
+  try {
+    await renameNode(id, name);
+  } catch (err) {
+    state.renameError = `Rename failed: ${errorMessage(err)}`;
+    renderAll({ preserveTreeScroll: true });
+    return;
+  } finally {
+    state.renamePending = false;
+  }
+
+  history.record({
+    label: `rename '${oldName}' to '${name}'`,
+    undo: () => renameNode(id, oldName),
+    redo: () => renameNode(id, name),
   });
+
+  state.renamingId = null;
+  state.renameError = null;
+  renderAll({ preserveTreeScroll: true });
+  els.tree.focus();
+}
+
+function onRenameKeyDown(e) {
+  if (e.key === "Enter") {
+    e.preventDefault();
+    commitRename();
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    cancelRename();
+  }
+  // Everything else is ordinary text editing
 }
 
 // -----------------------------
-// Rendering
+// Metadata Editing
 // -----------------------------
-function renderAll(options = {}) {
-  if (!state.data) return;
+// The inspector edits a draft of form strings; the node keeps its values
+// until Save, so Revert only has to rebuild the draft from the node.
+function metadataDraft(node) {
+  return {
+    owner: node.owner ?? "",
+    classification: node.classification ?? "",
+    tags: (node.tags || []).map((name) => tags.get(name)?.name ?? name),
+    description: node.description ?? "",
+    fields: Object.entries(node.fields || {}).map(([key, value]) => ({
+      key,
+      value,
+    })),
+  };
+}
 
-  const prevTreeScroll = els.tree.scrollTop;
+// Form strings -> metadata values; blank inputs become null (removed)
+function metadataFromDraft(draft) {
+  const fields = {};
+  let fieldsError = null;
+  for (const row of draft.fields) {
+    const key = row.key.trim();
+    const value = row.value.trim();
+    if (!key && !value) continue;
+    if (!key) fieldsError = "Every custom field needs a name.";
+    else if (Object.hasOwn(fields, key)) {
+      fieldsError = `Field '${key}' is listed twice.`;
+    } else fields[key] = value;
+  }
 
-  renderTree();
-  renderWorkspace();
+  const values = {
+    owner: draft.owner.trim() || null,
+    classification: draft.classification || null,
+    tags: draft.tags.length ? [...draft.tags] : null,
+    description: draft.description.trim() || null,
+    fields: Object.keys(fields).length ? fields : null,
+  };
+  const errors = metadataErrors(values);
+  if (fieldsError) errors.fields = fieldsError;
+  return { values, errors };
+}
+
+function isMetadataDirty(edit) {
+  const node = nodeById(edit.id);
+  return (
+    !!node && JSON.stringify(edit.draft) !== JSON.stringify(metadataDraft(node))
+  );
+}
+
+function startMetadataEdit(id) {
+  const node = nodeById(id);
+  if (!node || node.id === state.data.id) return;
+  if (denied(node, "edit")) return;
+
+  state.metaEdit = {
+    id,
+    draft: metadataDraft(node),
+    errors: {},
+    pending: false,
+  };
+  renderAll({ preserveTreeScroll: true });
+  els.inspector.querySelector("[data-meta-field]")?.focus();
+}
+
+function cancelMetadataEdit() {
+  if (state.metaEdit?.pending) return;
+  state.metaEdit = null;
+  renderAll({ preserveTreeScroll: true });
+}
+
+// Drops unsaved changes; the editor stays open
+function revertMetadataEdit() {
+  const edit = state.metaEdit;
+  const node = nodeById(edit?.id);
+  if (!node || edit.pending) return;
+
+  edit.draft = metadataDraft(node);
+  edit.errors = {};
   renderInspector();
+}
 
-  if (options.preserveTreeScroll) {
-    els.tree.scrollTop = prevTreeScroll;
-  }
+function onMetadataInput(e) {
+  const edit = state.metaEdit;
+  const field = e.target.dataset.metaField;
+  if (!edit || !field) return;
+
+  // Custom field inputs are named "fields.<row>.key" / "fields.<row>.value"
+  const [name, row, part] = field.split(".");
+  if (name === "fields") edit.draft.fields[row][part] = e.target.value;
+  else edit.draft[name] = e.target.value;
+  delete edit.errors[name];
+  renderInspector();
 }
 
-function renderTree() {
-  const query = state.query.toLowerCase();
-  const visibleIds = [];
-
-  const html = Tree({
-    node: state.data,
-    level: 0,
-    query,
-    onVisible: (id) => visibleIds.push(id),
-  });
+// Tags are picked from the vault's definitions; one the node already
+// has that is not defined can still be removed
+function toggleMetadataTag(name) {
+  const edit = state.metaEdit;
+  if (!edit || edit.pending) return;
+
+  const { draft } = edit;
+  draft.tags = draft.tags.includes(name)
+    ? draft.tags.filter((tag) => tag !== name)
+    : [...draft.tags, name];
+  delete edit.errors.tags;
+  renderInspector();
+}
 
-  els.tree.innerHTML = html;
-  state.visibleIds = visibleIds;
+function addMetadataField() {
+  const edit = state.metaEdit;
+  if (!edit || edit.pending) return;
 
-  // If focused item is not visible (after filtering), focus the first visible.
-  if (visibleIds.length && !visibleIds.includes(state.focusedId)) {
-    state.focusedId = visibleIds[0];
-    renderTree();
-  }
+  edit.draft.fields.push({ key: "", value: "" });
+  renderInspector();
+  const row = edit.draft.fields.length - 1;
+  els.inspector.querySelector(`[data-meta-field="fields.${row}.key"]`)?.focus();
 }
 
-function renderWorkspace() {
-  // Delete modal overlays on top of whatever the workspace is showing
-  if (state.deleteTargetId) {
-    els.workspace.innerHTML = WorkspaceWithModal();
+function removeMetadataField(row) {
+  const edit = state.metaEdit;
+  if (!edit || edit.pending) return;
+
+  edit.draft.fields.splice(row, 1);
+  delete edit.errors.fields;
+  renderInspector();
+}
+
+async function saveMetadataEdit() {
+  const edit = state.metaEdit;
+  const node = nodeById(edit?.id);
+  if (!node || edit.pending || denied(node, "edit")) return;
+
+  const { values, errors } = metadataFromDraft(edit.draft);
+  if (Object.keys(errors).length) {
+    edit.errors = errors;
+    renderInspector();
     return;
   }
 
-  if (state.mode === "details" && state.selectedId) {
-    const node = findNodeById(state.data, state.selectedId);
-    els.workspace.innerHTML = node ? DetailsWorkspace(node) : EmptyWorkspace();
+  const changed = changedMetadata(node, values);
+  if (!changed.length) {
+    cancelMetadataEdit();
     return;
   }
 
-  if (state.mode === "preview" && state.previewId) {
-    const node = findNodeById(state.data, state.previewId);
-    els.workspace.innerHTML = node ? PreviewWorkspace(node) : EmptyWorkspace();
+  // Undo puts back the old values, `modified` included
+  const next = Object.fromEntries(changed.map((f) => [f, values[f]]));
+  const previous = Object.fromEntries(
+    [...changed, "modified"].map((f) => [f, structuredClone(node[f] ?? null)]),
+  );
+
+  edit.pending = true;
+  renderInspector();
+  try {
+    await updateMetadata(node.id, next);
+  } catch (err) {
+    edit.pending = false;
+    edit.errors = { form: `Save failed: ${errorMessage(err)}` };
+    renderInspector();
     return;
   }
 
-  els.workspace.innerHTML = EmptyWorkspace();
-}
+  history.record({
+    label: `metadata edit of '${node.name}'`,
+    undo: () => updateMetadata(node.id, previous),
+    redo: () => updateMetadata(node.id, next),
+  });
 
-function renderInspector() {
-  // Inspector only shows details when a file is selected via "View Details"
-  const node = state.selectedId
-    ? findNodeById(state.data, state.selectedId)
-    : null;
-  els.inspector.innerHTML = Inspector(node);
+  state.metaEdit = null;
+  renderAll({ preserveTreeScroll: true });
+  showToast(`Saved ${changed.join(", ")} for '${node.name}'.`, "good");
 }
 
 // -----------------------------
-// UI Components (HTML builders)
+// Move (drag and drop + cut/paste)
 // -----------------------------
-function Tree({ node, level, query, onVisible }) {
-  if (!filterNodeForQuery(node, query)) return "";
+const DRAG_TYPE = "application/x-securevault-node";
+const DRAG_EXPAND_DELAY = 700; // ms hovering a collapsed folder before it opens
+
+// Returns why `node` cannot move into `target`, or null when it can
+function moveError(node, target) {
+  if (!node || !target) return "Nothing to move.";
+  if (node.id === state.data.id) return "The vault root cannot be moved.";
+  if (target.type !== "folder") return "Items can only be moved into a folder.";
+  if (target.id === node.id || isInside(target, node)) {
+    return "A folder cannot be moved into itself or one of its subfolders.";
+  }
+  if (parentOf(node.id)?.id === target.id) {
+    return `'${node.name}' is already in '${target.name}'.`;
+  }
+  if (!can(node, "move")) return permissionMessage(node, "move");
+  if (!can(target, "create")) return permissionMessage(target, "create");
+  return siblingNameError(target, node.name);
+}
 
-  onVisible(node.id);
+// In a batch, items already in the target are skipped rather than
+// blocking the move; any other problem blocks it
+function batchMoveError(nodes, target) {
+  if (nodes.length === 1) return moveError(nodes[0], target);
 
-  const isFolder = node.type === "folder";
-  const isExpanded = isFolder && state.expanded.has(node.id);
-  const hasChildren =
-    isFolder && Array.isArray(node.children) && node.children.length > 0;
+  const movable = nodes.filter((n) => parentOf(n.id)?.id !== target?.id);
+  if (!movable.length) return `The items are already in '${target.name}'.`;
 
-  const isSelected = node.id === state.selectedId;
-  const isFocused = node.id === state.focusedId;
+  const names = new Set();
+  for (const node of movable) {
+    const error = moveError(node, target);
+    if (error) return error;
 
-  const twisty = isFolder
-    ? `<span class="treeItem__twisty" data-action="toggle" aria-hidden="true">${
-        hasChildren ? (isExpanded ? "▼" : "▶") : "•"
-      }</span>`
-    : `<span class="treeItem__twisty" aria-hidden="true"></span>`;
+    const lower = node.name.toLowerCase();
+    if (names.has(lower)) return `Two selected items are named '${node.name}'.`;
+    names.add(lower);
+  }
+  return null;
+}
 
-  const icon = isFolder ? "📁" : "📄";
+async function moveNodes(ids, targetId) {
+  const nodes = ids.map((id) => nodeById(id)).filter(Boolean);
+  const target = nodeById(targetId);
 
-  const actions =
-    node.type === "file"
-      ? `
-      <div class="treeItem__actions">
-        <button
-          class="treeActionBtn"
-          type="button"
-          aria-label="File actions"
-          data-action="menu"
-          data-menu-id="${escapeHtml(node.id)}"
-        >⋯</button>
-      </div>
-      ${FileMenu(node)}
-    `
-      : "";
+  const error = nodes.length
+    ? batchMoveError(nodes, target)
+    : "Nothing to move.";
+  if (error) {
+    showToast(error, "error");
+    return;
+  }
 
-  const item = `
-    <div
-      class="treeItem"
-      role="treeitem"
-      aria-expanded="${isFolder ? String(isExpanded) : "false"}"
-      aria-selected="${String(isSelected)}"
-      data-node-id="${escapeHtml(node.id)}"
-      data-selected="${String(isSelected)}"
-      data-focused="${String(isFocused)}"
-      style="margin-left:${level * 6}px"
-    >
-      ${twisty}
-      <span class="treeItem__icon" aria-hidden="true">${icon}</span>
-      <span class="treeItem__label">${highlight(node.name, query)}</span>
-      ${actions}
-    </div>
-  `;
+  const moves = [];
+  let failure = null;
+  for (const node of nodes) {
+    const fromId = parentOf(node.id).id;
+    if (fromId === target.id) continue;
+    try {
+      await relocateNode(node.id, target.id);
+      moves.push({ id: node.id, fromId });
+    } catch (err) {
+      failure = err;
+      break;
+    }
+  }
 
-  if (!isFolder || !isExpanded) return item;
+  const label =
+    moves.length === 1
+      ? `'${nodeById(moves[0].id).name}'`
+      : `${moves.length} items`;
+  if (moves.length) {
+    history.record({
+      label: `move ${label}`,
+      undo: async () => {
+        for (const { id, fromId } of [...moves].reverse()) {
+          await relocateNode(id, fromId);
+        }
+      },
+      redo: async () => {
+        for (const { id } of moves) await relocateNode(id, target.id);
+      },
+    });
+  }
 
-  const childrenHtml = (node.children || [])
-    .map((child) => Tree({ node: child, level: level + 1, query, onVisible }))
-    .join("");
+  state.expanded.add(target.id);
+  setFocus(moves[0]?.id ?? state.focusedId);
+  renderAll({ preserveTreeScroll: true });
+  scrollFocusedIntoView();
 
-  return `${item}<div class="treeChildren" role="group">${childrenHtml}</div>`;
+  if (failure) {
+    showToast(`Move failed: ${errorMessage(failure)}`, "error");
+  } else {
+    showToast(`Moved ${label} to '${target.name}'.`);
+  }
 }
 
-function FileMenu(fileNode) {
-  if (state.openMenuForId !== fileNode.id) return "";
+function onTreeDragStart(e) {
+  const row = e.target.closest("[data-node-id]");
+  if (!row || row.getAttribute("draggable") !== "true") return;
 
-  return `
-    <div class="menu" role="menu" aria-label="File actions">
-      <button type="button" data-action="view-details" data-id="${escapeHtml(fileNode.id)}">View File Details</button>
-      <button type="button" class="danger" data-action="delete" data-id="${escapeHtml(fileNode.id)}">Delete File</button>
-    </div>
-  `;
+  state.dragId = row.dataset.nodeId;
+  state.dragIds = actionTargets(state.dragId);
+  state.openMenuForId = null;
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData(DRAG_TYPE, state.dragId);
+  e.dataTransfer.setData("text/plain", row.textContent.trim());
+
+  // Mark targets on the live rows; re-rendering here would cancel the drag
+  markDropTargets();
 }
 
-function EmptyWorkspace() {
+function onTreeDragOver(e) {
+  if (!state.dragId && e.dataTransfer.types.includes("Files")) {
+    onTreeFileDragOver(e);
+    return;
+  }
+  if (!state.dragId) return;
+
+  const row = e.target.closest("[data-node-id]");
+  const targetId = row?.dataset.nodeId ?? null;
+  if (targetId !== state.dragHoverId) setDragHover(targetId);
+
+  if (row?.dataset.dropValid === "true") {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+  }
+}
+
+function onTreeDragLeave(e) {
+  // Only clear when the pointer leaves the tree, not when crossing rows
+  if (els.tree.contains(e.relatedTarget)) return;
+  if (state.dragFiles) clearDrag();
+  else if (state.dragId) setDragHover(null);
+}
+
+function onTreeDrop(e) {
+  if (state.dragFiles) {
+    onTreeFileDrop(e);
+    return;
+  }
+  if (!state.dragId) return;
+  e.preventDefault();
+
+  const row = e.target.closest("[data-node-id]");
+  const dragIds = state.dragIds;
+  clearDrag();
+  if (row) moveNodes(dragIds, row.dataset.nodeId);
+}
+
+function setDragHover(id) {
+  state.dragHoverId = id;
+  clearTimeout(state.dragExpandTimer);
+
+  for (const row of els.tree.querySelectorAll("[data-drop-hover]")) {
+    delete row.dataset.dropHover;
+  }
+  const row = id ? treeRow(id) : null;
+  if (!row || row.dataset.dropValid !== "true") return;
+  row.dataset.dropHover = "true";
+
+  if (!state.expanded.has(id)) {
+    state.dragExpandTimer = setTimeout(() => {
+      if ((state.dragId || state.dragFiles) && state.dragHoverId === id) {
+        state.expanded.add(id);
+        renderTree();
+        setDragHover(id);
+      }
+    }, DRAG_EXPAND_DELAY);
+  }
+}
+
+function markDropTargets() {
+  const dragged = state.dragIds.map((id) => nodeById(id));
+  els.tree.dataset.dragging = "true";
+
+  for (const row of els.tree.querySelectorAll("[data-node-id]")) {
+    const target = nodeById(row.dataset.nodeId);
+    // Dropped OS files can land in any folder the user may add to
+    const valid = state.dragFiles
+      ? target?.type === "folder" && can(target, "create")
+      : !batchMoveError(dragged, target);
+    row.dataset.dropValid = String(valid);
+  }
+}
+
+function clearDrag() {
+  state.dragId = null;
+  state.dragIds = [];
+  state.dragFiles = false;
+  state.dragHoverId = null;
+  clearTimeout(state.dragExpandTimer);
+
+  delete els.tree.dataset.dragging;
+  for (const row of els.tree.querySelectorAll("[data-drop-valid]")) {
+    delete row.dataset.dropValid;
+    delete row.dataset.dropHover;
+  }
+}
+
+function cutNode(id) {
+  const ids = actionTargets(id);
+  if (!ids.length) return;
+  if (ids.some((target) => denied(nodeById(target), "move"))) return;
+
+  state.cutIds = ids;
+  state.openMenuForId = null;
+  renderAll({ preserveTreeScroll: true });
+
+  const what =
+    ids.length === 1 ? `'${nodeById(ids[0]).name}'` : `${ids.length} items`;
+  showToast(`Cut ${what}. Focus a folder and press Ctrl+V to move.`);
+}
+
+function pasteInto(id) {
+  if (!state.cutIds.length) return;
+
+  // Pasting on a file drops into the folder that holds it
+  const focused = nodeById(id);
+  const target = focused?.type === "file" ? parentOf(id) : focused;
+
+  const cutIds = state.cutIds;
+  state.cutIds = [];
+  state.openMenuForId = null;
+  moveNodes(cutIds, target?.id);
+}
+
+// -----------------------------
+// Content Search
+// -----------------------------
+const CONTENT_SEARCH_EXTENSIONS = ["txt", "log", "md", "json", "yaml", "yml"];
+const MAX_INDEXED_BYTES = 4 * 1024 * 1024; // larger files index their start
+
+let textIndex = null; // created on first use
+let textIndexQueue = Promise.resolve(); // index updates run one at a time
+const indexedText = new Map(); // node id -> signature of the indexed text
+
+function setContentMode(on) {
+  state.contentMode = on;
+  els.contentSearchToggle.setAttribute("aria-pressed", String(on));
+  els.treeSearch.placeholder = on ? "Search in files..." : "Search vault...";
+  els.treeSearch.value = "";
+  els.treeSearch.focus();
+
+  // The tree is never filtered while searching contents
+  setTreeQuery("");
+  if (on) {
+    runContentSearch("");
+  } else {
+    state.contentSearch = null;
+    if (state.mode === "search")
+      state.mode = state.previewId ? "preview" : "empty";
+    renderAll({ preserveTreeScroll: true });
+  }
+}
+
+async function runContentSearch(value) {
+  const search = {
+    query: value.trim(),
+    status: "indexing",
+    files: [],
+    truncated: false,
+    indexed: 0,
+    total: 0,
+    skipped: 0,
+    error: null,
+  };
+  state.contentSearch = search;
+  state.mode = "search";
+  renderAll({ preserveTreeScroll: true });
+  if (!search.query) return;
+
+  // A newer keystroke replaces `state.contentSearch`; stale results are dropped
+  const current = () => state.contentSearch === search;
+  try {
+    await queueTextIndexUpdate(search);
+    if (!current()) return;
+
+    search.status = "searching";
+    renderWorkspace();
+    Object.assign(search, await textIndex.search(search.query));
+    search.status = "ready";
+  } catch (err) {
+    search.status = "error";
+    search.error = errorMessage(err);
+  }
+  if (current()) renderWorkspace();
+}
+
+function queueTextIndexUpdate(search) {
+  const update = textIndexQueue.then(() => updateTextIndex(search));
+  textIndexQueue = update.catch(() => {});
+  return update;
+}
+
+// Brings the worker's index in line with the tree: new or changed files
+// are read and added, removed or locked ones are dropped
+async function updateTextIndex(search) {
+  textIndex ??= createTextIndex();
+
+  const wanted = new Map();
+  walk(state.data, (node) => {
+    if (node.type !== "file" || !can(node, "preview")) return;
+    if (!CONTENT_SEARCH_EXTENSIONS.includes(getExt(node.name))) return;
+    // Files with no content have nothing to search, which is no failure
+    if (!store.hasContent(node)) return;
+    if (isLocked(node)) {
+      search.skipped++;
+      return;
+    }
+    wanted.set(node.id, { node, signature: textSignature(node) });
+  });
+
+  for (const id of indexedText.keys()) {
+    if (wanted.has(id)) continue;
+    indexedText.delete(id);
+    await textIndex.remove(id);
+  }
+
+  const stale = [...wanted.values()].filter(
+    ({ node, signature }) => indexedText.get(node.id) !== signature,
+  );
+  search.total = stale.length;
+
+  for (const { node, signature } of stale) {
+    try {
+      const page = await readPreviewContent(node, {
+        offset: 0,
+        length: MAX_INDEXED_BYTES,
+      });
+      await textIndex.add(node.id, new TextDecoder().decode(page.bytes));
+      indexedText.set(node.id, signature);
+    } catch {
+      // Left out for now and retried on the next search
+      search.skipped++;
+    }
+    search.indexed++;
+    if (state.contentSearch === search) renderWorkspace();
+  }
+}
+
+// Changes when the text a file would be indexed with changes
+function textSignature(node) {
+  const source = state.unlocked.has(node.id) ? "unlocked" : "plain";
+  return `${node.name}|${node.size}|${node.checksum ?? ""}|${source}`;
+}
+
+// -----------------------------
+// Command Palette
+// -----------------------------
+const PALETTE_LIMIT = 50;
+
+function updatePalette() {
+  if (!state.data) return;
+
+  const query = els.globalSearch.value.trim();
+  // Built on first use after a change, then reused for every keystroke
+  state.searchIndex ??= buildSearchIndex(state.data, {
+    include: (node) => can(node, "view"),
+  });
+  state.paletteResults = query
+    ? fuzzySearch(state.searchIndex, query, { limit: PALETTE_LIMIT })
+    : [];
+  state.paletteActive = 0;
+  state.paletteOpen = Boolean(query);
+  renderPalette();
+}
+
+function closePalette() {
+  state.paletteOpen = false;
+  renderPalette();
+}
+
+function onPaletteKeyDown(e) {
+  const count = state.paletteResults.length;
+
+  switch (e.key) {
+    case "ArrowDown":
+    case "ArrowUp": {
+      e.preventDefault();
+      if (!state.paletteOpen) {
+        updatePalette();
+        return;
+      }
+      if (!count) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      state.paletteActive = (state.paletteActive + step + count) % count;
+      renderPalette();
+      break;
+    }
+    case "Enter": {
+      e.preventDefault();
+      const hit = state.paletteResults[state.paletteActive];
+      if (state.paletteOpen && hit) pickResult(hit.entry.id);
+      break;
+    }
+    case "Escape": {
+      e.preventDefault();
+      if (state.paletteOpen) closePalette();
+      else els.tree.focus();
+      break;
+    }
+  }
+}
+
+function pickResult(id) {
+  els.globalSearch.value = "";
+  closePalette();
+  revealNode(id);
+  els.tree.focus();
+}
+
+// Shows a node in the tree: clears a tree filter that would hide it,
+// expands its ancestors, focuses it and previews files (or opens the
+// details view when `mode` is "details")
+function revealNode(id, mode = "preview") {
+  const node = nodeById(id);
+  if (!node) return;
+
+  if (!filterNodeForQuery(node, state.search)) {
+    els.treeSearch.value = "";
+    compileTreeQuery("");
+  }
+
+  for (const ancestor of ancestorsOf(id)) {
+    state.expanded.add(ancestor.id);
+  }
+  state.selection.clear();
+  state.anchorId = id;
+  setFocus(id);
+
+  if (mode === "details") {
+    openDetails(id);
+  } else if (node.type === "file") {
+    openPreview(id);
+  } else {
+    state.expanded.add(id);
+    renderAll();
+  }
+  scrollFocusedIntoView();
+}
+
+// -----------------------------
+// Access Control (roles + inherited ACLs, see access.js)
+// -----------------------------
+let access = null; // rights of the acting user, created in init()
+
+const ACTION_VERBS = {
+  view: "see",
+  preview: "preview",
+  details: "view the details of",
+  download: "download",
+  rename: "rename",
+  move: "move",
+  delete: "delete",
+  create: "add items to",
+  encrypt: "encrypt",
+};
+
+function findUser(id) {
+  const { users } = config.access;
+  return users.find((user) => user.id === id) ?? users[0];
+}
+
+function can(node, action) {
+  return Boolean(node) && access.can(node, action);
+}
+
+// For user actions the UI should not have offered in the first place;
+// says why and returns true when `action` is not allowed on `node`
+function denied(node, action) {
+  if (can(node, action)) return false;
+  showToast(permissionMessage(node, action), "error");
+  return true;
+}
+
+function permissionMessage(node, action) {
+  return `You don't have permission to ${ACTION_VERBS[action]} '${node?.name ?? "this item"}'.`;
+}
+
+// Trashed nodes are out of the tree; they keep the rights of the folder
+// they were deleted from
+function accessParent(node) {
+  if (node.id === state.data.id) return null;
+  const parent = parentOf(node.id);
+  if (parent) return parent;
+
+  const entry = state.trash.find((e) => e.node === node);
+  return entry ? (nodeById(entry.parentId) ?? state.data) : null;
+}
+
+function visibleTrash() {
+  return state.trash.filter((entry) => can(entry.node, "view"));
+}
+
+function purgeableTrash() {
+  return state.trash.filter((entry) => can(entry.node, "delete"));
+}
+
+function requestDelete(ids) {
+  if (ids.some((id) => denied(nodeById(id), "delete"))) return;
+  state.deleteTargetIds = ids;
+}
+
+function switchUser(id) {
+  const user = findUser(id);
+  access = createAccessControl(user, { parentOf: accessParent });
+  markTreeChanged();
+
+  // Nothing the new user cannot act on may stay open or picked
+  state.renamingId = null;
+  state.renameError = null;
+  state.selection.clear();
+  state.cutIds = [];
+  state.openMenuForId = null;
+  state.deleteTargetIds = [];
+  state.moveDialogIds = null;
+  state.metaEdit = null;
+  // Undo replays changes with the rights of whoever made them
+  history.clear();
+  if (!can(nodeById(state.focusedId), "view")) state.focusedId = state.data.id;
+  if (!can(nodeById(state.selectedId), "details")) state.selectedId = null;
+  if (!can(nodeById(state.previewId), "preview")) state.previewId = null;
+  if (!can(nodeById(state.compare?.id), "preview")) state.compare = null;
+  if (
+    (state.mode === "preview" && !state.previewId) ||
+    (state.mode === "details" && !state.selectedId) ||
+    (state.mode === "compare" && !state.compare) ||
+    (state.mode === "diagnostics" && !canSeeDiagnostics())
+  ) {
+    state.mode = "empty";
+  }
+
+  const url = new URL(window.location.href);
+  url.searchParams.set("user", user.id);
+  window.history.replaceState(null, "", url);
+
+  if (state.contentSearch) runContentSearch(state.contentSearch.query);
+  else renderAll({ preserveTreeScroll: true });
+  showToast(`Now acting as ${user.id} (${user.role}).`);
+}
+
+// -----------------------------
+// Session (URL hash + saved preferences, see session.js)
+// -----------------------------
+const PANEL_LIMITS = {
+  explorer: { min: 220, max: 560 },
+  inspector: { min: 260, max: 600 },
+};
+const PANEL_KEY_STEP = 16; // px per arrow key press on a splitter
+
+function currentView() {
+  if (state.mode === "preview") return { mode: "preview", id: state.previewId };
+  if (state.mode === "details")
+    return { mode: "details", id: state.selectedId };
+  // A comparison is not linkable; the link opens the file's details
+  if (state.mode === "compare")
+    return { mode: "details", id: state.compare.id };
+  return { mode: state.mode, id: null };
+}
+
+// Opening a view pushes a history entry; any other change (a deleted
+// file closing its preview) replaces the current one
+function updateViewHash({ push = false } = {}) {
+  const hash = viewHash(currentView());
+  if (hash === window.location.hash) return;
+
+  const url = hash || `${window.location.pathname}${window.location.search}`;
+  if (push) window.history.pushState(null, "", url);
+  else window.history.replaceState(null, "", url);
+}
+
+// Opens the view named in the URL hash: on boot, and whenever
+// back/forward or an edited address changes it
+function showViewFromHash() {
+  const view = parseViewHash(window.location.hash);
+  if (view?.mode === "trash") {
+    openTrash();
+    return;
+  }
+  if (view?.mode === "audit") {
+    openAudit();
+    return;
+  }
+  if (view?.mode === "diagnostics" && canSeeDiagnostics()) {
+    openDiagnostics();
+    return;
+  }
+
+  const node = view && nodeById(view.id);
+  if (can(node, "view")) {
+    revealNode(node.id, view.mode);
+    return;
+  }
+
+  // Hidden items are reported exactly like missing ones
+  if (view) showToast("The linked item no longer exists.", "error");
+  state.mode = state.contentSearch ? "search" : "empty";
+  renderAll({ preserveTreeScroll: true });
+}
+
+function restoreSession() {
+  const saved = session.load();
+
+  for (const id of Array.isArray(saved.expanded) ? saved.expanded : []) {
+    if (nodeById(id)?.type === "folder") state.expanded.add(id);
+  }
+  if (nodeById(saved.focusedId)) state.focusedId = saved.focusedId;
+
+  for (const panel of Object.keys(PANEL_LIMITS)) {
+    if (Number.isFinite(saved.panelWidths?.[panel])) {
+      setPanelWidth(panel, saved.panelWidths[panel], { save: false });
+    }
+  }
+
+  if (LIST_COLUMNS[saved.listSort?.key]) {
+    state.listSort = {
+      key: saved.listSort.key,
+      dir: saved.listSort.dir === "desc" ? "desc" : "asc",
+    };
+  }
+
+  if (typeof saved.query === "string" && saved.query) {
+    els.treeSearch.value = saved.query;
+    compileTreeQuery(saved.query);
+  }
+}
+
+function saveSession() {
+  session.save({
+    expanded: [...state.expanded],
+    focusedId: state.focusedId,
+    query: state.query,
+    panelWidths: state.panelWidths,
+    listSort: state.listSort,
+  });
+}
+
+// `width` null goes back to the stylesheet default
+function setPanelWidth(panel, width, { save = true } = {}) {
+  const { min, max } = PANEL_LIMITS[panel];
+  const splitter = document.querySelector(`[data-resize="${panel}"]`);
+
+  if (width === null) {
+    delete state.panelWidths[panel];
+    els.layout.style.removeProperty(`--${panel}-width`);
+  } else {
+    width = Math.round(Math.min(max, Math.max(min, width)));
+    state.panelWidths[panel] = width;
+    els.layout.style.setProperty(`--${panel}-width`, `${width}px`);
+  }
+  splitter?.setAttribute("aria-valuenow", String(panelWidth(panel)));
+
+  if (save) saveSession();
+}
+
+function panelWidth(panel) {
+  const side = panel === "explorer" ? "left" : "right";
+  const el = document.querySelector(`.panel--${side}`);
+  return Math.round(el.getBoundingClientRect().width);
+}
+
+function onSplitterPointerDown(e) {
+  if (e.button !== 0) return;
+  e.preventDefault();
+
+  const splitter = e.currentTarget;
+  const panel = splitter.dataset.resize;
+  const startX = e.clientX;
+  const startWidth = panelWidth(panel);
+  // The explorer grows to the right, the inspector to the left
+  const direction = panel === "explorer" ? 1 : -1;
+
+  splitter.setPointerCapture?.(e.pointerId);
+  splitter.classList.add("is-dragging");
+
+  const onMove = (move) => {
+    const delta = (move.clientX - startX) * direction;
+    setPanelWidth(panel, startWidth + delta, { save: false });
+  };
+  const onUp = () => {
+    splitter.classList.remove("is-dragging");
+    splitter.removeEventListener("pointermove", onMove);
+    splitter.removeEventListener("pointerup", onUp);
+    splitter.removeEventListener("pointercancel", onUp);
+    saveSession();
+  };
+  splitter.addEventListener("pointermove", onMove);
+  splitter.addEventListener("pointerup", onUp);
+  splitter.addEventListener("pointercancel", onUp);
+}
+
+function onSplitterKeyDown(e) {
+  const panel = e.currentTarget.dataset.resize;
+  const { min, max } = PANEL_LIMITS[panel];
+  const grow = panel === "explorer" ? "ArrowRight" : "ArrowLeft";
+  const shrink = panel === "explorer" ? "ArrowLeft" : "ArrowRight";
+
+  let width = null;
+  if (e.key === grow) width = panelWidth(panel) + PANEL_KEY_STEP;
+  else if (e.key === shrink) width = panelWidth(panel) - PANEL_KEY_STEP;
+  else if (e.key === "Home") width = min;
+  else if (e.key === "End") width = max;
+  else return;
+
+  e.preventDefault();
+  setPanelWidth(panel, width);
+}
+
+// -----------------------------
+// Multi-select
+// -----------------------------
+function selectWithPointer(id, e) {
+  state.openMenuForId = null;
+
+  if (e.shiftKey) {
+    // Shift replaces the selection with the range; Ctrl+Shift adds to it
+    if (!(e.ctrlKey || e.metaKey)) state.selection.clear();
+    for (const rangeId of visibleRange(state.anchorId ?? state.focusedId, id)) {
+      state.selection.add(rangeId);
+    }
+  } else if (id !== state.data.id) {
+    // The first Ctrl-click keeps the row clicked before it
+    if (!state.selection.size && state.anchorId && state.anchorId !== id) {
+      if (state.anchorId !== state.data.id) state.selection.add(state.anchorId);
+    }
+    if (state.selection.has(id)) state.selection.delete(id);
+    else state.selection.add(id);
+    state.anchorId = id;
+  }
+
+  setFocus(id);
+  renderAll({ preserveTreeScroll: true });
+}
+
+function extendSelection(toId) {
+  state.anchorId ??= state.focusedId;
+  state.selection = new Set(visibleRange(state.anchorId, toId));
+}
+
+// Visible ids between two rows, inclusive; the vault root is never part
+// of a selection
+function visibleRange(fromId, toId) {
+  const ids = state.visibleIds;
+  const a = ids.indexOf(fromId);
+  const b = ids.indexOf(toId);
+  if (a < 0 || b < 0) return toId === state.data.id ? [] : [toId];
+
+  return ids
+    .slice(Math.min(a, b), Math.max(a, b) + 1)
+    .filter((id) => id !== state.data.id);
+}
+
+// The ids a row action applies to: the whole selection when the row is
+// part of it, otherwise just that row. Items inside a selected folder
+// travel with it and are dropped from the list.
+function actionTargets(id) {
+  if (!state.selection.has(id)) {
+    return id && id !== state.data.id ? [id] : [];
+  }
+  return selectedTopLevelIds();
+}
+
+// Selected items stay selected while a collapsed folder or the filter
+// hides them, so this works from the selection rather than the rows
+function selectedTopLevelIds() {
+  return [...state.selection].filter(
+    (id) =>
+      nodeById(id) && !ancestorsOf(id).some((a) => state.selection.has(a.id)),
+  );
+}
+
+function selectedNodes() {
+  return selectedTopLevelIds().map((id) => nodeById(id));
+}
+
+function onSelectionAction(action) {
+  const ids = selectedTopLevelIds();
+  if (action === "clear-selection") {
+    state.selection.clear();
+  } else if (action === "bulk-delete" && ids.length) {
+    requestDelete(ids);
+  } else if (action === "bulk-move" && ids.length) {
+    if (!ids.some((id) => denied(nodeById(id), "move"))) {
+      state.moveDialogIds = ids;
+    }
+  } else if (action === "bulk-export" && ids.length) {
+    if (!ids.some((id) => denied(nodeById(id), "download"))) {
+      exportNodes(selectedNodes());
+    }
+  }
+  renderAll({ preserveTreeScroll: true });
+}
+
+const EXPORT_FORMATS = {
+  json: {
+    ext: "json",
+    type: "application/json",
+    build: (nodes, include) =>
+      JSON.stringify(toManifest(nodes, { include }), null, 2),
+  },
+  csv: {
+    ext: "csv",
+    type: "text/csv",
+    build: (nodes, include) => toCsv(nodes, { include }),
+  },
+  text: {
+    ext: "txt",
+    type: "text/plain",
+    build: (nodes, include) => toTextTree(nodes, { include }),
+  },
+};
+
+// Hidden descendants always stay out of the file; `include` can narrow
+// it further (e.g. to what a search shows)
+function exportNodes(
+  nodes,
+  { format = "json", include = () => true, name = null } = {},
+) {
+  const { ext, type, build } = EXPORT_FORMATS[format];
+  const text = build(nodes, (node) => can(node, "view") && include(node));
+  name ??= nodes.length === 1 ? nodes[0].name : "securevault-export";
+  downloadBlob(new Blob([text], { type }), `${name}.${ext}`);
+
+  const label = format.toUpperCase();
+  for (const node of nodes) recordAudit("download", node, `${label} export`);
+  showToast(
+    `Exported ${nodes.length === 1 ? `'${nodes[0].name}'` : `${nodes.length} items`} as ${label}.`,
+  );
+}
+
+// The whole tree, or only what the explorer search is showing
+function exportScope() {
+  const content = state.contentSearch;
+  if (content?.query && content.status === "ready") {
+    return {
+      results: true,
+      nodes: content.files.map((file) => nodeById(file.id)).filter(Boolean),
+      include: () => true,
+    };
+  }
+
+  const search = state.search;
+  const include = (node) => filterNodeForQuery(node, search);
+  return {
+    results: Boolean(search),
+    nodes: (state.data.children || []).filter(include),
+    include,
+  };
+}
+
+function exportTree(format) {
+  const { results, nodes, include } = exportScope();
+  if (!nodes.length) {
+    showToast("Nothing to export.", "error");
+    return;
+  }
+  exportNodes(nodes, {
+    format,
+    include,
+    name: results ? "securevault-search" : "securevault-tree",
+  });
+}
+
+// -----------------------------
+// Downloads
+// -----------------------------
+// Encrypted files download exactly as stored (ciphertext, ".enc" added)
+// unless they are unlocked in this tab.
+async function readDownload(node) {
+  const plain = state.unlocked.get(node.id);
+  if (plain) return { blob: plain, name: node.name, form: "plaintext" };
+
+  const blob = await store.readContent(node);
+  return isEncrypted(node)
+    ? { blob, name: `${node.name}.enc`, form: "ciphertext" }
+    : { blob, name: node.name, form: "" };
+}
+
+function canDownload(node) {
+  return (
+    can(node, "download") && (node.type === "folder" || store.hasContent(node))
+  );
+}
+
+async function downloadNode(id) {
+  const node = nodeById(id);
+  state.openMenuForId = null;
+  if (denied(node, "download")) return;
+
+  try {
+    if (node.type === "folder") await downloadFolder(node);
+    else await downloadFile(node);
+  } catch (err) {
+    showToast(`Download failed: ${errorMessage(err)}`, "error");
+  }
+  renderAll({ preserveTreeScroll: true });
+}
+
+async function downloadFile(node) {
+  if (!store.hasContent(node)) {
+    throw new Error(`'${node.name}' has no content to download.`);
+  }
+
+  const { blob, name, form } = await readDownload(node);
+  downloadBlob(blob, name);
+  recordAudit("download", node, form);
+  showToast(
+    form === "ciphertext"
+      ? `Downloaded ${name} (encrypted). Unlock it to download the plaintext.`
+      : `Downloaded ${name}.`,
+  );
+}
+
+// Everything inside the folder the user can see, under a top-level
+// folder of the same name; files without content are left out
+async function downloadFolder(folder) {
+  showToast(`Preparing ${folder.name}.zip…`);
+
+  const base = folder.path.length - folder.name.length;
+  const nodes = [];
+  walk(folder, (node) => {
+    if (can(node, "view")) nodes.push(node);
+  });
+
+  const entries = [];
+  let files = 0;
+  let encrypted = 0;
+  let skipped = 0;
+  for (const node of nodes) {
+    const path = node.path.slice(base);
+    if (node.type === "folder") {
+      entries.push({ path: `${path}/` });
+      continue;
+    }
+    if (!store.hasContent(node)) {
+      skipped++;
+      continue;
+    }
+
+    const { blob, name, form } = await readDownload(node);
+    if (form === "ciphertext") encrypted++;
+    entries.push({
+      path: `${path.slice(0, -node.name.length)}${name}`,
+      blob,
+      date: node.modifiedAt ?? undefined,
+    });
+    files++;
+  }
+
+  downloadBlob(await createZip(entries), `${folder.name}.zip`);
+  recordAudit(
+    "download",
+    folder,
+    `ZIP, ${files} file${files === 1 ? "" : "s"}`,
+  );
+
+  const notes = [
+    skipped && `${skipped} without content left out`,
+    encrypted && `${encrypted} still encrypted`,
+  ].filter(Boolean);
+  showToast(
+    `Downloaded ${folder.name}.zip with ${files} file${files === 1 ? "" : "s"}${notes.length ? ` (${notes.join(", ")})` : ""}.`,
+  );
+}
+
+// -----------------------------
+// Tree Mutations
+// -----------------------------
+// Each applies one change to the store and then to the local tree. The
+// user actions above and the undo/redo commands share them, so a
+// replayed change behaves exactly like the original one.
+
+// Creates a node from a plain record (a fresh copy each time, so redo
+// does not reuse an object the tree has since let go of)
+async function insertNode(parentId, record, upload) {
+  const parent = nodeById(parentId);
+  if (!parent || parent.type !== "folder") {
+    throw new Error("The destination folder no longer exists.");
+  }
+  requireAccess(parent, "create");
+  const clash = siblingNameError(parent, record.name);
+  if (clash) throw new Error(clash);
+
+  const node = structuredClone(record);
+  if (node.type === "folder") await store.createFolder(storeId(parent), node);
+  else await store.createFile(storeId(parent), node, upload);
+
+  if (upload) {
+    node.blob = upload.blob;
+    // Uploads are hashed before they are stored, so the digest is known
+    node.sha256 = node.checksum;
+  }
+  nodeIndex.attach(parent, node);
+  enrichNodesInPlace(node, [...ancestorsOf(parent.id), parent]);
+  markTreeChanged();
+  return node;
+}
+
+// Permanent removal (used to undo a create)
+async function removeNode(id) {
+  requireAccess(requireNode(id), "delete");
+  await store.deleteNode(id);
+  removeNodeLocally(id);
+}
+
+async function renameNode(id, name) {
+  const node = requireNode(id);
+  requireAccess(node, "rename");
+  const clash = siblingNameError(parentOf(id), name, id);
+  if (clash) throw new Error(clash);
+
+  await store.renameNode(id, name);
+
+  // A guessed MIME type follows the new extension
+  if (node.type === "file" && node.mime === guessMime(node.name)) {
+    node.mime = guessMime(name);
+  }
+  const previous = node.name;
+  node.name = name;
+  recomputePaths(node);
+  recordAudit("rename", node, `from '${previous}'`);
+
+  // The preview renderer depends on the extension, so reload it
+  discardPreview(id);
+  if (state.previewId === id && isPreviewable(node) && !isLocked(node)) {
+    ensurePreviewContent(node);
+  }
+}
+
+async function relocateNode(id, targetId) {
+  const node = requireNode(id);
+  const target = nodeById(targetId);
+  const error = moveError(node, target);
+  if (error) throw new Error(error);
+
+  await store.moveNode(id, storeId(target));
+
+  const from = node.path;
+  nodeIndex.detach(id);
+  nodeIndex.attach(target, node);
+  recomputePaths(node);
+  recordAudit("move", node, `from ${from}`);
+}
+
+// `values` maps metadata fields (see metadata.js) to a new value, or to
+// null to remove one. `modified` is stamped with the current time unless
+// `values` carries it (undo puts the old timestamp back).
+async function updateMetadata(id, values) {
+  const node = requireNode(id);
+  requireAccess(node, "edit");
+  const [error] = Object.values(metadataErrors(values));
+  if (error) throw new Error(error);
+
+  const patch = { modified: formatTimestamp(new Date()), ...values };
+  await store.updateNode(id, patch);
+
+  for (const [field, value] of Object.entries(patch)) {
+    if (value === null) delete node[field];
+    else node[field] = structuredClone(value);
+  }
+  parseMetadata(node);
+  markTreeChanged();
+
+  const fields = Object.keys(values).filter((field) => field !== "modified");
+  recordAudit("edit", node, fields.join(", "));
+}
+
+// Makes `blob` the file's content. What it replaces is kept first as
+// version `versionId` (see versions.js), so the write can be undone.
+async function writeVersion(id, blob, versionId, { action, details }) {
+  const node = requireNode(id);
+  requireAccess(node, "edit");
+  if (isEncrypted(node))
+    throw new Error("Encrypted files do not keep versions.");
+
+  const now = formatTimestamp(new Date());
+  const version = {
+    id: versionId,
+    timestamp: node.modifiedAt ? formatTimestamp(node.modifiedAt) : now,
+  };
+  for (const field of ["author", "size", "checksum"]) {
+    if (node[field]) version[field] = node[field];
+  }
+  const checksum = await sha256Checksum(blob);
+  const patch = {
+    size: formatBytes(blob.size),
+    checksum,
+    author: access.user.id,
+    modified: now,
+  };
+
+  await storeSteps([
+    {
+      run: () => store.addVersion(id, version),
+      undo: () => store.removeVersion(id, versionId),
+    },
+    {
+      run: () => store.updateNode(id, patch),
+      undo: () => store.updateNode(id, fieldsOf(node, patch)),
+    },
+    { run: () => store.writeContent(id, blob) },
+  ]);
+
+  node.versions = [
+    { ...version, ...contentReference(node) },
+    ...(node.versions || []),
+  ];
+  applyContent(node, blob, patch, checksum);
+  recordAudit(action, node, details);
+}
+
+// Undoes writeVersion: the version it kept becomes the content again
+async function unwriteVersion(id, versionId) {
+  const node = requireNode(id);
+  requireAccess(node, "edit");
+  const [version] = node.versions || [];
+  if (version?.id !== versionId) {
+    throw new Error(`The versions of '${node.name}' have changed since.`);
+  }
+  const number = versionNumber(node, version);
+
+  const blob = await store.readVersion(node, version);
+  const patch = {
+    size: version.size ?? null,
+    checksum: version.checksum ?? null,
+    author: version.author ?? null,
+    modified: version.timestamp,
+  };
+  const current = node.blob ?? (await store.readContent(node));
+  await storeSteps([
+    {
+      run: () => store.updateNode(id, patch),
+      undo: () => store.updateNode(id, fieldsOf(node, patch)),
+    },
+    {
+      run: () => store.writeContent(id, blob),
+      undo: () => store.writeContent(id, current),
+    },
+    { run: () => store.removeVersion(id, versionId) },
+  ]);
+
+  node.versions = node.versions.slice(1);
+  if (!node.versions.length) delete node.versions;
+  applyContent(node, blob, patch, await sha256Checksum(blob));
+  recordAudit("revert", node, `v${number}`);
+}
+
+// The local side of a content write; `patch` fields set to null are removed
+function applyContent(node, blob, patch, sha256) {
+  delete node.src;
+  delete node.content;
+  for (const [field, value] of Object.entries(patch)) {
+    if (value === null) delete node[field];
+    else node[field] = value;
+  }
+  Object.assign(node, { blob, sha256 });
+  node.status = compareChecksum(node.checksum, node.sha256);
+  parseMetadata(node);
+  markTreeChanged();
+
+  discardPreview(node.id);
+  if (state.previewId === node.id && isPreviewable(node)) {
+    ensurePreviewContent(node);
+  }
+  if (state.compare?.id === node.id) loadCompare();
+}
+
+// Runs the store calls of one change in order. When one fails, those
+// that already ran are undone (newest first), so the store is not left
+// half changed; each step is { run, undo? }.
+async function storeSteps(steps) {
+  const done = [];
+  try {
+    for (const step of steps) {
+      await step.run();
+      done.push(step);
+    }
+  } catch (err) {
+    try {
+      for (const step of done.reverse()) await step.undo?.();
+    } catch {
+      throw new Error(
+        `${errorMessage(err)} Undoing the partial change failed too; reload to see what was stored.`,
+      );
+    }
+    throw err;
+  }
+}
+
+// The current values of `patch`'s fields, null for those not set
+function fieldsOf(node, patch) {
+  return Object.fromEntries(
+    Object.keys(patch).map((field) => [field, node[field] ?? null]),
+  );
+}
+
+function requireNode(id) {
+  const node = nodeById(id);
+  if (!node) throw new Error("The item no longer exists.");
+  return node;
+}
+
+// Undo and redo replay these helpers without going through the UI, so
+// they check the acting user's rights themselves
+function requireAccess(node, action) {
+  if (!can(node, action)) throw new Error(permissionMessage(node, action));
+}
+
+// -----------------------------
+// Trash
+// -----------------------------
+async function trashNode(id) {
+  const node = requireNode(id);
+  requireAccess(node, "delete");
+  const parent = parentOf(id);
+  const path = node.path;
+
+  await store.trashNode(id, { path });
+  recordAudit("delete", node);
+
+  removeNodeLocally(id);
+  state.trash.unshift({
+    node,
+    parentId: parent.id,
+    path,
+    deletedAt: new Date().toISOString(),
+  });
+}
+
+// Puts a trashed node back under its original parent; if that folder is
+// gone it lands in the vault root. A name clash gets a " (n)" suffix.
+async function restoreFromTrash(id) {
+  const entry = state.trash.find((e) => e.node.id === id);
+  if (!entry) throw new Error("The item is no longer in the Trash.");
+  requireAccess(entry.node, "delete");
+
+  const original = nodeById(entry.parentId);
+  const parent = original?.type === "folder" ? original : state.data;
+  const node = entry.node;
+  const name = findChildByName(parent, node.name)
+    ? node.type === "file"
+      ? uniqueChildName(parent, ...splitExt(node.name))
+      : uniqueChildName(parent, node.name)
+    : node.name;
+
+  await store.restoreNode(id, storeId(parent), name);
+
+  state.trash = state.trash.filter((e) => e !== entry);
+  node.name = name;
+  nodeIndex.attach(parent, node);
+  recomputePaths(node);
+  recordAudit("restore", node);
+  state.expanded.add(parent.id);
+  return parent;
+}
+
+// Puts `record` in place of the file `replacedId`, which goes to the
+// Trash. If the new node cannot be stored the original comes back, so
+// a failed replace changes nothing.
+async function replaceNode(replacedId, parentId, record, upload) {
+  await trashNode(replacedId);
+  try {
+    return await insertNode(parentId, record, upload);
+  } catch (err) {
+    try {
+      await restoreFromTrash(replacedId);
+    } catch {
+      throw new Error(
+        `${errorMessage(err)} The original file is still in the Trash.`,
+      );
+    }
+    throw err;
+  }
+}
+
+async function restoreNode(id) {
+  const entry = state.trash.find((e) => e.node.id === id);
+  if (!entry || denied(entry.node, "delete")) return;
+
+  let parent;
+  try {
+    parent = await restoreFromTrash(id);
+  } catch (err) {
+    showToast(`Restore failed: ${errorMessage(err)}`, "error");
+    return;
+  }
+
+  history.record({
+    label: `restore '${entry.node.name}'`,
+    undo: () => trashNode(id),
+    redo: () => restoreFromTrash(id),
+  });
+  renderAll({ preserveTreeScroll: true });
+
+  const moved = parent.id !== entry.parentId;
+  showToast(
+    moved
+      ? `Restored '${entry.node.name}' to ${parent.name}; its original folder no longer exists.`
+      : `Restored '${entry.node.name}' to ${entry.path}.`,
+    moved ? "error" : "good",
+  );
+}
+
+async function purgeCurrentTarget() {
+  const target = state.purgeTargetId;
+  state.purgeTargetId = null;
+
+  const entries =
+    target === "all"
+      ? purgeableTrash()
+      : state.trash.filter((e) => e.node.id === target);
+  if (entries.some((e) => denied(e.node, "delete"))) {
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+
+  const ids = entries.map((e) => e.node.id);
+  try {
+    for (const id of ids) {
+      await store.purgeNode(id);
+      state.trash = state.trash.filter((e) => e.node.id !== id);
+    }
+  } catch (err) {
+    showToast(`Purge failed: ${errorMessage(err)}`, "error");
+  }
+  renderAll({ preserveTreeScroll: true });
+}
+
+function openTrash() {
+  state.mode = "trash";
+  state.openMenuForId = null;
+  updateViewHash({ push: true });
+  renderAll({ preserveTreeScroll: true });
+}
+
+// Trash entries from the store carry only the raw node; they are
+// enriched like the live tree so a restore needs no extra work
+function toTrashEntry(entry, root) {
+  enrichNodesInPlace(entry.node);
+  entry.node.path = entry.path ?? entry.node.path;
+  return { ...entry, parentId: entry.parentId ?? root.id };
+}
+
+// -----------------------------
+// Audit Log (see audit.js)
+// -----------------------------
+function recordAudit(action, node, details = "") {
+  if (node) audit.record({ action, actor: access.user.id, node, details });
+}
+
+// Entries for nodes the acting user can't see (or that were purged)
+// are left out for everyone but admins
+function visibleAudit() {
+  if (access.user.role === "admin") return audit.entries;
+  return audit.entries.filter((entry) =>
+    can(
+      nodeById(entry.nodeId) ??
+        state.trash.find((e) => e.node.id === entry.nodeId)?.node,
+      "view",
+    ),
+  );
+}
+
+// Quarantined items bypass the ACLs, so only admins get to see them
+function canSeeDiagnostics() {
+  return access.user.role === "admin";
+}
+
+function openDiagnostics() {
+  state.mode = "diagnostics";
+  state.openMenuForId = null;
+  updateViewHash({ push: true });
+  renderAll({ preserveTreeScroll: true });
+}
+
+function openAudit(filter = {}) {
+  state.mode = "audit";
+  state.openMenuForId = null;
+  state.auditFilter = { action: "", actor: "", text: "", ...filter };
+  updateViewHash({ push: true });
+  renderAll({ preserveTreeScroll: true });
+}
+
+function exportAudit(format) {
+  const entries = filterAudit(visibleAudit(), state.auditFilter);
+  const blob =
+    format === "csv"
+      ? new Blob([auditToCsv(entries)], { type: "text/csv" })
+      : new Blob([JSON.stringify(entries, null, 2)], {
+          type: "application/json",
+        });
+  downloadBlob(blob, `securevault-audit.${format}`);
+  showToast(
+    `Exported ${entries.length} audit entr${entries.length === 1 ? "y" : "ies"} as ${format.toUpperCase()}.`,
+  );
+}
+
+// The node's own history, newest first, for the inspector
+function nodeActivity(node) {
+  return audit.forNode(node.id).map((entry) => ({
+    who: entry.actor,
+    what: `${AUDIT_ACTIONS[entry.action]}${entry.details ? ` ${entry.details}` : ""}`,
+    when: formatRelative(entry.timestamp),
+    title: formatTimestamp(new Date(entry.timestamp)),
+    avatar: config.access.users.find((user) => user.id === entry.actor)?.avatar,
+  }));
+}
+
+// -----------------------------
+// Folder Contents
+// -----------------------------
+const LIST_COLUMNS = {
+  name: (node) => node.name,
+  size: (node) =>
+    node.type === "folder" ? folderStats(node).bytes : node.bytes,
+  type: (node) => typeLabel(node),
+  owner: (node) => node.owner ?? null,
+  modified: (node) =>
+    (node.type === "folder"
+      ? folderStats(node).modifiedAt
+      : node.modifiedAt
+    )?.getTime() ?? null,
+};
+
+// Totals over everything inside `folder` the acting user can see;
+// cached until the tree changes
+function folderStats(folder) {
+  const cached = state.folderStats.get(folder.id);
+  if (cached) return cached;
+
+  const stats = {
+    files: 0,
+    folders: 0,
+    bytes: 0,
+    unknown: 0,
+    modifiedAt: null,
+  };
+  const newer = (date) => {
+    if (date && !(stats.modifiedAt >= date)) stats.modifiedAt = date;
+  };
+  for (const child of folder.children || []) {
+    if (!can(child, "view")) continue;
+    if (child.type === "folder") {
+      const inner = folderStats(child);
+      stats.folders += 1 + inner.folders;
+      stats.files += inner.files;
+      stats.bytes += inner.bytes;
+      stats.unknown += inner.unknown;
+      newer(inner.modifiedAt);
+    } else {
+      stats.files++;
+      if (child.bytes === null) stats.unknown++;
+      else stats.bytes += child.bytes;
+    }
+    newer(child.modifiedAt);
+  }
+
+  state.folderStats.set(folder.id, stats);
+  return stats;
+}
+
+// Visible children sorted by the chosen column; folders stay on top
+// and empty values go last in either direction
+function listEntries(folder) {
+  const { key, dir } = state.listSort;
+  const value = LIST_COLUMNS[key];
+  const order = dir === "desc" ? -1 : 1;
+
+  return (folder.children || [])
+    .filter((child) => can(child, "view"))
+    .sort((a, b) => {
+      if (a.type !== b.type) return a.type === "folder" ? -1 : 1;
+      const va = value(a);
+      const vb = value(b);
+      if (va !== vb) {
+        if (va === null) return 1;
+        if (vb === null) return -1;
+        const diff =
+          typeof va === "string"
+            ? va.localeCompare(vb, undefined, { numeric: true })
+            : va - vb;
+        if (diff) return diff * order;
+      }
+      return a.name.localeCompare(b.name, undefined, { numeric: true });
+    });
+}
+
+// Clicking the sorted column again flips the direction
+function setListSort(key) {
+  if (!LIST_COLUMNS[key]) return;
+  const { key: current, dir } = state.listSort;
+  state.listSort = {
+    key,
+    dir: key === current && dir === "asc" ? "desc" : "asc",
+  };
+  renderAll({ preserveTreeScroll: true });
+}
+
+function openListEntry(id) {
+  const node = nodeById(id);
+  if (node?.type === "file" && isPreviewable(node) && can(node, "preview")) {
+    openPreview(id);
+  } else {
+    openDetails(id);
+  }
+}
+
+// -----------------------------
+// Undo / Redo
+// -----------------------------
+async function stepHistory(direction) {
+  // A modal or inline editor owns the keyboard until it closes
+  if (state.renamingId || state.deleteTargetIds.length) return;
+  if (state.passphrase || state.uploadConflict || state.purgeTargetId) return;
+  if (state.moveDialogIds || state.importDialog || state.metaEdit) return;
+
+  let command;
+  try {
+    command =
+      direction === "undo" ? await history.undo() : await history.redo();
+  } catch (err) {
+    renderAll({ preserveTreeScroll: true });
+    showToast(`Could not ${direction}: ${errorMessage(err)}`, "error");
+    return;
+  }
+  if (!command) return;
+
+  renderAll({ preserveTreeScroll: true });
+  showToast(`${direction === "undo" ? "Undid" : "Redid"} ${command.label}.`);
+}
+
+// -----------------------------
+// Encryption
+// -----------------------------
+function isEncrypted(node) {
+  return Boolean(node?.encryption);
+}
+
+function isLocked(node) {
+  return isEncrypted(node) && !state.unlocked.has(node.id);
+}
+
+function onCryptoAction(action, id) {
+  state.openMenuForId = null;
+  // Unlocking and locking only touch this session's decrypted copy
+  if (denied(nodeById(id), action === "encrypt" ? "encrypt" : "preview")) {
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+
+  if (action === "lock") {
+    state.unlocked.delete(id);
+    discardPreview(id);
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+
+  state.passphrase = { id, mode: action, error: null, pending: false };
+  renderAll({ preserveTreeScroll: true });
+}
+
+function closePassphrase() {
+  if (state.passphrase?.pending) return;
+  state.passphrase = null;
+  renderAll({ preserveTreeScroll: true });
+}
+
+async function submitPassphrase() {
+  const prompt = state.passphrase;
+  if (!prompt || prompt.pending) return;
+
+  const node = nodeById(prompt.id);
+  const [passphrase, confirmation] = [
+    ...els.workspace.querySelectorAll("[data-passphrase-input]"),
+  ].map((input) => input.value);
+
+  prompt.error = passphraseError(prompt.mode, passphrase, confirmation);
+  if (!prompt.error) {
+    prompt.pending = true;
+    renderAll({ preserveTreeScroll: true });
+    try {
+      if (prompt.mode === "encrypt") await encryptNode(node, passphrase);
+      else await unlockNode(node, passphrase);
+    } catch (err) {
+      prompt.error = errorMessage(err);
+    } finally {
+      prompt.pending = false;
+    }
+  }
+
+  if (prompt.error) {
+    renderAll({ preserveTreeScroll: true });
+    return;
+  }
+
+  state.passphrase = null;
+  if (prompt.mode === "unlock") openPreview(node.id);
+  else renderAll({ preserveTreeScroll: true });
+}
+
+function passphraseError(mode, passphrase, confirmation) {
+  if (!passphrase) return "Enter a passphrase.";
+  if (mode !== "encrypt") return null;
+  if (passphrase.length < 8) return "Use at least 8 characters.";
+  if (passphrase !== confirmation) return "Passphrases do not match.";
+  return null;
+}
+
+// Replaces the stored content with ciphertext; only the passphrase
+// holder can read it afterwards
+async function encryptNode(node, passphrase) {
+  requireAccess(node, "encrypt");
+  const plain = await store.readContent(node);
+  const { blob, encryption } = await encryptBlob(plain, passphrase);
+  const checksum = await sha256Checksum(blob);
+  const patch = {
+    encryption,
+    checksum,
+    size: formatBytes(blob.size),
+    modified: formatTimestamp(new Date()),
+  };
+  // Earlier versions are plaintext; keeping them would defeat the point
+  if (node.versions) patch.versions = null;
+
+  // Ciphertext stored without its parameters could never be decrypted
+  await storeSteps([
+    {
+      run: () => store.writeContent(node.id, blob),
+      undo: () => store.writeContent(node.id, plain),
+    },
+    { run: () => store.updateNode(node.id, patch) },
+  ]);
+
+  delete node.src;
+  delete node.content;
+  Object.assign(node, patch, { blob, sha256: checksum });
+  if (node.versions === null) delete node.versions;
+  parseMetadata(node);
+  node.status = compareChecksum(node.checksum, node.sha256);
+  markTreeChanged();
+  discardPreview(node.id);
+  showToast(`${node.name} encrypted with AES-256-GCM.`, "good");
+}
+
+async function unlockNode(node, passphrase) {
+  const cipher = await store.readContent(node);
+  const plain = await decryptBlob(
+    cipher,
+    passphrase,
+    node.encryption,
+    node.mime,
+  );
+  state.unlocked.set(node.id, plain);
+  discardPreview(node.id);
+}
+
+// Unlocked files preview from their decrypted copy, never the ciphertext
+function readPreviewContent(node, range) {
+  const plain = state.unlocked.get(node.id);
+  if (!plain) return store.readContent(node, range);
+  return range
+    ? readRange({ blob: plain }, range.offset, range.length)
+    : Promise.resolve(plain);
+}
+
+// -----------------------------
+// Versions (see versions.js)
+// -----------------------------
+const COMPARE_SIZE_LIMIT = 1024 * 1024; // bytes per side for a line diff
+const DIFF_ROW_LIMIT = 2000; // rows drawn; the rest is only counted
+
+// Encrypted files are left out: their versions would be plaintext
+function canSaveVersion(node) {
+  return (
+    node?.type === "file" &&
+    !isEncrypted(node) &&
+    store.hasContent(node) &&
+    can(node, "edit")
+  );
+}
+
+// Versions name their content the way files do
+function versionHasContent(version) {
+  return store.hasContent({ type: "file", ...version });
+}
+
+function pickVersionFile(id) {
+  state.versionTargetId = id;
+  state.openMenuForId = null;
+  renderAll({ preserveTreeScroll: true });
+  els.versionInput.click();
+}
+
+async function uploadVersion(id, file) {
+  const node = nodeById(id);
+  if (!node || state.versionPending || denied(node, "edit")) return;
+  if (!canSaveVersion(node)) return;
+
+  const versionId = createVersionId(node.versions);
+  const options = { action: "version", details: `from '${file.name}'` };
+  state.versionPending = id;
+  renderAll({ preserveTreeScroll: true });
+  try {
+    await writeVersion(id, file, versionId, options);
+  } catch (err) {
+    showToast(`Could not save the new version: ${errorMessage(err)}`, "error");
+    return;
+  } finally {
+    state.versionPending = null;
+    renderAll({ preserveTreeScroll: true });
+  }
+
+  history.record({
+    label: `new version of '${node.name}'`,
+    undo: () => unwriteVersion(id, versionId),
+    redo: () => writeVersion(id, file, versionId, options),
+  });
+  showToast(
+    `Saved version ${versionNumber(node, null)} of '${node.name}'.`,
+    "good",
+  );
+}
+
+// The restored content becomes the newest version; the content it
+// replaces is kept like any other
+async function restoreVersion(id, versionId) {
+  const node = nodeById(id);
+  const version = node?.versions?.find((v) => v.id === versionId);
+  if (!version || state.versionPending || denied(node, "edit")) return;
+
+  const number = versionNumber(node, version);
+  const keptId = createVersionId(node.versions);
+  const options = { action: "revert", details: `v${number}` };
+  let blob;
+  state.versionPending = id;
+  renderAll({ preserveTreeScroll: true });
+  try {
+    blob = await store.readVersion(node, version);
+    await writeVersion(id, blob, keptId, options);
+  } catch (err) {
+    showToast(
+      `Could not restore version ${number}: ${errorMessage(err)}`,
+      "error",
+    );
+    return;
+  } finally {
+    state.versionPending = null;
+    renderAll({ preserveTreeScroll: true });
+  }
+
+  history.record({
+    label: `restore of version ${number} of '${node.name}'`,
+    undo: () => unwriteVersion(id, keptId),
+    redo: () => writeVersion(id, blob, keptId, options),
+  });
+  showToast(`Restored version ${number} of '${node.name}'.`, "good");
+}
+
+// Compares a kept version with the current content; either side can
+// then be switched to any other version
+function openCompare(id, versionId) {
+  const node = nodeById(id);
+  if (denied(node, "preview")) return;
+
+  state.compare = {
+    id,
+    from: versionId,
+    to: "current",
+    layout: state.compare?.layout ?? "split",
+    status: "loading",
+    result: null,
+    error: null,
+    request: null,
+  };
+  state.selectedId = id;
+  state.mode = "compare";
+  state.openMenuForId = null;
+  recordAudit("compare", node, compareDetails(node));
+  updateViewHash();
+  loadCompare();
+  renderAll({ preserveTreeScroll: true });
+}
+
+function setCompareSide(side, value) {
+  const compare = state.compare;
+  const node = nodeById(compare?.id);
+  if (!node || compare[side] === value) return;
+
+  compare[side] = value;
+  recordAudit("compare", node, compareDetails(node));
+  loadCompare();
+  renderWorkspace();
+}
+
+// "v2 with v4"
+function compareDetails(node) {
+  const { from, to } = state.compare;
+  return `v${versionNumber(node, compareVersion(node, from))} with v${versionNumber(node, compareVersion(node, to))}`;
+}
+
+// A side is "current" or a version id; null stands for the current content
+function compareVersion(node, side) {
+  return node.versions?.find((v) => v.id === side) ?? null;
+}
+
+// Reads both sides and diffs them. A side whose version has gone (an
+// undo removed it) falls back to the current content.
+async function loadCompare() {
+  const compare = state.compare;
+  const node = nodeById(compare?.id);
+  if (!node) return;
+
+  for (const side of ["from", "to"]) {
+    if (!compareVersion(node, compare[side])) compare[side] = "current";
+  }
+  const request = {};
+  Object.assign(compare, { request, status: "loading", result: null });
+
+  let result;
+  try {
+    if (isEncrypted(node)) {
+      throw new Error("Encrypted files cannot be compared.");
+    }
+    const [before, after] = await Promise.all(
+      [compare.from, compare.to].map((side) => {
+        const version = compareVersion(node, side);
+        return version
+          ? store.readVersion(node, version)
+          : store.readContent(node);
+      }),
+    );
+    result =
+      previewKind(node) === "text"
+        ? await compareText(before, after)
+        : await compareBinary(before, after);
+  } catch (err) {
+    result = { error: errorMessage(err) };
+  }
+
+  if (compare.request !== request || state.compare !== compare) return;
+  compare.status = result.error ? "error" : "ready";
+  compare.error = result.error ?? null;
+  compare.result = result.error ? null : result;
+  renderWorkspace();
+}
+
+async function compareText(before, after) {
+  if (Math.max(before.size, after.size) > COMPARE_SIZE_LIMIT) {
+    return {
+      ...(await compareBinary(before, after)),
+      note: `Versions over ${formatBytes(COMPARE_SIZE_LIMIT)} are compared by checksum only.`,
+    };
+  }
+  const ops = diffLines(await before.text(), await after.text());
+  if (!ops) {
+    return {
+      ...(await compareBinary(before, after)),
+      note: "The versions differ in too many places to show line by line.",
+    };
+  }
+  return { kind: "text", ops, ...diffStats(ops) };
+}
+
+async function compareBinary(before, after) {
+  const [from, to] = await Promise.all([
+    sha256Checksum(before),
+    sha256Checksum(after),
+  ]);
+  return {
+    kind: "summary",
+    note: null,
+    same: from === to,
+    sides: [
+      { bytes: before.size, checksum: from },
+      { bytes: after.size, checksum: to },
+    ],
+  };
+}
+
+// -----------------------------
+// Upload
+// -----------------------------
+function onTreeFileDragOver(e) {
+  if (!state.dragFiles) {
+    state.dragFiles = true;
+    markDropTargets();
+  }
+
+  const row = e.target.closest("[data-node-id]");
+  const targetId = row?.dataset.nodeId ?? null;
+  if (targetId !== state.dragHoverId) setDragHover(targetId);
+
+  if (row?.dataset.dropValid === "true") {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  }
+}
+
+function onTreeFileDrop(e) {
+  e.preventDefault();
+  const row = e.target.closest("[data-node-id]");
+  const files = [...e.dataTransfer.files];
+  clearDrag();
+  if (row && files.length) uploadFiles(row.dataset.nodeId, files);
+}
+
+async function uploadFiles(folderId, files) {
+  const folder = nodeById(folderId);
+  if (!folder || folder.type !== "folder") return;
+  if (denied(folder, "create")) return;
+
+  const clashes = files.filter((f) => findChildByName(folder, f.name));
+  let policy = "keep";
+  if (clashes.length) {
+    policy = await askUploadConflict(folder, clashes);
+    if (!policy) return; // cancelled
+  }
+
+  const jobs = files.map((file) => {
+    const job = {
+      key: `${Date.now()}_${Math.random().toString(36).slice(2)}`,
+      name: file.name,
+      progress: 0,
+      status: "queued",
+      error: null,
+    };
+    state.uploads.push(job);
+    return { job, file };
+  });
+  renderUploads();
+
+  // One at a time keeps progress readable and the adapter unflooded
+  const added = [];
+  for (const { job, file } of jobs) {
+    const result = await uploadOne(folder, file, job, policy);
+    if (result) added.push(result);
+    renderUploads();
+  }
+
+  if (added.length) {
+    history.record({
+      label:
+        added.length === 1
+          ? `upload '${added[0].record.name}'`
+          : `upload of ${added.length} files`,
+      undo: async () => {
+        for (const { record, replacedId } of [...added].reverse()) {
+          await removeNode(record.id);
+          if (replacedId) await restoreFromTrash(replacedId);
+        }
+      },
+      redo: async () => {
+        for (const { record, blob, replacedId } of added) {
+          if (replacedId) {
+            await replaceNode(replacedId, folder.id, record, { blob });
+          } else {
+            await insertNode(folder.id, record, { blob });
+          }
+        }
+      },
+    });
+  }
+
+  state.expanded.add(folder.id);
+  renderAll({ preserveTreeScroll: true });
+}
+
+// Resolves to { record, blob, replacedId } for an uploaded file
+async function uploadOne(folder, file, job, policy) {
+  const existing = findChildByName(folder, file.name);
+  let name = file.name;
+  let replacedId = null;
+
+  if (existing && policy === "skip") {
+    job.status = "skipped";
+    return;
+  }
+
+  try {
+    const nameError = validateNodeName(file.name);
+    if (nameError) throw new Error(nameError);
+
+    // Replaced files go to the Trash, so the upload can be undone
+    if (existing && policy === "replace" && existing.type === "file") {
+      if (!can(existing, "delete")) {
+        throw new Error(permissionMessage(existing, "delete"));
+      }
+      replacedId = existing.id;
+    } else if (existing) {
+      const [base, ext] = splitExt(file.name);
+      name = uniqueChildName(folder, base, ext);
+    }
+
+    // The digest taken at upload time is the reference for later checks
+    const checksum = await sha256Checksum(file);
+    const now = formatTimestamp(new Date());
+    const record = {
+      id: createNodeId("file"),
+      name,
+      type: "file",
+      size: formatBytes(file.size),
+      mime: file.type || guessMime(name),
+      checksum,
+      created: now,
+      modified: now,
+    };
+    validateTreeNodes([record]);
+
+    job.status = "uploading";
+    const upload = {
+      blob: file,
+      onProgress: (fraction) => {
+        job.progress = fraction;
+        renderUploads();
+      },
+    };
+    if (replacedId) await replaceNode(replacedId, folder.id, record, upload);
+    else await insertNode(folder.id, record, upload);
+
+    job.name = name;
+    job.progress = 1;
+    job.status = "done";
+    return { record, blob: file, replacedId };
+  } catch (err) {
+    job.status = "error";
+    job.error = errorMessage(err);
+    return null;
+  }
+}
+
+function askUploadConflict(folder, clashes) {
+  return new Promise((resolve) => {
+    state.uploadConflict = {
+      folderName: folder.name,
+      names: clashes.map((f) => f.name),
+      resolve,
+    };
+    renderAll({ preserveTreeScroll: true });
+  });
+}
+
+// Case-insensitive, matching the sibling rule used for rename
+function findChildByName(folder, name) {
+  const lower = name.toLowerCase();
+  return (folder.children || []).find((c) => c.name.toLowerCase() === lower);
+}
+
+function isUploadSettled(job) {
+  return (
+    job.status === "done" || job.status === "skipped" || job.status === "error"
+  );
+}
+
+function renderUploads() {
+  els.uploads.hidden = state.uploads.length === 0;
+  els.uploads.innerHTML = UploadList(state.uploads);
+}
+
+// -----------------------------
+// Import
+// -----------------------------
+// A manifest is read and validated first; nothing changes until the
+// user has seen the plan and confirmed it.
+async function openImport(folderId, file) {
+  const folder = nodeById(folderId);
+  if (!folder || folder.type !== "folder") return;
+  if (denied(folder, "create")) return;
+
+  let manifest;
+  try {
+    manifest = readManifest(await file.text(), file.name, {
+      validate: validateTreeNodes,
+      createId: createNodeId,
+    });
+  } catch (err) {
+    showToast(`Could not read '${file.name}': ${errorMessage(err)}`, "error");
+    return;
+  }
+
+  state.importDialog = {
+    targetId: folder.id,
+    fileName: file.name,
+    nodes: manifest.nodes,
+    errors: manifest.errors,
+    policy: "skip",
+    plan: null,
+    pending: false,
+  };
+  planCurrentImport();
+  renderAll({ preserveTreeScroll: true });
+}
+
+function planCurrentImport() {
+  const dialog = state.importDialog;
+  dialog.plan = planImport(dialog.nodes, nodeById(dialog.targetId), {
+    policy: dialog.policy,
+    can,
+    idTaken: isIdTaken,
+    createId: createNodeId,
+  });
+}
+
+function setImportPolicy(policy) {
+  const dialog = state.importDialog;
+  if (!dialog || dialog.pending || !IMPORT_POLICIES[policy]) return;
+  dialog.policy = policy;
+  planCurrentImport();
+  renderAll({ preserveTreeScroll: true });
+}
+
+function closeImport() {
+  if (state.importDialog?.pending) return;
+  state.importDialog = null;
+  renderAll({ preserveTreeScroll: true });
+}
+
+// Ids stay unique across the tree and the Trash, as data.json requires
+function isIdTaken(id) {
+  if (id === state.data.id || nodeById(id)) return true;
+  return state.trash.some((entry) => findNodeById(entry.node, id));
+}
+
+// Replaced files go to the Trash first, so the import can be undone
+async function applyImport() {
+  const dialog = state.importDialog;
+  if (!dialog || dialog.pending || !importableCount(dialog.plan)) return;
+
+  const { plan, fileName } = dialog;
+  const steps = [
+    ...plan.replaced.map(({ parent, node, existing }) => ({
+      parentId: parent.id,
+      record: node,
+      replacedId: existing.id,
+    })),
+    ...plan.added.map(({ parent, node }) => ({
+      parentId: parent.id,
+      record: node,
+      replacedId: null,
+    })),
+  ];
+  const importStep = async ({ parentId, record, replacedId }) => {
+    const node = replacedId
+      ? await replaceNode(replacedId, parentId, record)
+      : await insertNode(parentId, record);
+    recordAudit("import", node, `from ${fileName}`);
+  };
+
+  dialog.pending = true;
+  renderAll({ preserveTreeScroll: true });
+
+  const done = [];
+  let failure = null;
+  for (const step of steps) {
+    try {
+      await importStep(step);
+      done.push(step);
+    } catch (err) {
+      failure = err;
+      break;
+    }
+  }
+
+  if (done.length) {
+    history.record({
+      label: `import of '${fileName}'`,
+      undo: async () => {
+        for (const { record, replacedId } of [...done].reverse()) {
+          await removeNode(record.id);
+          if (replacedId) await restoreFromTrash(replacedId);
+        }
+      },
+      redo: async () => {
+        for (const step of done) await importStep(step);
+      },
+    });
+  }
+
+  const target = nodeById(dialog.targetId);
+  state.importDialog = null;
+  if (target) state.expanded.add(target.id);
+  renderAll({ preserveTreeScroll: true });
+
+  if (failure) {
+    showToast(
+      `Import stopped after ${done.length} of ${steps.length} items: ${errorMessage(failure)}`,
+      "error",
+    );
+  } else {
+    showToast(
+      `Imported ${fileName} into '${target?.name ?? "the vault"}'.`,
+      "good",
+    );
+  }
+}
+
+// Top-level entries the plan would write (each may hold a subtree)
+function importableCount(plan) {
+  return plan.added.length + plan.replaced.length;
+}
+
+// -----------------------------
+// Keyboard Navigation
+// -----------------------------
+function onTreeKeyDown(e) {
+  if (e.target.matches("[data-rename-input]")) {
+    onRenameKeyDown(e);
+    return;
+  }
+
+  const ids = state.visibleIds;
+  if (!ids.length) return;
+
+  const idx = Math.max(0, ids.indexOf(state.focusedId));
+  const currentId = ids[idx];
+  const currentNode = nodeById(currentId);
+
+  // Cut/paste is the keyboard alternative to drag and drop
+  if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+    const key = e.key.toLowerCase();
+    if (key === "x" || key === "v") {
+      e.preventDefault();
+      if (key === "x") cutNode(currentId);
+      else pasteInto(currentId);
+      return;
+    }
+    if (key === "a") {
+      e.preventDefault();
+      state.selection = new Set(ids.filter((id) => id !== state.data.id));
+      renderAll({ preserveTreeScroll: true });
+      return;
+    }
+  }
+
+  switch (e.key) {
+    case "ArrowDown": {
+      e.preventDefault();
+      const next = ids[Math.min(ids.length - 1, idx + 1)];
+      if (e.shiftKey) extendSelection(next);
+      else state.anchorId = next;
+      setFocus(next);
+      renderAll({ preserveTreeScroll: true });
+      scrollFocusedIntoView();
+      break;
+    }
+    case "ArrowUp": {
+      e.preventDefault();
+      const prev = ids[Math.max(0, idx - 1)];
+      if (e.shiftKey) extendSelection(prev);
+      else state.anchorId = prev;
+      setFocus(prev);
+      renderAll({ preserveTreeScroll: true });
+      scrollFocusedIntoView();
+      break;
+    }
+    case "ArrowRight": {
+      e.preventDefault();
+      if (
+        currentNode?.type === "folder" &&
+        !state.expanded.has(currentNode.id)
+      ) {
+        state.expanded.add(currentNode.id);
+        renderAll({ preserveTreeScroll: true });
+      }
+      break;
+    }
+    case "ArrowLeft": {
+      e.preventDefault();
+      if (
+        currentNode?.type === "folder" &&
+        state.expanded.has(currentNode.id)
+      ) {
+        state.expanded.delete(currentNode.id);
+        renderAll({ preserveTreeScroll: true });
+      } else {
+        const parent = parentOf(currentId);
+        if (parent) {
+          setFocus(parent.id);
+          renderAll({ preserveTreeScroll: true });
+          scrollFocusedIntoView();
+        }
+      }
+      break;
+    }
+    case "F2": {
+      e.preventDefault();
+      startRename(currentId);
+      break;
+    }
+    case "Escape": {
+      // Clears a pending cut first, then the multi-selection
+      if (state.cutIds.length || state.selection.size) {
+        e.preventDefault();
+        if (state.cutIds.length) state.cutIds = [];
+        else state.selection.clear();
+        renderAll({ preserveTreeScroll: true });
+      }
+      break;
+    }
+    case "Enter": {
+      e.preventDefault();
+      if (!currentNode) return;
+
+      if (currentNode.type === "folder") {
+        toggleExpand(currentNode.id);
+      } else {
+        // Enter on a file behaves like click: preview
+        openPreview(currentNode.id);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+// Rows outside the window have no DOM, so scroll by row position
+function scrollFocusedIntoView() {
+  const index = state.rowIndex.get(state.focusedId);
+  if (index === undefined) return;
+
+  const rowTop = index * TREE_ROW_HEIGHT;
+  const viewport = els.tree.clientHeight || window.innerHeight;
+  if (rowTop < els.tree.scrollTop) {
+    els.tree.scrollTop = rowTop;
+  } else if (rowTop + TREE_ROW_HEIGHT > els.tree.scrollTop + viewport) {
+    els.tree.scrollTop = rowTop + TREE_ROW_HEIGHT - viewport;
+  }
+  renderTreeWindow();
+}
+
+function treeRow(id) {
+  return els.tree.querySelector(`[data-node-id="${cssEscape(id)}"]`);
+}
+
+function cssEscape(value) {
+  return String(value).replace(/"/g, '\\"');
+}
+
+// -----------------------------
+// Search (filter + auto-expand)
+// -----------------------------
+function setTreeQuery(value) {
+  compileTreeQuery(value);
+  renderAll({ preserveTreeScroll: true });
+}
+
+// Tag chips (tree rows, Details badges) put a `tag:` query in the search
+function filterByTag(name) {
+  if (state.contentMode) setContentMode(false);
+  els.treeSearch.value = `tag:"${name}"`;
+  setTreeQuery(els.treeSearch.value);
+}
+
+function compileTreeQuery(value) {
+  state.query = value.trim();
+  try {
+    state.search = state.query
+      ? compileQuery(state.query, {
+          pathOf: vaultPath,
+          tagsOf: tagNames,
+          classificationOf: (node) => classificationOf(node)?.level,
+        })
+      : null;
+    state.queryError = null;
+  } catch (err) {
+    // Keep filtering by the last valid query while the user types
+    state.queryError = err.message;
+  }
+
+  renderSearchError();
+  if (state.data) autoExpandForSearch();
+}
+
+function autoExpandForSearch() {
+  if (!state.search) return;
+
+  walk(state.data, (node, parents) => {
+    if (state.search.test(node) && can(node, "view")) {
+      for (const p of parents) {
+        if (p.type === "folder") state.expanded.add(p.id);
+      }
+    }
+  });
+}
+
+// -----------------------------
+// Rendering
+// -----------------------------
+function renderAll(options = {}) {
+  if (!state.data) return;
+
+  const prevTreeScroll = els.tree.scrollTop;
+
+  renderTree();
+  renderWorkspace();
+  renderInspector();
+  renderSelectionBar();
+  renderExplorerFooter();
+
+  if (options.preserveTreeScroll) {
+    els.tree.scrollTop = prevTreeScroll;
+  }
+
+  updateViewHash();
+  saveSession();
+}
+
+// Only the rows in (or near) the viewport get DOM; a sized container
+// keeps the scrollbar true to the full list
+const TREE_ROW_HEIGHT = 40; // px, matches .treeItem in main.css
+const TREE_OVERSCAN = 10; // extra rows above and below the viewport
+
+function renderTree() {
+  const rows = visibleRows();
+  state.treeRows = rows;
+  state.visibleIds = rows.map((row) => row.node.id);
+  state.rowIndex = new Map(state.visibleIds.map((id, i) => [id, i]));
+
+  // If focused item is not visible (after filtering), focus the first visible.
+  if (rows.length && !state.rowIndex.has(state.focusedId)) {
+    state.focusedId = state.visibleIds[0];
+  }
+
+  state.treeWindow = null;
+  renderTreeWindow();
+}
+
+function visibleRows() {
+  const rows = [];
+  const search = state.search;
+
+  const visit = (node, level, setsize, posinset) => {
+    rows.push({ node, level, setsize, posinset });
+    if (node.type !== "folder" || !state.expanded.has(node.id)) return;
+
+    const children = (node.children || []).filter((c) =>
+      filterNodeForQuery(c, search),
+    );
+    children.forEach((child, i) =>
+      visit(child, level + 1, children.length, i + 1),
+    );
+  };
+  if (filterNodeForQuery(state.data, search)) visit(state.data, 0, 1, 1);
+
+  return rows;
+}
+
+function renderTreeWindow() {
+  const rows = state.treeRows;
+  // Before layout (or when hidden) fall back to the window height
+  const viewport = els.tree.clientHeight || window.innerHeight;
+  const top = els.tree.scrollTop;
+
+  const first = Math.max(0, Math.floor(top / TREE_ROW_HEIGHT) - TREE_OVERSCAN);
+  const last = Math.min(
+    rows.length,
+    Math.ceil((top + viewport) / TREE_ROW_HEIGHT) + TREE_OVERSCAN,
+  );
+  const prev = state.treeWindow;
+  if (prev && prev[0] === first && prev[1] === last) return;
+  state.treeWindow = [first, last];
+
+  els.tree.innerHTML = `
+    <div class="tree__rows" style="height:${rows.length * TREE_ROW_HEIGHT}px; padding-top:${first * TREE_ROW_HEIGHT}px">
+      ${rows.slice(first, last).map(TreeRow).join("")}
+    </div>
+  `;
+  if (state.dragId || state.dragFiles) markDropTargets();
+
+  // Re-rendering replaces the rename editor, so give it focus back
+  const renameInput = els.tree.querySelector("[data-rename-input]");
+  if (renameInput && document.activeElement !== renameInput) {
+    renameInput.focus();
+    const end = renameInput.value.length;
+    renameInput.setSelectionRange(end, end);
+  }
+}
+
+function renderWorkspace() {
+  // Only touch the DOM when the markup changed, so folded preview
+  // sections and scroll positions survive tree navigation
+  const html = WorkspaceHtml();
+  if (html !== state.workspaceHtml) {
+    const filter = keptFocus(els.workspace, "auditFilter");
+    els.workspace.innerHTML = html;
+    state.workspaceHtml = html;
+    els.workspace.querySelector("[data-passphrase-input]")?.focus();
+    filter?.();
+    scrollToPreviewTarget();
+  }
+}
+
+// Audit filters and the metadata editor re-render as the user types;
+// this puts focus and the caret back into the same field afterwards.
+// `key` is the dataset key naming the field (e.g. "auditFilter").
+function keptFocus(container, key) {
+  const active = document.activeElement;
+  const field = active?.dataset?.[key];
+  if (!field || !container.contains(active)) return null;
+
+  const attribute = `data-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+  const { selectionStart, selectionEnd } = active;
+  return () => {
+    const input = container.querySelector(`[${attribute}="${field}"]`);
+    input?.focus();
+    if (
+      typeof input?.setSelectionRange === "function" &&
+      selectionStart !== null
+    ) {
+      input.setSelectionRange(selectionStart, selectionEnd);
+    }
+  };
+}
+
+// Brings a content search hit into view once its line has loaded
+function scrollToPreviewTarget() {
+  const target = state.previewTarget;
+  if (!target || target.scrolled || state.previewId !== target.id) return;
+
+  const line = els.workspace.querySelector(".codeLine--hit");
+  if (line) {
+    line.scrollIntoView({ block: "center" });
+    target.scrolled = true;
+  }
+}
+
+function WorkspaceHtml() {
+  // Modals overlay on top of whatever the workspace is showing
+  if (state.deleteTargetIds.length) {
+    return `${BaseWorkspace()}${DeleteModal()}`;
+  }
+  if (state.moveDialogIds) return `${BaseWorkspace()}${MoveModal()}`;
+  if (state.uploadConflict) {
+    return `${BaseWorkspace()}${UploadConflictModal()}`;
+  }
+  if (state.importDialog) return `${BaseWorkspace()}${ImportModal()}`;
+  if (state.passphrase) return `${BaseWorkspace()}${PassphraseModal()}`;
+  if (state.purgeTargetId) return `${BaseWorkspace()}${PurgeModal()}`;
+
+  return BaseWorkspace();
+}
+
+function BaseWorkspace() {
+  if (state.mode === "trash") return TrashWorkspace();
+  if (state.mode === "audit") return AuditWorkspace();
+  if (state.mode === "diagnostics" && canSeeDiagnostics()) {
+    return DiagnosticsWorkspace();
+  }
+  if (state.mode === "search" && state.contentSearch) {
+    return ContentSearchWorkspace();
+  }
+
+  if (state.mode === "details" && state.selectedId) {
+    const node = nodeById(state.selectedId);
+    return node ? DetailsWorkspace(node) : EmptyWorkspace();
+  }
+
+  if (state.mode === "compare" && state.compare) {
+    const node = nodeById(state.compare.id);
+    return node ? CompareWorkspace(node, state.compare) : EmptyWorkspace();
+  }
+
+  if (state.mode === "preview" && state.previewId) {
+    const node = nodeById(state.previewId);
+    return node ? PreviewWorkspace(node) : EmptyWorkspace();
+  }
+
+  return EmptyWorkspace();
+}
+
+function renderSelectionBar() {
+  els.selectionBar.hidden = state.selection.size === 0;
+  els.selectionBar.innerHTML = SelectionBar();
+}
+
+function renderPalette() {
+  const open = state.paletteOpen;
+  const active = open && state.paletteResults.length ? state.paletteActive : -1;
+
+  els.globalResults.hidden = !open;
+  els.globalResults.innerHTML = open ? PaletteResults(active) : "";
+  els.globalSearch.setAttribute("aria-expanded", String(open));
+  if (active >= 0) {
+    els.globalSearch.setAttribute("aria-activedescendant", `palette-${active}`);
+    document.getElementById(`palette-${active}`)?.scrollIntoView({
+      block: "nearest",
+    });
+  } else {
+    els.globalSearch.removeAttribute("aria-activedescendant");
+  }
+}
+
+function renderSearchError() {
+  els.treeSearchError.hidden = !state.queryError;
+  els.treeSearchError.textContent = state.queryError || "";
+  els.treeSearch.setAttribute(
+    "aria-invalid",
+    String(Boolean(state.queryError)),
+  );
+}
+
+function renderExplorerFooter() {
+  els.explorerFooter.innerHTML = ExplorerFooter();
+}
+
+function renderInspector() {
+  // A multi-selection shows combined info instead of a single file
+  if (state.selection.size > 1) {
+    writeInspector(SelectionInspector(selectedNodes()));
+    return;
+  }
+
+  // Inspector only shows details when a file is selected via "View Details"
+  const node = state.selectedId ? nodeById(state.selectedId) : null;
+  writeInspector(Inspector(node));
+}
+
+// Like the workspace, only rewritten when the markup changed, so the
+// metadata editor keeps focus while the rest of the page re-renders
+function writeInspector(html) {
+  if (html === state.inspectorHtml) return;
+  const field = keptFocus(els.inspector, "metaField");
+  els.inspector.innerHTML = html;
+  state.inspectorHtml = html;
+  field?.();
+}
+
+// -----------------------------
+// UI Components (HTML builders)
+// -----------------------------
+function TreeRow({ node, level, setsize, posinset }) {
+  const isFolder = node.type === "folder";
+  const isExpanded = isFolder && state.expanded.has(node.id);
+  const hasChildren =
+    isFolder &&
+    Array.isArray(node.children) &&
+    node.children.some((child) => can(child, "view"));
+
+  const isRoot = node.id === state.data.id;
+  const isSelected =
+    node.id === state.selectedId || state.selection.has(node.id);
+  const isFocused = node.id === state.focusedId;
+  const isDraggable =
+    !isRoot && state.renamingId !== node.id && can(node, "move");
+  const menu = NodeMenuItems(node);
+
+  const twisty = isFolder
+    ? `<span class="treeItem__twisty" data-action="toggle" aria-hidden="true">${
+        hasChildren ? (isExpanded ? "▼" : "▶") : "•"
+      }</span>`
+    : `<span class="treeItem__twisty" aria-hidden="true"></span>`;
+
+  const icon = isFolder ? "📁" : "📄";
+
+  // Rows only offer what the user may do; no actions, no ⋯ button
+  const actions = menu
+    ? `
+      <div class="treeItem__actions">
+        <button
+          class="treeActionBtn"
+          type="button"
+          aria-label="${isFolder ? "Folder" : "File"} actions"
+          data-action="menu"
+          data-menu-id="${escapeHtml(node.id)}"
+        >⋯</button>
+      </div>
+      ${NodeMenu(node, menu)}
+    `
+    : "";
+
+  const label =
+    state.renamingId === node.id
+      ? RenameEditor(node)
+      : `<span class="treeItem__label">${highlight(node.name, state.search?.highlights)}</span>${TagChips(node)}`;
+
+  return `
+    <div
+      class="treeItem"
+      role="treeitem"
+      aria-expanded="${isFolder ? String(isExpanded) : "false"}"
+      aria-selected="${String(isSelected)}"
+      aria-level="${level + 1}"
+      aria-setsize="${setsize}"
+      aria-posinset="${posinset}"
+      data-node-id="${escapeHtml(node.id)}"
+      data-selected="${String(isSelected)}"
+      data-focused="${String(isFocused)}"
+      data-cut="${String(state.cutIds.includes(node.id))}"
+      draggable="${String(isDraggable)}"
+      style="--level:${level}"
+    >
+      ${twisty}
+      <span class="treeItem__icon" aria-hidden="true">${icon}</span>
+      ${label}
+      ${actions}
+    </div>
+  `;
+}
+
+function NodeMenu(node, items) {
+  if (state.openMenuForId !== node.id) return "";
+
+  const label = node.type === "folder" ? "Folder actions" : "File actions";
+  return `
+    <div class="menu" role="menu" aria-label="${label}">
+      ${items}
+    </div>
+  `;
+}
+
+// The menu entries the acting user is allowed; "" when there are none
+function NodeMenuItems(node) {
+  const id = escapeHtml(node.id);
+  const item = (action, text, allowed, cls = "") =>
+    allowed
+      ? `<button type="button" ${cls ? `class="${cls}" ` : ""}data-action="${action}" data-id="${id}">${text}</button>`
+      : "";
+
+  if (node.type === "folder") {
+    // The virtual root can hold new nodes but cannot itself be renamed
+    const isRoot = node.id === state.data.id;
+    const canCreate = can(node, "create");
+    return [
+      item("view-details", "View Details", !isRoot && can(node, "details")),
+      item("download", "Download as ZIP", canDownload(node)),
+      item("new-folder", "New Folder", canCreate),
+      item("new-file", "New File", canCreate),
+      item("upload", "Upload Files…", canCreate),
+      item("import", "Import Manifest…", canCreate),
+      item("paste", "Paste Here", canCreate && state.cutIds.length > 0),
+      item("rename", "Rename", !isRoot && can(node, "rename")),
+      item("cut", "Cut", !isRoot && can(node, "move")),
+      item("delete", "Delete Folder", !isRoot && can(node, "delete"), "danger"),
+    ].join("");
+  }
+
+  return [
+    item("view-details", "View File Details", can(node, "details")),
+    item("download", "Download", canDownload(node)),
+    item("rename", "Rename", can(node, "rename")),
+    item("cut", "Cut", can(node, "move")),
+    item("upload-version", "Upload New Version…", canSaveVersion(node)),
+    CryptoMenuItem(node),
+    item("delete", "Delete File", can(node, "delete"), "danger"),
+  ].join("");
+}
+
+function CryptoMenuItem(node) {
+  const id = escapeHtml(node.id);
+  if (isLocked(node)) {
+    return `<button type="button" data-action="unlock" data-id="${id}">Unlock…</button>`;
+  }
+  if (isEncrypted(node)) {
+    return `<button type="button" data-action="lock" data-id="${id}">Lock</button>`;
+  }
+  if (!store.hasContent(node) || !can(node, "encrypt")) return "";
+  return `<button type="button" data-action="encrypt" data-id="${id}">Encrypt…</button>`;
+}
+
+function RenameEditor(node) {
+  const error = state.renameError;
+
+  return `
+    <span class="treeItem__rename">
+      <input
+        class="treeItem__input"
+        type="text"
+        data-rename-input
+        value="${escapeHtml(state.renameDraft)}"
+        aria-label="Rename ${escapeHtml(node.name)}"
+        aria-invalid="${String(Boolean(error))}"
+        ${error ? `aria-describedby="renameError"` : ""}
+        spellcheck="false"
+        autocomplete="off"
+      />
+      ${error ? `<span class="treeItem__error" id="renameError" role="alert">${escapeHtml(error)}</span>` : ""}
+    </span>
+  `;
+}
+
+function PaletteResults(active) {
+  if (!state.paletteResults.length) {
+    return `<div class="palette__empty">No matches</div>`;
+  }
+
+  return state.paletteResults
+    .map(({ entry, nameHits, pathHits }, i) => {
+      const meta =
+        entry.type === "folder"
+          ? `${entry.items} item${entry.items === 1 ? "" : "s"}`
+          : entry.bytes !== null
+            ? formatBytes(entry.bytes)
+            : "";
+      return `
+        <div
+          id="palette-${i}"
+          class="palette__item"
+          role="option"
+          aria-selected="${String(i === active)}"
+          data-result-id="${escapeHtml(entry.id)}"
+        >
+          <span class="palette__icon" aria-hidden="true">${entry.type === "folder" ? "📁" : "📄"}</span>
+          <span class="palette__text">
+            <span class="palette__name">${markPositions(entry.name, nameHits)}</span>
+            <span class="palette__path">${markPositions(entry.path, pathHits)}</span>
+          </span>
+          <span class="palette__meta">${escapeHtml(meta)}</span>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+function SelectionBar() {
+  const count = state.selection.size;
+  if (!count) return "";
+
+  return `
+    <span class="selectionBar__count">${count} selected</span>
+    <button class="btn btn--small" type="button" data-action="bulk-move">Move to…</button>
+    <button class="btn btn--small" type="button" data-action="bulk-export">Export</button>
+    <button class="btn btn--small btn--danger" type="button" data-action="bulk-delete">Delete</button>
+    <button class="btn btn--small btn--ghost" type="button" data-action="clear-selection" aria-label="Clear selection">✕</button>
+  `;
+}
+
+function SelectionInspector(nodes) {
+  let files = 0;
+  let folders = 0;
+  let bytes = 0;
+  let unknownSizes = 0;
+  let encrypted = 0;
+
+  // Folders count everything inside them
+  for (const node of nodes) {
+    walk(node, (n) => {
+      if (n.type === "folder") {
+        folders++;
+        return;
+      }
+      files++;
+      if (isEncrypted(n)) encrypted++;
+      if (n.bytes === null) unknownSizes++;
+      else bytes += n.bytes;
+    });
+  }
+
+  const parents = new Set(nodes.map((n) => parentOf(n.id)?.id));
+  const location =
+    parents.size === 1
+      ? nodeById([...parents][0])?.path || "/Vault"
+      : `${parents.size} folders`;
+
+  return `
+    ${Section(
+      "SELECTION",
+      KV([
+        ["Selected Items", nodes.length],
+        ["Files (incl. in folders)", files],
+        ["Folders (incl. nested)", folders],
+        [
+          "Total Size",
+          `${formatBytes(bytes)}${unknownSizes ? ` (+${unknownSizes} unknown)` : ""}`,
+        ],
+        ["Encrypted Files", encrypted],
+        ["Location", location],
+      ]),
+    )}
+
+    ${Section(
+      "ITEMS",
+      `<ul class="selectionList">${nodes
+        .map(
+          (n) =>
+            `<li>${n.type === "folder" ? "📁" : "📄"} ${escapeHtml(n.name)}</li>`,
+        )
+        .join("")}</ul>`,
+    )}
+  `;
+}
+
+function ExplorerFooter() {
+  const undoTitle = history.undoLabel
+    ? `Undo ${history.undoLabel} (Ctrl+Z)`
+    : "Nothing to undo";
+  const redoTitle = history.redoLabel
+    ? `Redo ${history.redoLabel} (Ctrl+Shift+Z)`
+    : "Nothing to redo";
+  const trashCount = visibleTrash().length;
+  const invalidCount = canSeeDiagnostics()
+    ? state.diagnostics.quarantined.length
+    : 0;
+
+  return `
+    <button class="btn" type="button" data-action="undo" title="${escapeHtml(undoTitle)}" aria-label="${escapeHtml(undoTitle)}" ${history.canUndo ? "" : "disabled"}>↶</button>
+    <button class="btn" type="button" data-action="redo" title="${escapeHtml(redoTitle)}" aria-label="${escapeHtml(redoTitle)}" ${history.canRedo ? "" : "disabled"}>↷</button>
+    ${ExportMenu()}
+    ${
+      invalidCount
+        ? `<button class="btn explorerFooter__diagnostics" type="button" data-action="open-diagnostics" title="Items left out of the vault" ${state.mode === "diagnostics" ? 'aria-current="page"' : ""}>
+            ⚠ ${invalidCount}
+          </button>`
+        : ""
+    }
+    <button class="btn explorerFooter__audit" type="button" data-action="open-audit" ${state.mode === "audit" ? 'aria-current="page"' : ""}>
+      📜 Audit
+    </button>
+    <button class="btn explorerFooter__trash" type="button" data-action="open-trash" ${state.mode === "trash" ? 'aria-current="page"' : ""}>
+      🗑 Trash${trashCount ? ` (${trashCount})` : ""}
+    </button>
+  `;
+}
+
+function ExportMenu() {
+  const scope = exportScope().results ? "Results" : "Tree";
+  const open = state.exportMenuOpen;
+  return `
+    <button class="btn" type="button" data-action="toggle-export" aria-haspopup="menu" aria-expanded="${String(open)}" title="Export the ${scope.toLowerCase()}">⇩ Export</button>
+    ${
+      open
+        ? `<div class="menu exportMenu" role="menu">
+            <button type="button" role="menuitem" data-action="export-tree" data-format="json">${scope} as JSON</button>
+            <button type="button" role="menuitem" data-action="export-tree" data-format="csv">${scope} as CSV</button>
+            <button type="button" role="menuitem" data-action="export-tree" data-format="text">${scope} as text tree</button>
+          </div>`
+        : ""
+    }
+  `;
+}
+
+function AuditWorkspace() {
+  const entries = visibleAudit();
+  const shown = filterAudit(entries, state.auditFilter);
+  const { action, actor, text } = state.auditFilter;
+
+  const option = (value, label, selected) =>
+    `<option value="${escapeHtml(value)}" ${value === selected ? "selected" : ""}>${escapeHtml(label)}</option>`;
+  const actors = [...new Set(entries.map((entry) => entry.actor))].sort();
+
+  const rows = shown
+    .map(
+      (entry) => `
+        <tr>
+          <td title="${escapeHtml(entry.timestamp)}">${escapeHtml(formatRelative(entry.timestamp))}</td>
+          <td>${escapeHtml(entry.actor)}</td>
+          <td>${escapeHtml(AUDIT_ACTIONS[entry.action] || entry.action)}</td>
+          <td class="auditTable__path">${escapeHtml(entry.path)}</td>
+          <td class="muted">${escapeHtml(entry.details || "")}</td>
+        </tr>
+      `,
+    )
+    .join("");
+
+  return `
+    <div class="card">
+      <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+        <div>
+          <h2 style="margin:0 0 6px 0;">Audit Log</h2>
+          <div class="muted">${shown.length} of ${entries.length} event${entries.length === 1 ? "" : "s"}, newest first.</div>
+        </div>
+        <div style="display:flex; gap:6px;">
+          <button class="btn" type="button" data-action="export-audit" data-format="csv" ${shown.length ? "" : "disabled"}>Export CSV</button>
+          <button class="btn" type="button" data-action="export-audit" data-format="json" ${shown.length ? "" : "disabled"}>Export JSON</button>
+        </div>
+      </div>
+
+      <div class="auditFilters">
+        <select class="auditFilters__field" data-audit-filter="action" aria-label="Filter by action">
+          ${option("", "All actions", action)}
+          ${Object.entries(AUDIT_ACTIONS)
+            .map(([value, label]) => option(value, label, action))
+            .join("")}
+        </select>
+        <select class="auditFilters__field" data-audit-filter="actor" aria-label="Filter by user">
+          ${option("", "All users", actor)}
+          ${actors.map((id) => option(id, id, actor)).join("")}
+        </select>
+        <input class="auditFilters__field auditFilters__text" type="search" placeholder="Path, id or details…" value="${escapeHtml(text)}" data-audit-filter="text" aria-label="Filter by path, id or details" />
+      </div>
+
+      ${
+        shown.length
+          ? `<div class="auditTable__wrap">
+              <table class="auditTable">
+                <thead><tr><th>When</th><th>User</th><th>Action</th><th>Path</th><th>Details</th></tr></thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>`
+          : `<p class="muted" style="margin:18px 0 4px;">${entries.length ? "No events match these filters." : "Nothing has been recorded yet."}</p>`
+      }
+    </div>
+  `;
+}
+
+function TrashWorkspace() {
+  const entries = visibleTrash();
+  const rows = entries
+    .map(({ node, path, deletedAt }) => {
+      const id = escapeHtml(node.id);
+      const actions = can(node, "delete")
+        ? `<button class="btn" type="button" data-action="restore" data-id="${id}">Restore</button>
+          <button class="btn btn--danger" type="button" data-action="purge" data-id="${id}">Purge</button>`
+        : `<span class="muted">Read only</span>`;
+      const count =
+        node.type === "folder"
+          ? ` · ${countDescendants(node)} item${countDescendants(node) === 1 ? "" : "s"}`
+          : "";
+
+      return `
+        <li class="trashItem">
+          <span class="trashItem__icon" aria-hidden="true">${node.type === "folder" ? "📁" : "📄"}</span>
+          <div class="trashItem__info">
+            <div class="trashItem__name">${escapeHtml(node.name)}</div>
+            <div class="trashItem__meta muted">
+              ${escapeHtml(path || "—")}${count} · deleted ${escapeHtml(formatTimestamp(new Date(deletedAt)))}
+            </div>
+          </div>
+          ${actions}
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="card">
+      <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+        <div>
+          <h2 style="margin:0 0 6px 0;">Trash</h2>
+          <div class="muted">Restored items go back to their original folder.</div>
+        </div>
+        ${purgeableTrash().length ? `<button class="btn btn--danger" type="button" data-action="purge" data-id="all">Empty Trash</button>` : ""}
+      </div>
+
+      ${
+        entries.length
+          ? `<ul class="trashList">${rows}</ul>`
+          : `<p class="muted" style="margin:18px 0 4px;">Trash is empty.</p>`
+      }
+    </div>
+  `;
+}
+
+function DiagnosticsWorkspace() {
+  const { errors, quarantined } = state.diagnostics;
+  const items = quarantined
+    .map(({ path, node, errors: problems }) => {
+      const label = node?.name || node?.id || "Unnamed item";
+      const inside =
+        node?.type === "folder" && Array.isArray(node.children)
+          ? ` · ${countDescendants(node)} item${countDescendants(node) === 1 ? "" : "s"} inside`
+          : "";
+
+      return `
+        <li class="trashItem diagnosticsItem">
+          <span class="trashItem__icon" aria-hidden="true">${node?.type === "folder" ? "📁" : "📄"}</span>
+          <div class="trashItem__info">
+            <div class="trashItem__name">${escapeHtml(label)}</div>
+            <div class="trashItem__meta muted">
+              <code>${escapeHtml(path)}</code>${node?.id ? ` · id ${escapeHtml(node.id)}` : ""}${inside}
+            </div>
+            <ul class="diagnosticsItem__errors">
+              ${problems
+                .map(
+                  (error) =>
+                    `<li><code>${escapeHtml(error.path)}</code> ${escapeHtml(error.message)}</li>`,
+                )
+                .join("")}
+            </ul>
+          </div>
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="card">
+      <h2 style="margin:0 0 6px 0;">Diagnostics</h2>
+      <div class="muted">
+        ${errors.length} problem${errors.length === 1 ? "" : "s"} found against schema v${SCHEMA_VERSION}.
+        These items were left out of the vault; fix them in the data source and reload.
+      </div>
+      ${
+        quarantined.length
+          ? `<ul class="trashList">${items}</ul>`
+          : `<p class="muted" style="margin:18px 0 4px;">Every item passed validation.</p>`
+      }
+    </div>
+  `;
+}
+
+function countDescendants(folder) {
+  let count = -1; // walk visits the folder itself
+  walk(folder, () => count++);
+  return count;
+}
+
+function EmptyWorkspace() {
+  return `
+    <div class="card" style="height:100%; display:grid; place-items:center;">
+      <div style="text-align:center; max-width:520px; padding:22px;">
+        <div style="font-size:44px; opacity:.9;">🛡️</div>
+        <h2 style="margin:10px 0 6px 0;">Secure Sandbox Mode</h2>
+        <p class="muted" style="margin:0;">
+          Select a file from the explorer to preview. Use the ⋯ menu to view full details.
+        </p>
+      </div>
+    </div>
+  `;
+}
+
+function PreviewWorkspace(node) {
+  if (node.type !== "file") return EmptyWorkspace();
+
+  // Previewable types: images and text-like files
+  if (!isPreviewable(node)) {
+    return `
+      <div class="card">
+        <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+          <div>
+            <h2 style="margin:0 0 6px 0;">${escapeHtml(node.name)}</h2>
+            <div class="muted">Preview not available for this file type.</div>
+          </div>
+          <div style="display:flex; gap:8px;">
+            ${DownloadButton(node, "Download")}
+            <button class="btn btn--primary" type="button" data-action="open-details" data-id="${escapeHtml(node.id)}">
+              View Details
+            </button>
+          </div>
+        </div>
+
+        <div class="previewFrame" style="margin-top:14px;">
+          <div class="lockPreview__inner">
+            <div class="lockPreview__icon" aria-hidden="true">🔒</div>
+            <div class="lockPreview__title">Encrypted / Binary Content Shielded</div>
+            <div class="lockPreview__desc">
+              This file is not previewable. Use “View Details” to inspect metadata${canDownload(node) ? ", or download it for local viewing" : ""}.
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  if (isLocked(node)) return LockedPreview(node);
+
+  const kind = previewKind(node);
+  const lockBtn = isEncrypted(node)
+    ? `<button class="btn" type="button" data-action="lock" data-id="${escapeHtml(node.id)}">Lock</button>`
+    : "";
+  const backBtn = state.contentSearch?.query
+    ? `<button class="btn" type="button" data-action="back-to-results">← Results</button>`
+    : "";
+
+  return `
+    <div class="card">
+      <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+        <div>
+          <h2 style="margin:0 0 6px 0;">${escapeHtml(node.name)}</h2>
+          <div class="muted">Preview available (${kind}). ${isEncrypted(node) ? "Decrypted in this browser session." : "Use “View Details” for full inspection."}</div>
+        </div>
+        <div class="actions">
+          ${backBtn}
+          ${lockBtn}
+          <button class="btn btn--primary" type="button" data-action="open-details" data-id="${escapeHtml(node.id)}">
+            View Details
+          </button>
+        </div>
+      </div>
+
+      ${SourceViewNotice(node)}
+      <div class="previewFrame" style="margin-top:14px;">
+        ${PreviewContent(node, kind)}
+      </div>
+    </div>
+  `;
+}
+
+// Formats with their own layout (Markdown, JSON, YAML folding) switch to
+// plain numbered lines while a search hit is shown
+function SourceViewNotice(node) {
+  if (state.previewTarget?.id !== node.id) return "";
+  if (findRenderer(getExt(node.name), node.mime)?.name === "log") return "";
+
+  return `
+    <div class="previewNotice" role="note" style="margin-top:14px;">
+      Showing source lines for the search match.
+      <button class="btn btn--small" type="button" data-action="formatted-view">Formatted view</button>
+    </div>
+  `;
+}
+
+function ContentSearchWorkspace() {
+  const search = state.contentSearch;
+  const extensions = CONTENT_SEARCH_EXTENSIONS.join(", ");
+
+  let status;
+  if (!search.query) {
+    status = `Type in the explorer search box to search inside ${extensions} files.`;
+  } else if (search.status === "indexing") {
+    status = `Indexing ${search.indexed} of ${search.total} files…`;
+  } else if (search.status === "searching") {
+    status = "Searching…";
+  } else if (search.status === "error") {
+    status = `Search failed: ${search.error}`;
+  } else {
+    const hits = search.files.reduce((n, f) => n + f.hits.length + f.more, 0);
+    status = `${hits} match${hits === 1 ? "" : "es"} in ${search.files.length} file${search.files.length === 1 ? "" : "s"}${search.truncated ? " (showing the first matches)" : ""}.`;
+  }
+  if (search.skipped) {
+    status += ` ${search.skipped} locked or unreadable file${search.skipped === 1 ? " was" : "s were"} skipped.`;
+  }
+
+  const files = (search.status === "ready" ? search.files : [])
+    .map(({ id, hits, more }) => {
+      const node = nodeById(id);
+      if (!node) return "";
+
+      const lines = hits
+        .map(
+          (hit) => `
+            <li>
+              <button
+                class="hitLine"
+                type="button"
+                data-action="open-hit"
+                data-id="${escapeHtml(id)}"
+                data-line="${hit.line}"
+                data-column="${hit.column}"
+                data-length="${hit.length}"
+              >
+                <span class="hitLine__n">${hit.line}</span>
+                <span class="hitLine__text">${escapeHtml(hit.before)}<mark>${escapeHtml(hit.match)}</mark>${escapeHtml(hit.after)}</span>
+              </button>
+            </li>
+          `,
+        )
+        .join("");
+
+      return `
+        <li class="hitFile">
+          <div class="hitFile__name">📄 ${escapeHtml(node.name)} <span class="muted">${escapeHtml(node.path)}</span></div>
+          <ul class="hitFile__lines">${lines}</ul>
+          ${more ? `<div class="muted hitFile__more">+${more} more in this file</div>` : ""}
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="card">
+      <h2 style="margin:0 0 6px 0;">Search in Files</h2>
+      <div class="muted" role="status">${escapeHtml(status)}</div>
+      ${files ? `<ul class="hitList">${files}</ul>` : ""}
+    </div>
+  `;
+}
+
+function LockedPreview(node) {
+  const id = escapeHtml(node.id);
+
+  return `
+    <div class="card">
+      <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+        <div>
+          <h2 style="margin:0 0 6px 0;">${escapeHtml(node.name)}</h2>
+          <div class="muted">Encrypted with ${escapeHtml(node.encryption.algorithm)}.</div>
+        </div>
+        <button class="btn btn--primary" type="button" data-action="open-details" data-id="${id}">
+          View Details
+        </button>
+      </div>
+
+      <div class="previewFrame" style="margin-top:14px;">
+        <div class="lockPreview__inner">
+          <div class="lockPreview__icon" aria-hidden="true">🔒</div>
+          <div class="lockPreview__title">Encrypted Content Shielded</div>
+          <div class="lockPreview__desc">
+            Enter the passphrase to decrypt this file for preview. Decryption happens in your browser; the stored copy stays encrypted.
+          </div>
+          <div class="lockPreview__buttons">
+            <button class="btn btn--primary" type="button" data-action="unlock" data-id="${id}">Unlock…</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function PreviewContent(node, kind) {
+  const entry = state.previews.get(node.id);
+
+  if (!entry || entry.status === "loading") {
+    return `<div class="muted">Loading preview…</div>`;
+  }
+
+  if (entry.status === "missing") {
+    return `
+      <div class="lockPreview__inner">
+        <div class="lockPreview__icon" aria-hidden="true">📭</div>
+        <div class="lockPreview__title">No Content Source</div>
+        <div class="lockPreview__desc">
+          Add a <code>src</code> URL or inline <code>content</code> to this file's entry in data.json to preview it.
+        </div>
+      </div>
+    `;
+  }
+
+  if (entry.status === "error") {
+    return `
+      <div class="lockPreview__inner" role="alert">
+        <div class="lockPreview__icon" aria-hidden="true">⚠️</div>
+        <div class="lockPreview__title">Preview failed to load</div>
+        <div class="lockPreview__desc">${escapeHtml(entry.error)}</div>
+        <div class="lockPreview__buttons">
+          <button class="btn" type="button" data-action="retry-preview" data-id="${escapeHtml(node.id)}">Retry</button>
+        </div>
+      </div>
+    `;
+  }
+
+  if (kind === "image") {
+    return `<img class="previewImage" src="${escapeHtml(entry.url)}" alt="${escapeHtml(node.name)}" />`;
+  }
+
+  return `
+    <div class="previewText" aria-label="Text preview">
+      ${renderPreviewText(node, entry)}
+    </div>
+    ${PreviewPager(node, entry)}
+  `;
+}
+
+function PreviewPager(node, entry) {
+  if (entry.done && !entry.error) return "";
+
+  const loaded = formatBytes(entry.offset);
+  const total =
+    entry.total !== null ? formatBytes(entry.total) : "unknown size";
+  const label = entry.pending
+    ? "Loading…"
+    : entry.error
+      ? "Retry"
+      : "Load more";
+
+  return `
+    <div class="previewPager">
+      <span class="muted">
+        ${entry.error ? `${escapeHtml(entry.error)} ` : ""}Showing ${loaded} of ${total}.
+      </span>
+      <button class="btn" type="button" data-action="load-more" data-id="${escapeHtml(node.id)}" ${entry.pending ? "disabled" : ""}>
+        ${label}
+      </button>
+    </div>
+  `;
+}
+
+function DetailsWorkspace(node) {
+  //details screen
+  if (node.type !== "file") return FolderListing(node);
+
+  const badges = [
+    isEncrypted(node)
+      ? Badge(`${node.encryption.algorithm} Encrypted`, "accent")
+      : Badge("No Encryption", ""),
+    isEncrypted(node)
+      ? Badge(
+          isLocked(node) ? "Locked" : "Unlocked",
+          isLocked(node) ? "warn" : "good",
+        )
+      : "",
+    ChecksumBadge(node),
+    ClassificationBadge(node),
+    ...tags.tagsOf(node).map(TagBadge),
+  ].join("");
+
+  return `
+    <div class="hero">
+      <div class="fileHeader">
+        
+        <div class="fileTitle">
+          <h1>${escapeHtml(node.name)}</h1>
+          <div class="badges">${badges}</div>
+        </div>
+      </div>
+
+      <div class="actions">
+        ${DownloadButton(node, "Download File", "btn btn--primary")}
+      </div>
+    </div>
+
+    <div class="card preview_wrapper">
+      <div class="preview_item">FILE SIZE</div><div class="preview_value">${escapeHtml(sizeLabel(node))}</div>
+      <div class="preview_item">MIME TYPE</div><div class="preview_value">${escapeHtml(node.mime || "application/octet-stream")}</div>
+      <div class="preview_item">SECURITY OWNER</div><div class="preview_value">${escapeHtml(node.owner || "Not set")}</div>
+      <div class="preview_item">LOCATION PATH</div><div class="preview_value">${escapeHtml(node.path || "—")}</div>
+    </div>
+
+    <div class="lockPreview">
+      ${SecurePanel(node)}
+    </div>
+  `;
+}
+
+const COMPARE_LAYOUTS = [
+  ["split", "Side by side"],
+  ["unified", "Unified"],
+];
+
+function CompareWorkspace(node, compare) {
+  const { layout, status, result, error } = compare;
+  const isText = result?.kind === "text";
+
+  const sides = ["from", "to"]
+    .map((side) => {
+      const options = [null, ...(node.versions || [])]
+        .map((version) => {
+          const value = version?.id ?? "current";
+          const selected = value === compare[side] ? "selected" : "";
+          return `<option value="${escapeHtml(value)}" ${selected}>${escapeHtml(versionLabel(node, version))}</option>`;
+        })
+        .join("");
+      return `
+        <label class="compareBar__side">
+          <span>${side === "from" ? "Compare" : "With"}</span>
+          <select class="compareBar__select" data-compare-side="${side}">${options}</select>
+        </label>
+      `;
+    })
+    .join("");
+
+  const layouts = isText
+    ? `<div class="compareLayout" role="group" aria-label="Diff layout">
+        ${COMPARE_LAYOUTS.map(
+          ([value, label]) =>
+            `<button class="btn ${value === layout ? "btn--primary" : ""}" type="button" data-action="compare-layout" data-layout="${value}" aria-pressed="${value === layout}">${label}</button>`,
+        ).join("")}
+      </div>`
+    : "";
+
+  const badges = isText
+    ? `${Badge(`+${result.added}`, "good")}${Badge(`−${result.removed}`, "bad")}`
+    : "";
+
+  let body;
+  if (status === "loading") {
+    body = `<div class="card muted">Loading both versions…</div>`;
+  } else if (status === "error") {
+    body = `<div class="card"><div class="previewNotice previewNotice--error" role="alert">${escapeHtml(error)}</div></div>`;
+  } else if (isText) {
+    body =
+      result.added || result.removed
+        ? DiffView(result.ops, layout)
+        : `<div class="card muted">The two versions are identical.</div>`;
+  } else {
+    body = CompareSummary(node, compare);
+  }
+
   return `
-    <div class="card" style="height:100%; display:grid; place-items:center;">
-      <div style="text-align:center; max-width:520px; padding:22px;">
-        <div style="font-size:44px; opacity:.9;">🛡️</div>
-        <h2 style="margin:10px 0 6px 0;">Secure Sandbox Mode</h2>
-        <p class="muted" style="margin:0;">
-          Select a file from the explorer to preview. Use the ⋯ menu to view full details.
-        </p>
+    <div class="hero">
+      <div class="fileHeader">
+        <div class="fileTitle">
+          <h1>${escapeHtml(node.name)}</h1>
+          <div class="badges">${Badge("Compare Versions", "accent")}${badges}</div>
+        </div>
+      </div>
+
+      <div class="actions">
+        ${layouts}
+        <button class="btn" type="button" data-action="open-details" data-id="${escapeHtml(node.id)}">Back to Details</button>
       </div>
     </div>
+
+    <div class="compareBar">${sides}</div>
+
+    ${body}
   `;
 }
 
-function PreviewWorkspace(node) {
-  if (node.type !== "file") return EmptyWorkspace();
+// Files that are not text, or too large to diff, are compared by size
+// and checksum
+function CompareSummary(node, { from, to, result }) {
+  const column = (side, { bytes, checksum }) => {
+    const version = compareVersion(node, side);
+    return KV([
+      ["Version", versionLabel(node, version)],
+      ["Size", formatBytes(bytes)],
+      ["SHA-256", checksum],
+    ]);
+  };
+  const [before, after] = result.sides;
 
-  // Previewable types: images and text-like files
-  if (!isPreviewable(node)) {
+  return `
+    <div class="card">
+      ${result.note ? `<p class="muted">${escapeHtml(result.note)}</p>` : ""}
+      <div class="compareSummary">
+        ${column(from, before)}
+        ${column(to, after)}
+      </div>
+      ${result.same ? Badge("Identical content", "good") : Badge("Content differs", "warn")}
+    </div>
+  `;
+}
+
+function DiffView(ops, layout) {
+  const folded = foldUnchanged(ops);
+  const rows = layout === "unified" ? folded : pairRows(folded);
+  const shown = rows.slice(0, DIFF_ROW_LIMIT);
+  const more =
+    rows.length > shown.length
+      ? `<div class="diff__more muted">${(rows.length - shown.length).toLocaleString("en-US")} more rows not shown.</div>`
+      : "";
+
+  const skip = (count, span) =>
+    `<tr class="diff__skip"><td colspan="${span}">⋯ ${count.toLocaleString("en-US")} unchanged line${count === 1 ? "" : "s"}</td></tr>`;
+  const sign = { same: " ", added: "+", removed: "−" };
+
+  const body =
+    layout === "unified"
+      ? shown
+          .map((op) =>
+            op.type === "skip"
+              ? skip(op.count, 4)
+              : `<tr class="diff__row diff__row--${op.type}">
+                  <td class="diff__num">${op.left ?? ""}</td>
+                  <td class="diff__num">${op.right ?? ""}</td>
+                  <td class="diff__sign" aria-hidden="true">${sign[op.type]}</td>
+                  <td class="diff__text">${escapeHtml(op.text)}</td>
+                </tr>`,
+          )
+          .join("")
+      : shown
+          .map((row) => {
+            if (row.skip) return skip(row.skip, 4);
+            const cell = (op, side) =>
+              op
+                ? `<td class="diff__num">${op[side]}</td><td class="diff__text diff__text--${op.type}">${escapeHtml(op.text)}</td>`
+                : `<td class="diff__num"></td><td class="diff__text diff__text--empty"></td>`;
+            return `<tr class="diff__row">${cell(row.left, "left")}${cell(row.right, "right")}</tr>`;
+          })
+          .join("");
+
+  return `
+    <div class="card diff__card">
+      <table class="diff diff--${layout}">
+        <tbody>${body}</tbody>
+      </table>
+      ${more}
+    </div>
+  `;
+}
+
+const LIST_HEADINGS = [
+  ["name", "Name"],
+  ["size", "Size"],
+  ["type", "Type"],
+  ["owner", "Owner"],
+  ["modified", "Modified"],
+];
+
+function FolderListing(folder) {
+  const entries = listEntries(folder);
+  const { key, dir } = state.listSort;
+  const parent = parentOf(folder.id);
+
+  const headings = LIST_HEADINGS.map(([column, label]) => {
+    const sorted = column === key;
+    const arrow = sorted ? (dir === "asc" ? " ▲" : " ▼") : "";
     return `
-      <div class="card">
-        <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
-          <div>
-            <h2 style="margin:0 0 6px 0;">${escapeHtml(node.name)}</h2>
-            <div class="muted">Preview not available for this file type.</div>
-          </div>
-          <button class="btn btn--primary" type="button" data-action="open-details" data-id="${escapeHtml(node.id)}">
-            View Details
-          </button>
+      <th ${sorted ? `aria-sort="${dir === "asc" ? "ascending" : "descending"}"` : ""}>
+        <button class="folderList__sort" type="button" data-action="sort-list" data-key="${column}">${label}${arrow}</button>
+      </th>
+    `;
+  }).join("");
+
+  const rows = entries
+    .map((node) => {
+      const modified =
+        node.type === "folder" ? folderStats(node).modifiedAt : node.modifiedAt;
+      return `
+        <tr>
+          <td>
+            <button class="folderList__name" type="button" data-action="open-entry" data-id="${escapeHtml(node.id)}">
+              <span aria-hidden="true">${node.type === "folder" ? "📁" : "📄"}</span>
+              ${escapeHtml(node.name)}
+            </button>
+          </td>
+          <td>${escapeHtml(sizeLabel(node))}</td>
+          <td>${escapeHtml(typeLabel(node))}</td>
+          <td>${escapeHtml(node.owner || "—")}</td>
+          <td>${escapeHtml(dateLabel(modified))}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="card">
+      <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
+        <div>
+          <h2 style="margin:0 0 6px 0;">📁 ${escapeHtml(folder.name)}</h2>
+          <div class="muted">${escapeHtml(statsLabel(folderStats(folder)))} · ${escapeHtml(sizeLabel(folder))}</div>
         </div>
+        <div style="display:flex; gap:8px;">
+          ${
+            parent && can(parent, "details")
+              ? `<button class="btn" type="button" data-action="open-entry" data-id="${escapeHtml(parent.id)}">↑ Up</button>`
+              : ""
+          }
+          ${DownloadButton(folder, "Download ZIP")}
+        </div>
+      </div>
 
-        <div class="previewFrame" style="margin-top:14px;">
-          <div class="lockPreview__inner">
-            <div class="lockPreview__icon" aria-hidden="true">🔒</div>
-            <div class="lockPreview__title">Encrypted / Binary Content Shielded</div>
-            <div class="lockPreview__desc">
-              This file is not previewable. Use “View Details” to inspect metadata, or download for local viewing.
-            </div>
-          </div>
+      ${
+        entries.length
+          ? `<div class="auditTable__wrap">
+              <table class="auditTable folderList">
+                <thead><tr>${headings}</tr></thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>`
+          : `<p class="muted" style="margin:18px 0 4px;">This folder is empty.</p>`
+      }
+    </div>
+  `;
+}
+
+// Nothing when the user may not download the node or it has no content
+function DownloadButton(node, label, cls = "btn") {
+  if (!canDownload(node)) return "";
+  const title = isLocked(node)
+    ? ' title="Downloads the encrypted file; unlock it first for the plaintext"'
+    : "";
+  return `<button class="${cls}" type="button" data-action="download" data-id="${escapeHtml(node.id)}"${title}><span>${escapeHtml(label)}</span></button>`;
+}
+
+function SecurePanel(node) {
+  const id = escapeHtml(node.id);
+
+  if (isLocked(node)) {
+    return `
+      <div class="lockPreview__inner">
+        <div class="lockPreview__icon" aria-hidden="true">🔒</div>
+        <div class="lockPreview__title">Encrypted Content Shielded</div>
+        <div class="lockPreview__desc">
+          Enter the passphrase to decrypt this file for preview. The stored copy stays encrypted.
+        </div>
+        <div class="lockPreview__buttons">
+          <button class="btn btn--primary" type="button" data-action="unlock" data-id="${id}">Unlock…</button>
         </div>
       </div>
     `;
   }
 
-  const kind = previewKind(node);
+  if (isEncrypted(node)) {
+    return `
+      <div class="lockPreview__inner">
+        <div class="lockPreview__icon" aria-hidden="true">🔓</div>
+        <div class="lockPreview__title">Unlocked for This Session</div>
+        <div class="lockPreview__desc">
+          The decrypted copy lives only in this tab. Lock the file to forget it.
+        </div>
+        <div class="lockPreview__buttons">
+          <button class="btn" type="button" data-action="lock" data-id="${id}">Lock</button>
+        </div>
+      </div>
+    `;
+  }
+
+  const hasContent = store.hasContent(node);
+  const canEncrypt = hasContent && can(node, "encrypt");
+  const desc = !hasContent
+    ? "This file has no content to encrypt."
+    : canEncrypt
+      ? "This file is stored unencrypted. Encrypt it with a passphrase (AES-256-GCM) to keep it shielded until it is unlocked."
+      : "This file is stored unencrypted. Your role does not allow encrypting it.";
+  return `
+    <div class="lockPreview__inner">
+      <div class="lockPreview__icon" aria-hidden="true">🔒</div>
+      <div class="lockPreview__title">Secure Content Preview</div>
+      <div class="lockPreview__desc">
+        ${desc}
+      </div>
+      ${
+        canEncrypt
+          ? `<div class="lockPreview__buttons">
+              <button class="btn btn--primary" type="button" data-action="encrypt" data-id="${id}">Encrypt…</button>
+            </div>`
+          : ""
+      }
+    </div>
+  `;
+}
+
+function Inspector(node) {
+  if (node?.type === "folder") {
+    return `
+      ${Section(
+        "GENERAL INFO",
+        KV([
+          ["Name", node.name],
+          ["Type", "Folder"],
+          ["Items", (node.children || []).filter((c) => can(c, "view")).length],
+          ["Contains", statsLabel(folderStats(node))],
+          ["Total Size", sizeLabel(node)],
+          ["Last Modified", dateLabel(folderStats(node).modifiedAt)],
+          ["Location Path", node.path || "—"],
+        ]),
+      )}
+
+      ${node.id === state.data.id ? "" : MetadataSection(node)}
+
+      ${AccessSection(node)}
+
+      ${ActivitySection(node)}
+    `;
+  }
+
+  if (!node || node.type !== "file") {
+    return `
+      ${Section(
+        "GENERAL INFO",
+        KV([
+          ["Name", "No selection"],
+          ["Type", "—"],
+          ["Size", "—"],
+          ["Owner", "—"],
+        ]),
+      )}
+
+      ${Section(
+        "SECURITY METADATA",
+        KV([
+          ["Encryption", "—"],
+          ["Status", "—"],
+          ["Checksum", "—"],
+          ["Permissions", "—"],
+        ]),
+      )}
+
+      ${Section(
+        "TIMESTAMPS",
+        KV([
+          ["Created", "—"],
+          ["Modified", "—"],
+          ["Accessed", "—"],
+        ]),
+      )}
+
+      ${Section("RECENT ACTIVITY", `<div class="muted">No activity yet.</div>`)}
+    `;
+  }
+
+  const verifying = state.verifying.has(node.id);
+
+  return `
+    ${Section(
+      "GENERAL INFO",
+      KV([
+        ["Logical Name", node.name],
+        ["System File Type", node.mime || "application/octet-stream"],
+        ["Total Payload Size", sizeLabel(node)],
+        ["Location Path", node.path || "—"],
+      ]),
+    )}
+
+    ${MetadataSection(node)}
+
+    ${VersionsSection(node)}
+
+    ${Section(
+      "SECURITY METADATA",
+      `${KV([
+        ...EncryptionRows(node),
+        [
+          "SHA-256 Checksum",
+          node.sha256 || (verifying ? "Computing…" : "Not computed"),
+        ],
+        ["Expected Checksum", node.checksum || "Not provided"],
+        [
+          "Verification Status",
+          verifying ? "Checking…" : node.status || "Unknown",
+        ],
+      ])}${VerifyButton(node)}`,
+    )}
+
+    ${AccessSection(node)}
+
+    ${Section(
+      "TIMESTAMPS",
+      KV([
+        ["Created", dateLabel(node.createdAt)],
+        ["Modified", dateLabel(node.modifiedAt)],
+        ["Accessed", dateLabel(lastAccessed(node))],
+      ]),
+    )}
+
+    ${ActivitySection(node)}
+  `;
+}
+
+// Files whose content was not hashed on opening (see isContentInMemory)
+function VerifyButton(node) {
+  if (node.sha256 || !store.hasContent(node) || !can(node, "preview")) {
+    return "";
+  }
+  const verifying = state.verifying.has(node.id);
+  return `<button class="btn btn--small" type="button" data-action="verify-checksum" data-id="${escapeHtml(node.id)}" ${verifying ? "disabled" : ""}>${verifying ? "Verifying…" : "Verify Checksum"}</button>`;
+}
+
+const ACTIVITY_LIMIT = 8; // the audit view has the rest
+
+function ActivitySection(node) {
+  const items = nodeActivity(node);
+  const more =
+    items.length > ACTIVITY_LIMIT
+      ? `<button class="btn btn--small activity__more" type="button" data-action="open-audit" data-id="${escapeHtml(node.id)}">
+          View all ${items.length} events
+        </button>`
+      : "";
+  return Section(
+    "RECENT ACTIVITY",
+    `${ActivityList(items.slice(0, ACTIVITY_LIMIT))}${more}`,
+  );
+}
+
+// Owner, classification, tags, description and custom fields; users who
+// may edit the item get an editor in place of the read-only list
+function MetadataSection(node) {
+  if (state.metaEdit?.id === node.id && can(node, "edit")) {
+    return Section("METADATA", MetadataForm(state.metaEdit));
+  }
+
+  const edit = can(node, "edit")
+    ? `<button class="btn btn--small" type="button" data-action="edit-metadata" data-id="${escapeHtml(node.id)}">Edit Metadata</button>`
+    : "";
+  return Section(
+    "METADATA",
+    `${KV([
+      ["Owner", node.owner || "Not set"],
+      ["Classification", classificationLabel(node)],
+      ["Tags", node.tags?.join(", ") || "None"],
+      ...inheritedTagRows(node),
+      ["Description", node.description || "None"],
+      ...Object.entries(node.fields || {}),
+    ])}${edit}`,
+  );
+}
+
+function classificationLabel(node) {
+  const { level, from } = classificationOf(node) ?? {};
+  if (!level) return "Not set";
+  if (from === node) return level;
+  return `${level} (inherited from ${from.path || from.name})`;
+}
+
+function inheritedTagRows(node) {
+  const inherited = tags.tagsOf(node).filter((tag) => tag.inherited);
+  return inherited.length
+    ? [["Inherited Tags", inherited.map((tag) => tag.name).join(", ")]]
+    : [];
+}
+
+// Newest first, the current content on top; stored versions can be
+// compared with another one or restored
+function VersionsSection(node) {
+  if (isEncrypted(node)) return "";
+  const versions = node.versions || [];
+  const canUpload = canSaveVersion(node);
+  if (!versions.length && !canUpload) return "";
+
+  const pending = state.versionPending === node.id;
+  const id = escapeHtml(node.id);
+  const items = [null, ...versions].map((version) => {
+    const entry = version ?? {
+      timestamp: node.modified,
+      author: node.author,
+      size: node.size,
+      checksum: node.checksum,
+    };
+    const bytes = parseSize(entry.size);
+    const meta = [
+      entry.author || "Unknown author",
+      dateLabel(parseTimestamp(entry.timestamp)),
+      bytes === null ? "—" : formatBytes(bytes),
+    ].join(" · ");
+
+    let actions = "";
+    if (version && !versionHasContent(version)) {
+      actions = `<span class="muted">Content not kept</span>`;
+    } else if (version) {
+      const button = (action, text, allowed) =>
+        allowed
+          ? `<button class="btn btn--small" type="button" data-action="${action}" data-id="${id}" data-version="${escapeHtml(version.id)}" ${pending ? "disabled" : ""}>${text}</button>`
+          : "";
+      actions = [
+        button("compare-version", "Compare", can(node, "preview")),
+        button("restore-version", "Restore", canSaveVersion(node)),
+      ].join("");
+    }
+
+    return `
+      <li class="versionList__item${version ? "" : " versionList__item--current"}">
+        <div class="versionList__head">
+          <strong>v${versionNumber(node, version)}</strong>
+          ${version ? "" : Badge("Current", "good")}
+        </div>
+        <div class="versionList__meta">${escapeHtml(meta)}</div>
+        ${entry.checksum ? `<div class="versionList__meta versionList__checksum" title="${escapeHtml(entry.checksum)}">${escapeHtml(entry.checksum.slice(0, 19))}…</div>` : ""}
+        ${actions ? `<div class="versionList__actions">${actions}</div>` : ""}
+      </li>
+    `;
+  });
+
+  const upload = canUpload
+    ? `<button class="btn btn--small" type="button" data-action="upload-version" data-id="${id}" ${pending ? "disabled" : ""}>${pending ? "Saving…" : "Upload New Version…"}</button>`
+    : "";
+  return Section(
+    "VERSIONS",
+    `<ol class="versionList">${items.join("")}</ol>${upload}`,
+  );
+}
+
+// "v2 · 2025-03-02 09:15 · Admin_Sara"; null is the current content
+function versionLabel(node, version) {
+  const number = `v${versionNumber(node, version)}`;
+  if (!version) return `${number} · Current`;
+  return [number, dateLabel(parseTimestamp(version.timestamp)), version.author]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function MetadataForm({ draft, errors, pending }) {
+  const dirty = isMetadataDirty(state.metaEdit);
+  const disabled = pending ? "disabled" : "";
+  const error = (field) =>
+    errors[field]
+      ? `<div class="metaForm__error" role="alert">${escapeHtml(errors[field])}</div>`
+      : "";
+  const input = (field, label, extra = "") => `
+      <label class="metaForm__field">
+        <span>${label}</span>
+        <input class="metaForm__input" type="text" data-meta-field="${field}" value="${escapeHtml(draft[field])}" ${errors[field] ? `aria-invalid="true"` : ""} ${extra} ${disabled} />
+      </label>
+      ${error(field)}
+  `;
+
+  const levels = ["", ...CLASSIFICATIONS]
+    .map(
+      (level) =>
+        `<option value="${escapeHtml(level)}" ${level === draft.classification ? "selected" : ""}>${escapeHtml(level || "Not set")}</option>`,
+    )
+    .join("");
+  const users = config.access.users
+    .map((user) => `<option value="${escapeHtml(user.id)}"></option>`)
+    .join("");
+  const names = [
+    ...tags.definitions.map((tag) => tag.name),
+    ...draft.tags.filter((name) => !tags.get(name)),
+  ];
+  const picker = names
+    .map((name) => {
+      const on = draft.tags.includes(name);
+      return `<button class="tagChip${on ? "" : " tagChip--off"}" type="button" data-action="toggle-meta-tag" data-tag="${escapeHtml(name)}" aria-pressed="${on}" ${TagStyle({ color: tags.get(name)?.color })} ${disabled}>${escapeHtml(name)}</button>`;
+    })
+    .join("");
+  const rows = draft.fields
+    .map(
+      ({ key, value }, row) => `
+        <div class="metaForm__row">
+          <input class="metaForm__input" type="text" placeholder="Name" aria-label="Field name" data-meta-field="fields.${row}.key" value="${escapeHtml(key)}" ${disabled} />
+          <input class="metaForm__input" type="text" placeholder="Value" aria-label="Field value" data-meta-field="fields.${row}.value" value="${escapeHtml(value)}" ${disabled} />
+          <button class="btn btn--ghost btn--small" type="button" data-action="remove-meta-field" data-row="${row}" aria-label="Remove field" ${disabled}>✕</button>
+        </div>
+      `,
+    )
+    .join("");
+
+  return `
+    <form class="metaForm" data-meta-form novalidate>
+      ${input("owner", "Owner", `list="metaOwners" autocomplete="off"`)}
+      <datalist id="metaOwners">${users}</datalist>
+
+      <label class="metaForm__field">
+        <span>Classification</span>
+        <select class="metaForm__input" data-meta-field="classification" ${disabled}>${levels}</select>
+      </label>
+      ${error("classification")}
+
+      <div class="metaForm__field">
+        <span>Tags</span>
+        <div class="tagPicker" role="group" aria-label="Tags">${picker}</div>
+      </div>
+      ${error("tags")}
+
+      <label class="metaForm__field">
+        <span>Description</span>
+        <textarea class="metaForm__input" rows="3" data-meta-field="description" ${errors.description ? `aria-invalid="true"` : ""} ${disabled}>${escapeHtml(draft.description)}</textarea>
+      </label>
+      ${error("description")}
+
+      <div class="metaForm__field">
+        <span>Custom fields</span>
+        ${rows}
+        <button class="btn btn--small" type="button" data-action="add-meta-field" ${disabled}>＋ Add Field</button>
+      </div>
+      ${error("fields")}
+      ${error("form")}
+
+      <div class="metaForm__actions">
+        <button class="btn btn--small" type="button" data-action="revert-metadata" ${dirty && !pending ? "" : "disabled"}>Revert</button>
+        <button class="btn btn--small" type="button" data-action="cancel-metadata" ${disabled}>Cancel</button>
+        <button class="btn btn--small btn--primary" type="submit" ${dirty && !pending ? "" : "disabled"}>${pending ? "Saving…" : "Save"}</button>
+      </div>
+    </form>
+  `;
+}
+
+// Effective rights of the acting user and the ACL they come from
+function AccessSection(node) {
+  const { user } = access;
+  const { role, actions, from, via } = access.rights(node);
+
+  let source = `${user.id}'s account role`;
+  if (user.role === "admin") source = "Administrators are not limited by ACLs";
+  else if (from === node) source = `This item (ACL entry '${via}')`;
+  else if (from) source = `${from.path || from.name} (ACL entry '${via}')`;
+
+  const allowed = [...actions].filter((action) => action !== "view");
+  return Section(
+    "ACCESS PERMISSIONS",
+    KV([
+      ["Acting As", `${user.id} (${user.role})`],
+      ["Effective Role", role],
+      ["Allowed Actions", allowed.join(", ") || "None"],
+      ["Inherited From", source],
+    ]),
+  );
+}
+
+function EncryptionRows(node) {
+  const enc = node.encryption;
+  if (!enc) return [["Encryption Method", "None"]];
+
+  return [
+    ["Encryption Method", `${enc.algorithm} (${enc.tagLength}-bit tag)`],
+    [
+      "Key Derivation",
+      `${enc.kdf}-${enc.hash}, ${enc.iterations.toLocaleString("en-US")} iterations`,
+    ],
+    ["Salt", enc.salt],
+    ["IV", enc.iv],
+    ["Lock State", isLocked(node) ? "Locked" : "Unlocked (this session)"],
+  ];
+}
+
+function DeleteModal() {
+  const nodes = state.deleteTargetIds.map((id) => nodeById(id)).filter(Boolean);
+  const name = nodes.length === 1 ? nodes[0].name : "this item";
+
+  return `
+    <div class="modalOverlay" role="dialog" aria-modal="true" aria-label="Delete confirmation">
+      <div class="modal">
+        <div class="modal__top">
+          <div class="modal__icon" aria-hidden="true">!</div>
+          <button class="btn btn--ghost" type="button" data-action="close-delete" aria-label="Close">✕</button>
+        </div>
+
+        <div class="modal__title">${nodes.length > 1 ? `Move ${nodes.length} items to Trash?` : "Move to Trash?"}</div>
+        ${
+          nodes.length > 1
+            ? `<ul class="modal__list">${nodes.map((n) => `<li>${escapeHtml(n.path || n.name)}</li>`).join("")}</ul>
+               <p class="modal__desc">They can be restored from the Trash, or with Ctrl+Z.</p>`
+            : `<p class="modal__desc"><b>${escapeHtml(name)}</b> can be restored from the Trash, or with Ctrl+Z.</p>`
+        }
+
+        <div class="modal__actions">
+          <button class="btn" type="button" data-action="close-delete">Cancel</button>
+          <button class="btn btn--danger" type="button" data-action="confirm-delete">Yes, delete</button>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function MoveModal() {
+  const ids = state.moveDialogIds;
+  const moving = ids.map((id) => nodeById(id)).filter(Boolean);
+
+  // Every folder outside the moved subtrees the user may add to is a
+  // candidate; like the tree, nothing under a hidden folder is listed
+  const options = [];
+  const visit = (node) => {
+    if (node.type !== "folder" || !can(node, "view")) return;
+    if (moving.some((m) => m === node)) return;
+    if (can(node, "create")) {
+      options.push(
+        `<option value="${escapeHtml(node.id)}">${escapeHtml(node.path || "/" + node.name)}</option>`,
+      );
+    }
+    for (const child of node.children || []) visit(child);
+  };
+  visit(state.data);
+
+  return `
+    <div class="modalOverlay" role="dialog" aria-modal="true" aria-label="Move items">
+      <div class="modal">
+        <div class="modal__top">
+          <div class="modal__icon modal__icon--accent" aria-hidden="true">↦</div>
+          <button class="btn btn--ghost" type="button" data-action="close-move" aria-label="Close">✕</button>
+        </div>
+
+        <div class="modal__title">Move ${moving.length === 1 ? escapeHtml(moving[0].name) : `${moving.length} items`}</div>
+        <label class="modal__field">
+          <span>Destination folder</span>
+          <select class="modal__input" data-move-target>${options.join("")}</select>
+        </label>
 
-  const previewHtml =
-    kind === "image"
-      ? `
-      <div class="previewImageMock" aria-label="Image preview (mock)">
-        <div style="text-align:center; padding:18px;">
-          <div style="font-size:44px;">🖼️</div>
-          <div style="margin-top:8px; font-weight:800;">Image Preview</div>
-          <div class="muted" style="margin-top:6px;">
-            ${escapeHtml(node.name)}<br/>
-            (To show real images, provide a URL/content source per file.)
-          </div>
+        <div class="modal__actions">
+          <button class="btn" type="button" data-action="close-move">Cancel</button>
+          <button class="btn btn--primary" type="button" data-action="confirm-move">Move</button>
         </div>
       </div>
-    `
-      : `
-      <div class="previewTextMock" aria-label="Text preview (generated)">
-        <pre>${escapeHtml(generateTextPreview(node))}</pre>
-      </div>
-    `;
+    </div>
+  `;
+}
+
+function PurgeModal() {
+  const all = state.purgeTargetId === "all";
+  const entry = state.trash.find((e) => e.node.id === state.purgeTargetId);
+  const what = all
+    ? `all ${purgeableTrash().length} items in the Trash`
+    : `<b>${escapeHtml(entry?.node.name || "this item")}</b>`;
 
   return `
-    <div class="card">
-      <div style="display:flex; align-items:center; justify-content:space-between; gap:12px;">
-        <div>
-          <h2 style="margin:0 0 6px 0;">${escapeHtml(node.name)}</h2>
-          <div class="muted">Preview available (${kind}). Use “View Details” for full inspection.</div>
+    <div class="modalOverlay" role="dialog" aria-modal="true" aria-label="Purge confirmation">
+      <div class="modal">
+        <div class="modal__top">
+          <div class="modal__icon" aria-hidden="true">!</div>
+          <button class="btn btn--ghost" type="button" data-action="close-purge" aria-label="Close">✕</button>
         </div>
-        <button class="btn btn--primary" type="button" data-action="open-details" data-id="${escapeHtml(node.id)}">
-          View Details
-        </button>
-      </div>
 
-      <div class="previewFrame" style="margin-top:14px;">
-        ${previewHtml}
+        <div class="modal__title">${all ? "Empty the Trash?" : "Purge for good?"}</div>
+        <p class="modal__desc">Purging ${what} is not reversible, and cannot be undone.</p>
+
+        <div class="modal__actions">
+          <button class="btn" type="button" data-action="close-purge">Cancel</button>
+          <button class="btn btn--danger" type="button" data-action="confirm-purge">Yes, purge</button>
+        </div>
       </div>
     </div>
   `;
 }
 
-function DetailsWorkspace(node) {
-  //details screen
-  if (node.type !== "file") {
-    return `
-      <div class="card" style="height:100%; display:grid; place-items:center;">
-        <div style="text-align:center; max-width:520px; padding:22px;">
-          <div style="font-size:44px; opacity:.9;">📁</div>
-          <h2 style="margin:10px 0 6px 0;">Folder Selected</h2>
-          <p class="muted" style="margin:0;">Use the ⋯ menu on a file to open its details.</p>
-        </div>
-      </div>
-    `;
-  }
-
-  const badges = [
-    Badge(
-      node.encryption !== "None" ? "AES-256 Encrypted" : "No Encryption",
-      node.encryption !== "None" ? "accent" : "",
-    ),
-    Badge("Verified Signature", "good"),
-    Badge("Production Grade", "warn"),
-  ].join("");
+function UploadConflictModal() {
+  const { folderName, names } = state.uploadConflict;
+  const many = names.length > 1;
 
   return `
-    <div class="hero">
-      <div class="fileHeader">
-        
-        <div class="fileTitle">
-          <h1>${escapeHtml(node.name)}</h1>
-          <div class="badges">${badges}</div>
+    <div class="modalOverlay" role="dialog" aria-modal="true" aria-label="Upload name conflict">
+      <div class="modal">
+        <div class="modal__top">
+          <div class="modal__icon modal__icon--warn" aria-hidden="true">⇪</div>
+          <button class="btn btn--ghost" type="button" data-action="upload-policy" aria-label="Cancel upload">✕</button>
         </div>
-      </div>
-
-      <div class="actions">
-        <button class="btn btn--primary" type="button"><span>Download File</span></button>
-        
-      </div>
-    </div>
 
-    <div class="card preview_wrapper">
-      <div class="preview_item">FILE SIZE</div><div class="preview_value">${escapeHtml(node.size || "—")}</div>
-      <div class="preview_item">MIME TYPE</div><div class="preview_value">${escapeHtml(node.mime || "application/octet-stream")}</div>
-      <div class="preview_item">SECURITY OWNER</div><div class="preview_value">${escapeHtml(node.owner || "System")}</div>
-      <div class="preview_item">LOCATION PATH</div><div class="preview_value">${escapeHtml(node.path || "—")}</div>
-    </div>
+        <div class="modal__title">${many ? `${names.length} files already exist` : "A file already exists"} in ${escapeHtml(folderName)}</div>
+        <ul class="modal__list">
+          ${names.map((n) => `<li>${escapeHtml(n)}</li>`).join("")}
+        </ul>
 
-    <div class="lockPreview">
-      <div class="lockPreview__inner">
-        <div class="lockPreview__icon" aria-hidden="true">🔒</div>
-        <div class="lockPreview__title">Secure Content Preview</div>
-        <div class="lockPreview__desc">
-          In a real system, preview would be controlled by file type, permissions, and encryption policy.
+        <div class="modal__actions">
+          <button class="btn" type="button" data-action="upload-policy" data-policy="skip">Skip</button>
+          <button class="btn btn--danger" type="button" data-action="upload-policy" data-policy="replace">Replace</button>
+          <button class="btn btn--primary" type="button" data-action="upload-policy" data-policy="keep">Keep both</button>
         </div>
-        
       </div>
     </div>
   `;
 }
 
-function Inspector(node) {
-  if (!node || node.type !== "file") {
-    return `
-      ${Section(
-        "GENERAL INFO",
-        KV([
-          ["Name", "No selection"],
-          ["Type", "—"],
-          ["Size", "—"],
-          ["Owner", "—"],
-        ]),
-      )}
-
-      ${Section(
-        "SECURITY METADATA",
-        KV([
-          ["Encryption", "—"],
-          ["Status", "—"],
-          ["Checksum", "—"],
-          ["Permissions", "—"],
-        ]),
-      )}
+const IMPORT_LIST_LIMIT = 200; // plan rows or problems shown before "and N more"
 
-      ${Section(
-        "TIMESTAMPS",
-        KV([
-          ["Created", "—"],
-          ["Modified", "—"],
-          ["Accessed", "—"],
-        ]),
-      )}
+function ImportModal() {
+  const { targetId, fileName, errors, policy, plan, pending } =
+    state.importDialog;
+  const folderName = escapeHtml(nodeById(targetId)?.name || "the vault");
+  const listed = (rows) => {
+    const more = rows.length - IMPORT_LIST_LIMIT;
+    return `
+        <ul class="modal__list importPlan">
+          ${rows.slice(0, IMPORT_LIST_LIMIT).join("")}
+          ${more > 0 ? `<li class="muted">…and ${more} more</li>` : ""}
+        </ul>
+    `;
+  };
 
-      ${Section("RECENT ACTIVITY", `<div class="muted">No activity yet.</div>`)}
+  let body;
+  if (errors.length) {
+    body = `
+        <div class="modal__desc">
+          ${errors.length} problem${errors.length === 1 ? "" : "s"} found; nothing can be imported until the manifest is fixed.
+        </div>
+        ${listed(
+          errors.map(
+            (error) =>
+              `<li><code>${escapeHtml(error.path)}</code> ${escapeHtml(error.message)}</li>`,
+          ),
+        )}
+    `;
+  } else {
+    const row = (kind, label, path, note = "") =>
+      `<li class="importPlan__row"><span class="importPlan__tag importPlan__tag--${kind}">${label}</span>${escapeHtml(path)}${note ? ` <span class="muted">— ${escapeHtml(note)}</span>` : ""}</li>`;
+    const inside = (node) => {
+      const count = node.type === "folder" ? countDescendants(node) : 0;
+      return count ? `${count} item${count === 1 ? "" : "s"} inside` : "";
+    };
+    const rows = [
+      ...plan.replaced.map(({ path }) => row("replace", "Replace", path)),
+      ...plan.added.map(({ path, node, renamedFrom }) =>
+        row(
+          "add",
+          "Add",
+          path,
+          renamedFrom ? `renamed from '${renamedFrom}'` : inside(node),
+        ),
+      ),
+      ...plan.merged.map(({ path }) =>
+        row("merge", "Merge", path, "existing folder"),
+      ),
+      ...plan.skipped.map(({ path, reason }) =>
+        row("skip", "Skip", path, reason),
+      ),
+    ];
+
+    const added = countPlanned(plan.added);
+    const newIds = plan.newIds.length;
+    body = `
+        <div class="modal__desc">
+          Adds ${added.files} file${added.files === 1 ? "" : "s"} and ${added.folders} folder${added.folders === 1 ? "" : "s"},
+          replaces ${plan.replaced.length}, skips ${plan.skipped.length}.
+          ${plan.merged.length ? `${plan.merged.length} folder${plan.merged.length === 1 ? " is" : "s are"} merged.` : ""}
+          ${newIds ? `${newIds} id${newIds === 1 ? " is" : "s are"} already in use and will get new one${newIds === 1 ? "" : "s"}.` : ""}
+        </div>
+        <div class="modal__field">
+          <span>When a file of the same name exists</span>
+          <div class="importPolicy" role="group" aria-label="Name clash policy">
+            ${Object.entries(IMPORT_POLICIES)
+              .map(
+                ([value, label]) =>
+                  `<button class="btn ${value === policy ? "btn--primary" : ""}" type="button" data-action="import-policy" data-policy="${value}" aria-pressed="${value === policy}" ${pending ? "disabled" : ""}>${label}</button>`,
+              )
+              .join("")}
+          </div>
+        </div>
+        ${rows.length ? listed(rows) : `<div class="modal__desc">The manifest is empty.</div>`}
     `;
   }
 
+  const ready = !errors.length && importableCount(plan) > 0 && !pending;
   return `
-    ${Section(
-      "GENERAL INFO",
-      KV([
-        ["Logical Name", node.name],
-        ["System File Type", node.mime || "application/octet-stream"],
-        ["Total Payload Size", node.size || "—"],
-        ["Location Path", node.path || "—"],
-        ["Owner Identity", node.owner || "System"],
-      ]),
-    )}
-
-    ${Section(
-      "SECURITY METADATA",
-      KV([
-        ["Access Permissions", "Role-Based"],
-        ["Encryption Method", node.encryption || "None"],
-        ["SHA-256 Checksum", node.checksum || "—"],
-        ["Verification Status", node.status || "—"],
-      ]),
-    )}
+    <div class="modalOverlay" role="dialog" aria-modal="true" aria-label="Import manifest">
+      <div class="modal">
+        <div class="modal__top">
+          <div class="modal__icon modal__icon--accent" aria-hidden="true">⇲</div>
+          <button class="btn btn--ghost" type="button" data-action="close-import" aria-label="Close" ${pending ? "disabled" : ""}>✕</button>
+        </div>
 
-    ${Section(
-      "TIMESTAMPS",
-      KV([
-        ["Created", node.created || "—"],
-        ["Modified", node.modified || "—"],
-        ["Accessed", node.accessed || "—"],
-      ]),
-    )}
+        <div class="modal__title">Import ${escapeHtml(fileName)} into ${folderName}</div>
+        ${body}
 
-    ${Section("RECENT ACTIVITY", ActivityList(node.activity || []))}
+        <div class="modal__actions">
+          <button class="btn" type="button" data-action="close-import" ${pending ? "disabled" : ""}>Cancel</button>
+          <button class="btn btn--primary" type="button" data-action="confirm-import" ${ready ? "" : "disabled"}>${pending ? "Importing…" : "Import"}</button>
+        </div>
+      </div>
+    </div>
   `;
 }
 
-function WorkspaceWithModal() {
-  const base =
-    state.mode === "details" && state.selectedId
-      ? DetailsWorkspace(findNodeById(state.data, state.selectedId))
-      : state.mode === "preview" && state.previewId
-        ? PreviewWorkspace(findNodeById(state.data, state.previewId))
-        : EmptyWorkspace();
-
-  return `${base}${DeleteModal()}`;
-}
-
-function DeleteModal() {
-  const node = findNodeById(state.data, state.deleteTargetId);
-  const name = node?.name || "this file";
+function PassphraseModal() {
+  const { id, mode, error, pending } = state.passphrase;
+  const node = nodeById(id);
+  const encrypt = mode === "encrypt";
+  const name = escapeHtml(node?.name || "this file");
+
+  const confirmField = encrypt
+    ? `
+        <label class="modal__field">
+          <span>Confirm passphrase</span>
+          <input class="modal__input" type="password" autocomplete="new-password" data-passphrase-input ${pending ? "disabled" : ""} />
+        </label>
+      `
+    : "";
 
   return `
-    <div class="modalOverlay" role="dialog" aria-modal="true" aria-label="Delete confirmation">
+    <div class="modalOverlay" role="dialog" aria-modal="true" aria-label="${encrypt ? "Encrypt file" : "Unlock file"}">
       <div class="modal">
         <div class="modal__top">
-          <div class="modal__icon" aria-hidden="true">!</div>
-          <button class="btn btn--ghost" type="button" data-action="close-delete" aria-label="Close">✕</button>
+          <div class="modal__icon modal__icon--accent" aria-hidden="true">${encrypt ? "🔒" : "🔑"}</div>
+          <button class="btn btn--ghost" type="button" data-action="close-passphrase" aria-label="Close">✕</button>
         </div>
 
-        <div class="modal__title">Are you sure this action?</div>
-        <p class="modal__desc">Deleting <b>${escapeHtml(name)}</b> is not reversible.</p>
+        <div class="modal__title">${encrypt ? `Encrypt ${name}` : `Unlock ${name}`}</div>
+        <p class="modal__desc">
+          ${
+            encrypt
+              ? "The file is encrypted in your browser with AES-256-GCM and stored as ciphertext. The passphrase cannot be recovered if lost."
+              : "The file is decrypted in your browser for this session only."
+          }
+          ${encrypt && node?.versions ? `Its ${node.versions.length} earlier version${node.versions.length === 1 ? " is" : "s are"} deleted, so no unencrypted copy stays behind.` : ""}
+        </p>
+
+        <label class="modal__field">
+          <span>Passphrase</span>
+          <input class="modal__input" type="password" autocomplete="${encrypt ? "new-password" : "current-password"}" data-passphrase-input ${error ? 'aria-invalid="true"' : ""} ${pending ? "disabled" : ""} />
+        </label>
+        ${confirmField}
+        ${error ? `<div class="modal__error" role="alert">${escapeHtml(error)}</div>` : ""}
 
         <div class="modal__actions">
-          <button class="btn" type="button" data-action="close-delete">Cancel</button>
-          <button class="btn btn--danger" type="button" data-action="confirm-delete">Yes, delete</button>
+          <button class="btn" type="button" data-action="close-passphrase" ${pending ? "disabled" : ""}>Cancel</button>
+          <button class="btn btn--primary" type="button" data-action="submit-passphrase" ${pending ? "disabled" : ""}>
+            ${pending ? (encrypt ? "Encrypting…" : "Unlocking…") : encrypt ? "Encrypt" : "Unlock"}
+          </button>
         </div>
       </div>
     </div>
   `;
 }
 
+function UploadList(jobs) {
+  if (!jobs.length) return "";
+
+  const label = {
+    queued: "Queued",
+    skipped: "Skipped",
+    done: "Uploaded",
+  };
+
+  const rows = jobs
+    .map((job) => {
+      const status =
+        job.status === "uploading"
+          ? `${Math.round(job.progress * 100)}%`
+          : job.status === "error"
+            ? `Failed: ${job.error}`
+            : label[job.status];
+
+      return `
+        <li class="uploadItem" data-status="${job.status}">
+          <div class="uploadItem__row">
+            <span class="uploadItem__name">${escapeHtml(job.name)}</span>
+            <span class="uploadItem__status">${escapeHtml(status)}</span>
+          </div>
+          <progress max="1" value="${job.progress}" aria-label="Upload progress for ${escapeHtml(job.name)}"></progress>
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="uploads__header">
+      <span class="panel__title">UPLOADS</span>
+      <button class="btn btn--small" type="button" data-action="clear-uploads">Clear finished</button>
+    </div>
+    <ul class="uploads__list">${rows}</ul>
+  `;
+}
+
 function Section(title, bodyHtml) {
   return `<div class="section"><h3>${escapeHtml(title)}</h3>${bodyHtml}</div>`;
 }
@@ -903,6 +5833,66 @@ function KV(rows) {
   `;
 }
 
+function ChecksumBadge(node) {
+  if (state.verifying.has(node.id)) return Badge("Checking Checksum…", "");
+  if (node.status === "Verified") return Badge("Checksum Verified", "good");
+  if (node.status === "Mismatch") return Badge("Checksum Mismatch", "bad");
+  return Badge("Checksum Unknown", "");
+}
+
+const CLASSIFICATION_BADGES = {
+  Public: "good",
+  Internal: "accent",
+  Confidential: "warn",
+  Restricted: "bad",
+};
+
+function ClassificationBadge(node) {
+  const classification = classificationOf(node);
+  if (!classification) return Badge("Unclassified", "");
+  return Badge(
+    classification.level,
+    CLASSIFICATION_BADGES[classification.level],
+  );
+}
+
+function TagBadge(tag) {
+  return `<span class="badge badge--tag" ${TagStyle(tag)} title="${escapeHtml(TagSource(tag))}">${escapeHtml(tag.name)}</span>`;
+}
+
+const ROW_TAG_LIMIT = 3; // chips on a tree row before "+N"
+
+// Clicking a chip filters the tree by that tag
+function TagChips(node) {
+  const list = tags.tagsOf(node);
+  if (!list.length) return "";
+
+  const chips = list
+    .slice(0, ROW_TAG_LIMIT)
+    .map(
+      (tag) =>
+        `<button class="tagChip${tag.inherited ? " tagChip--inherited" : ""}" type="button" tabindex="-1" data-action="filter-tag" data-tag="${escapeHtml(tag.name)}" ${TagStyle(tag)} title="${escapeHtml(TagSource(tag))}">${escapeHtml(tag.name)}</button>`,
+    );
+  const more = list.length - ROW_TAG_LIMIT;
+  if (more > 0) {
+    const rest = list.slice(ROW_TAG_LIMIT).map((tag) => tag.name);
+    chips.push(
+      `<span class="tagChip tagChip--more" title="${escapeHtml(rest.join(", "))}">+${more}</span>`,
+    );
+  }
+  return `<span class="tagChips">${chips.join("")}</span>`;
+}
+
+// Colours come from config.js and are checked by tags.js
+function TagStyle(tag) {
+  return tag.color ? `style="--tag:${tag.color}"` : "";
+}
+
+function TagSource(tag) {
+  if (!tag.inherited) return `Tag: ${tag.name}`;
+  return `${tag.name}, inherited from ${tag.from.path || tag.from.name}`;
+}
+
 function Badge(text, variant) {
   const cls =
     variant === "accent"
@@ -911,7 +5901,9 @@ function Badge(text, variant) {
         ? "badge badge--good"
         : variant === "warn"
           ? "badge badge--warn"
-          : "badge";
+          : variant === "bad"
+            ? "badge badge--bad"
+            : "badge";
 
   return `<span class="${cls}">${escapeHtml(text)}</span>`;
 }
@@ -929,7 +5921,7 @@ function ActivityList(items) {
             <div class="activityMeta">
               <div class="who">${escapeHtml(it.who)}</div>
               <div class="what">${escapeHtml(it.what)}</div>
-              <div class="when">${escapeHtml(it.when)}</div>
+              <div class="when" ${it.title ? `title="${escapeHtml(it.title)}"` : ""}>${escapeHtml(it.when)}</div>
             </div>
           </div>
         `,
@@ -947,140 +5939,344 @@ function getExt(name) {
   return parts.length > 1 ? parts.pop().toLowerCase() : "";
 }
 
+const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif", "svg", "webp"];
+
 function isPreviewable(node) {
   if (!node || node.type !== "file") return false;
-
-  const ext = getExt(node.name);
-  const image = ["png", "jpg", "jpeg", "gif", "svg", "webp"].includes(ext);
-  const text = ["txt", "log", "md", "json", "yaml", "yml"].includes(ext);
-
-  return image || text;
+  return previewKind(node) !== "none";
 }
 
 function previewKind(node) {
   const ext = getExt(node.name);
-  if (["png", "jpg", "jpeg", "gif", "svg", "webp"].includes(ext))
-    return "image";
-  if (["txt", "log", "md", "json", "yaml", "yml"].includes(ext)) return "text";
+  if (IMAGE_EXTENSIONS.includes(ext)) return "image";
+  if (findRenderer(ext, node.mime)) return "text";
   return "none";
 }
 
-function generateTextPreview(file) {
-  const ext = getExt(file.name);
+function renderPreviewText(node, entry) {
+  // A content search hit shows numbered source lines with the match
+  const target = state.previewTarget;
+  if (target?.id === node.id) return renderSource(entry.text, { hit: target });
+
+  // Rendered HTML is cached until another page of text arrives
+  if (entry.html === undefined || entry.htmlFor !== entry.text.length) {
+    const renderer = findRenderer(getExt(node.name), node.mime);
+    entry.html = renderer.render(entry.text, { complete: entry.done });
+    entry.htmlFor = entry.text.length;
+  }
+  return entry.html;
+}
+
+// -----------------------------
+// Preview Content
+// -----------------------------
+function ensurePreviewContent(node) {
+  if (state.previews.has(node.id)) return;
+
+  if (!store.hasContent(node)) {
+    state.previews.set(node.id, { status: "missing" });
+    return;
+  }
+
+  if (previewKind(node) === "image") {
+    loadImagePreview(node);
+    return;
+  }
+
+  state.previews.set(node.id, {
+    status: "loading",
+    text: "",
+    offset: 0, // bytes read so far
+    total: null,
+    done: false,
+    pending: false,
+    error: null,
+    decoder: new TextDecoder(), // keeps multi-byte chars intact across pages
+  });
+  loadNextTextPage(node.id);
+}
+
+async function loadImagePreview(node) {
+  const entry = { status: "loading", url: null, error: null };
+  state.previews.set(node.id, entry);
+
+  try {
+    entry.url = URL.createObjectURL(await readPreviewContent(node));
+    entry.status = "ready";
+  } catch (err) {
+    entry.status = "error";
+    entry.error = errorMessage(err);
+  }
+
+  refreshPreview(node.id, entry);
+}
+
+async function loadNextTextPage(id) {
+  const entry = state.previews.get(id);
+  const node = nodeById(id);
+  if (!entry || !node || entry.done || entry.pending) return;
+
+  entry.pending = true;
+  entry.error = null;
+  refreshPreview(id, entry);
+
+  try {
+    const page = await readPreviewContent(node, {
+      offset: entry.offset,
+      length: TEXT_PAGE_SIZE,
+    });
+    entry.offset += page.bytes.length;
+    entry.total = page.total;
+    entry.done = page.done;
+    entry.text += entry.decoder.decode(page.bytes, { stream: !page.done });
+    entry.status = "ready";
+  } catch (err) {
+    // Keep pages that already loaded; only an empty preview fails outright
+    entry.error = errorMessage(err);
+    if (!entry.text) entry.status = "error";
+  } finally {
+    entry.pending = false;
+  }
+
+  refreshPreview(id, entry);
 
-  if (ext === "json") {
-    return `{
-  "file": "${file.name}",
-  "preview": "generated",
-  "size": "${file.size || "—"}"
-}`;
+  // Keep paging until a content search hit's line has arrived
+  const target = state.previewTarget;
+  if (target?.id === id && !entry.done && !entry.error) {
+    if (countLines(entry.text) <= target.line) loadNextTextPage(id);
   }
+}
+
+function countLines(text) {
+  let count = 1;
+  for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) {
+    count++;
+  }
+  return count;
+}
 
-  if (ext === "yaml" || ext === "yml") {
-    return `file: ${file.name}\npreview: generated\nsize: ${file.size || "—"}\n`;
+function refreshPreview(id, entry) {
+  // Results for a preview discarded mid-load are dropped
+  if (state.previews.get(id) !== entry) {
+    if (entry.url) URL.revokeObjectURL(entry.url);
+    return;
   }
+  if (state.previewId === id) renderAll({ preserveTreeScroll: true });
+}
 
-  return `# ${file.name}\n\nPreview generated.\nSize: ${file.size || "—"}\n\nTip: If you have file content from an API, fetch and render it here.\n`;
+function discardPreview(id) {
+  const entry = state.previews.get(id);
+  if (entry?.url) URL.revokeObjectURL(entry.url);
+  state.previews.delete(id);
 }
 
 // -----------------------------
 // Tree Helpers
 // -----------------------------
-function findNodeById(root, id) {
-  let found = null;
-  walk(root, (node) => {
-    if (node.id === id) found = node;
-  });
-  return found;
+let nodeIndex = null; // id -> node / parent for state.data (src/tree.js)
+
+function nodeById(id) {
+  return nodeIndex?.get(id) ?? null;
 }
 
-function findParentOf(root, childId) {
-  let parent = null;
-  walk(root, (node) => {
-    if (
-      node.type === "folder" &&
-      node.children?.some((c) => c.id === childId)
-    ) {
-      parent = node;
-    }
-  });
-  return parent;
+function parentOf(id) {
+  return nodeIndex?.parentOf(id) ?? null;
 }
 
-function walk(root, cb, parents = []) {
-  cb(root, parents);
-  if (root.type === "folder" && Array.isArray(root.children)) {
-    for (const child of root.children) {
-      walk(child, cb, [...parents, root]);
-    }
+function ancestorsOf(id) {
+  const chain = [];
+  for (let parent = parentOf(id); parent; parent = parentOf(parent.id)) {
+    chain.unshift(parent);
   }
+  return chain;
 }
 
-function filterNodeForQuery(node, query) {
-  if (!query) return true;
-
-  const selfMatch = node.name.toLowerCase().includes(query);
-  if (node.type === "file") return selfMatch;
-
-  const childMatch = (node.children || []).some((c) =>
-    filterNodeForQuery(c, query),
-  );
-  return selfMatch || childMatch;
+function isInside(node, folder) {
+  return ancestorsOf(node.id).includes(folder);
 }
 
-function deleteNodeById(root, targetId) {
-  if (!targetId) return false;
+// Structural, name and metadata changes all go through here, so cached
+// views (fuzzy index, search filter) know to rebuild
+function markTreeChanged() {
+  state.treeVersion++;
+  state.searchIndex = null;
+  state.folderStats.clear();
+  access.reset(); // moves change what is inherited
+  tags.reset();
+}
 
-  if (root.type !== "folder" || !Array.isArray(root.children)) return false;
+// Nodes the user cannot see never survive, whatever the query
+function filterNodeForQuery(node, search) {
+  if (!can(node, "view")) return false;
+  return !search || searchKeepIds(search).has(node.id);
+}
 
-  const idx = root.children.findIndex((c) => c.id === targetId);
-  if (idx >= 0) {
-    root.children.splice(idx, 1);
-    return true;
+// Ids of nodes that match the query or contain a match, computed in one
+// pass and cached until the query or the tree changes
+function searchKeepIds(search) {
+  const cached = state.searchKeep;
+  if (cached?.search === search && cached.version === state.treeVersion) {
+    return cached.ids;
   }
 
-  for (const child of root.children) {
-    if (child.type === "folder") {
-      const removed = deleteNodeById(child, targetId);
-      if (removed) return true;
+  const ids = new Set();
+  const visit = (node) => {
+    if (!can(node, "view")) return false;
+    let keep = search.test(node);
+    for (const child of node.children || []) {
+      if (visit(child)) keep = true;
     }
-  }
+    if (keep) ids.add(node.id);
+    return keep;
+  };
+  visit(state.data);
+
+  state.searchKeep = { search, version: state.treeVersion, ids };
+  return ids;
+}
+
+// `path:` filters are written relative to the vault, e.g. /01_Legal/*
+function vaultPath(node) {
+  const rootPrefix = `/${state.data.name}`;
+  if (node.id === state.data.id) return "/";
+  return node.path?.startsWith(`${rootPrefix}/`)
+    ? node.path.slice(rootPrefix.length)
+    : node.path;
+}
+
+// Own and inherited tag names, for `tag:` searches
+function tagNames(node) {
+  return tags.tagsOf(node).map((tag) => tag.name);
+}
 
-  return false;
+// A node without a classification of its own falls under its nearest
+// classified folder's → { level, from } or null
+function classificationOf(node) {
+  for (let at = node; at; at = accessParent(at)) {
+    if (at.classification) return { level: at.classification, from: at };
+  }
+  return null;
 }
 
 // -----------------------------
 // HTML Utilities
 // -----------------------------
-function highlight(text, query) {
-  const safe = escapeHtml(text);
-  if (!query) return safe;
+// Marks every match of every pattern; overlapping matches are merged
+function highlight(text, patterns) {
+  if (!patterns?.length) return escapeHtml(text);
+
+  const ranges = [];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      if (match[0]) ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  let html = "";
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (end <= pos) continue;
+    const from = Math.max(start, pos);
+    html += escapeHtml(text.slice(pos, from));
+    html += `<mark class="treeItem__match">${escapeHtml(text.slice(from, end))}</mark>`;
+    pos = end;
+  }
+  return html + escapeHtml(text.slice(pos));
+}
+
+// Marks single matched characters, e.g. from a fuzzy match
+function markPositions(text, positions) {
+  if (!positions.length) return escapeHtml(text);
+
+  const marked = new Set(positions);
+  let html = "";
+  for (let i = 0; i < text.length; i++) {
+    const ch = escapeHtml(text[i]);
+    html += marked.has(i) ? `<mark class="palette__match">${ch}</mark>` : ch;
+  }
+  return html;
+}
+
+function sizeLabel(node) {
+  if (node.type === "folder") {
+    const { bytes, unknown } = folderStats(node);
+    return `${formatBytes(bytes)}${unknown ? ` (+${unknown} unknown)` : ""}`;
+  }
+  return node.bytes === null ? "—" : formatBytes(node.bytes);
+}
+
+function dateLabel(date) {
+  return date ? formatTimestamp(date) : "—";
+}
 
-  const idx = text.toLowerCase().indexOf(query);
-  if (idx === -1) return safe;
+function statsLabel({ files, folders }) {
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  return `${plural(files, "file")}, ${plural(folders, "folder")}`;
+}
+
+function typeLabel(node) {
+  return node.type === "folder" ? "Folder" : node.mime || "—";
+}
 
-  const before = escapeHtml(text.slice(0, idx));
-  const match = escapeHtml(text.slice(idx, idx + query.length));
-  const after = escapeHtml(text.slice(idx + query.length));
+// data.json's `accessed`, or the last time anyone opened or downloaded
+// the file here
+function lastAccessed(node) {
+  const entry = audit
+    .forNode(node.id)
+    .find((e) => e.action === "preview" || e.action === "download");
+  return entry ? new Date(entry.timestamp) : node.accessedAt;
+}
 
-  return `${before}<span style="color: rgba(147,197,253,.95); font-weight:700;">${match}</span>${after}`;
+function errorMessage(err) {
+  return err instanceof Error ? err.message : String(err);
 }
 
-function escapeHtml(str) {
-  return String(str)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
+function showToast(message, variant = "") {
+  els.toast.textContent = message;
+  els.toast.dataset.variant = variant;
+  els.toast.hidden = false;
+
+  clearTimeout(state.toastTimer);
+  state.toastTimer = setTimeout(() => {
+    els.toast.hidden = true;
+  }, 4000);
 }
 
+const FATAL_ERROR_LIMIT = 100; // schema problems listed before "and N more"
+
 function renderFatalError(err) {
-  const msg = err instanceof Error ? err.message : String(err);
+  const msg = errorMessage(err);
 
   els.tree.innerHTML = "";
   els.inspector.innerHTML = "";
 
+  state.inspectorHtml = "";
+  state.workspaceHtml = "";
+  if (err instanceof SchemaError) {
+    const more = err.errors.length - FATAL_ERROR_LIMIT;
+    els.workspace.innerHTML = `
+      <div class="card" style="padding:18px;">
+        <h2 style="margin:0 0 8px 0;">The vault data is invalid</h2>
+        <p class="muted" style="margin:0 0 10px 0;">
+          ${err.errors.length} problem${err.errors.length === 1 ? "" : "s"} found against schema v${SCHEMA_VERSION}.
+          Open the page with <code>?validation=lenient</code> to load the valid parts.
+        </p>
+        <ul class="diagnosticsItem__errors">
+          ${err.errors
+            .slice(0, FATAL_ERROR_LIMIT)
+            .map(
+              (error) =>
+                `<li><code>${escapeHtml(error.path)}</code> ${escapeHtml(error.message)}</li>`,
+            )
+            .join("")}
+          ${more > 0 ? `<li class="muted">…and ${more} more</li>` : ""}
+        </ul>
+      </div>
+    `;
+    return;
+  }
+
   els.workspace.innerHTML = `
     <div class="card" style="padding:18px;">
       <h2 style="margin:0 0 8px 0;">No file was found</h2>
@@ -0,0 +1,107 @@
+/**
+ * SecureVault — Descriptive Metadata
+ * ------------------------------------------------------------
+ * Fields people maintain by hand, on files and folders alike:
+ *
+ *   owner           "Admin_Sara"
+ *   tags            ["Confidential", "PII"]
+ *   description     free text
+ *   classification  one of CLASSIFICATIONS
+ *   fields          custom { "Case Number": "2024-118" } strings
+ *
+ * The same checks validate data.json (schema.js) and edits made in the
+ * inspector. An absent field means "not set"; editors remove a field
+ * rather than store an empty value.
+ */
+
+export const METADATA_FIELDS = [
+  "owner",
+  "tags",
+  "description",
+  "classification",
+  "fields",
+];
+
+export const CLASSIFICATIONS = [
+  "Public",
+  "Internal",
+  "Confidential",
+  "Restricted",
+];
+
+const TAG_PATTERN = /^[^,"]{1,40}$/;
+const FIELD_KEY_PATTERN = /^[\w .-]{1,40}$/;
+const DESCRIPTION_LIMIT = 2000;
+const FIELD_VALUE_LIMIT = 500;
+
+// field -> check(value), returning an error message or null
+export const METADATA_CHECKS = {
+  owner: (owner) =>
+    typeof owner === "string" && owner.trim()
+      ? null
+      : "owner must be a non-empty string.",
+  tags: tagsError,
+  description: (text) =>
+    typeof text === "string" && text.length <= DESCRIPTION_LIMIT
+      ? null
+      : `description must be text of at most ${DESCRIPTION_LIMIT.toLocaleString("en-US")} characters.`,
+  classification: (level) =>
+    CLASSIFICATIONS.includes(level)
+      ? null
+      : `classification must be one of: ${CLASSIFICATIONS.join(", ")}.`,
+  fields: fieldsError,
+};
+
+/**
+ * Checks `values` (a subset of METADATA_FIELDS; null means "remove").
+ * → { field: message } for every invalid field, empty when all are fine
+ */
+export function metadataErrors(values) {
+  const errors = {};
+  for (const [field, value] of Object.entries(values)) {
+    const message = value === null ? null : METADATA_CHECKS[field]?.(value);
+    if (message) errors[field] = message;
+  }
+  return errors;
+}
+
+// The fields of `next` whose value differs from `node`'s
+export function changedMetadata(node, next) {
+  return METADATA_FIELDS.filter(
+    (field) =>
+      field in next &&
+      JSON.stringify(node[field] ?? null) !== JSON.stringify(next[field]),
+  );
+}
+
+function tagsError(tags) {
+  if (!Array.isArray(tags)) return "tags must be an array of strings.";
+  const seen = new Set();
+  for (const tag of tags) {
+    if (
+      typeof tag !== "string" ||
+      tag !== tag.trim() ||
+      !TAG_PATTERN.test(tag)
+    ) {
+      return "each tag must be 1–40 characters, without commas, quotes or surrounding spaces.";
+    }
+    if (seen.has(tag.toLowerCase())) return `tag '${tag}' is listed twice.`;
+    seen.add(tag.toLowerCase());
+  }
+  return null;
+}
+
+function fieldsError(fields) {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    return "fields must be an object of names to text values.";
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    if (!FIELD_KEY_PATTERN.test(key)) {
+      return `field name '${key}' must be 1–40 letters, digits, spaces, '.', '-' or '_'.`;
+    }
+    if (typeof value !== "string" || value.length > FIELD_VALUE_LIMIT) {
+      return `field '${key}' must be text of at most ${FIELD_VALUE_LIMIT} characters.`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,424 @@
+/**
+ * SecureVault — Search Query Language
+ * ------------------------------------------------------------
+ * Compiles the text typed into the search boxes into a node matcher.
+ *
+ *   report                    name contains "report"
+ *   "annual report"           quoted phrase
+ *   *.pdf   /^inv\d+/i        glob over the whole name, regex
+ *   ext:pdf  type:folder  owner:Admin_Sara  mime:image/*  status:mismatch
+ *   tag:PII  classification:restricted
+ *   size:>5MB  size:<=500KB   (B, KB, MB, GB, TB; 1024-based)
+ *   modified:<2025-01-01  created:2024-01-12
+ *   encryption:none | any | aes
+ *   path:/01_Legal_Department/*   (* stays within a folder, ** crosses them)
+ *   a OR b   a AND b   NOT a   (a OR b) c   — adjacent terms are ANDed
+ *
+ * Invalid queries throw an Error whose message is meant for the user.
+ */
+
+import { parseSize } from "./format.js";
+
+const FIELDS = {
+  name: matchName,
+  ext: matchExt,
+  type: (node, value) => matchExact(node.type, value),
+  owner: (node, value) => matchText(node.owner, value),
+  tag: (node, value, { tagsOf }) =>
+    tagsOf(node).some((tag) => matchExact(tag, value)),
+  classification: (node, value, { classificationOf }) =>
+    matchExact(classificationOf(node), value),
+  mime: (node, value) => node.type === "file" && matchText(node.mime, value),
+  status: (node, value) =>
+    node.type === "file" && matchExact(node.status, value),
+  encryption: matchEncryption,
+  size: matchSize,
+  modified: (node, value) => matchDate(node.modifiedAt, value),
+  created: (node, value) => matchDate(node.createdAt, value),
+  path: matchPath,
+};
+
+/**
+ * Returns { test(node), highlights } where `highlights` are global
+ * regexes for the name terms that are not negated.
+ * `pathOf(node)` gives the path `path:` filters are matched against,
+ * `tagsOf(node)` the tag names `tag:` looks for (inherited ones too) and
+ * `classificationOf(node)` the level `classification:` compares.
+ */
+export function compileQuery(
+  text,
+  {
+    pathOf = (node) => node.path,
+    tagsOf = (node) => node.tags || [],
+    classificationOf = (node) => node.classification,
+  } = {},
+) {
+  const parser = createParser(tokenize(text));
+  const ast = parser.parse();
+  const highlights = [];
+  collectHighlights(ast, highlights);
+
+  return {
+    test: (node) => evaluate(ast, node, { pathOf, tagsOf, classificationOf }),
+    highlights,
+  };
+}
+
+// -----------------------------
+// Tokenizer
+// -----------------------------
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "(" || ch === ")") {
+      tokens.push({ kind: ch, at: i });
+      i++;
+    } else {
+      // A word runs to whitespace or a parenthesis; quoted parts and
+      // regexes may contain either, e.g. owner:"Admin Sara" or /a|b c/
+      const at = i;
+      let raw = "";
+      let quoted = false;
+      while (i < text.length && !/[\s()]/.test(text[i])) {
+        if (text[i] === "/" && startsRegex(raw)) {
+          const end = regexEnd(text, i);
+          raw += text.slice(i, end);
+          i = end;
+        } else if (text[i] === '"') {
+          const end = text.indexOf('"', i + 1);
+          if (end === -1) throw new Error(`Unclosed quote at ${i + 1}.`);
+          raw += text.slice(i + 1, end);
+          quoted = true;
+          i = end + 1;
+        } else {
+          raw += text[i++];
+        }
+      }
+
+      if (!quoted && (raw === "AND" || raw === "OR" || raw === "NOT")) {
+        tokens.push({ kind: raw, at });
+      } else {
+        tokens.push({ kind: "term", at, ...parseTerm(raw, quoted, text, at) });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// A value that starts with '/' is a regex, except for the fields that
+// read their own syntax (path:/Legal/* is a path)
+const NON_REGEX_FIELDS = new Set(["path", "size", "modified", "created"]);
+
+function startsRegex(raw) {
+  const field = /^([a-z]+):$/i.exec(raw);
+  return raw === "" || (field && !NON_REGEX_FIELDS.has(field[1].toLowerCase()));
+}
+
+// Index just past the flags of the regex opening at `start`; a '/'
+// that is escaped or inside [...] does not close it
+function regexEnd(text, start) {
+  let inClass = false;
+  for (let i = start + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\\") i++;
+    else if (ch === "[") inClass = true;
+    else if (ch === "]") inClass = false;
+    else if (ch === "/" && !inClass) {
+      const flags = /^[a-z]*/i.exec(text.slice(i + 1))[0];
+      return i + 1 + flags.length;
+    }
+  }
+  throw new Error(`Unclosed regex at ${start + 1}.`);
+}
+
+function parseTerm(raw, quoted, text, at) {
+  // The field name itself is never quoted, so read it from the source
+  const field = /^([a-z]+):/i.exec(text.slice(at));
+  if (!field) return { field: "name", value: compileValue(raw, quoted) };
+
+  const name = field[1].toLowerCase();
+  if (!FIELDS[name]) {
+    throw new Error(
+      `Unknown field '${field[1]}:'. Use one of: ${Object.keys(FIELDS).join(", ")}.`,
+    );
+  }
+
+  const value = raw.slice(field[0].length);
+  if (!value) throw new Error(`Missing value after '${field[1]}:'.`);
+
+  if (name === "size") return { field: name, value: compileSize(value) };
+  if (name === "modified" || name === "created") {
+    return { field: name, value: compileDate(value) };
+  }
+  if (name === "path") return { field: name, value: compilePath(value) };
+  return { field: name, value: compileValue(value, quoted) };
+}
+
+// -----------------------------
+// Parser
+// -----------------------------
+//   or    := and ("OR" and)*
+//   and   := unary ("AND"? unary)*
+//   unary := "NOT" unary | "(" or ")" | term
+function createParser(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function or() {
+    const items = [and()];
+    while (peek()?.kind === "OR") {
+      pos++;
+      items.push(and());
+    }
+    return items.length === 1 ? items[0] : { op: "or", items };
+  }
+
+  function and() {
+    const items = [unary()];
+    while (peek() && peek().kind !== "OR" && peek().kind !== ")") {
+      if (peek().kind === "AND") pos++;
+      items.push(unary());
+    }
+    return items.length === 1 ? items[0] : { op: "and", items };
+  }
+
+  function unary() {
+    const token = tokens[pos++];
+    if (!token)
+      throw new Error("The query ends where a search term is expected.");
+
+    if (token.kind === "NOT") return { op: "not", item: unary() };
+    if (token.kind === "term") return { op: "term", term: token };
+    if (token.kind === "(") {
+      const inner = or();
+      if (peek()?.kind !== ")") {
+        throw new Error(`Missing ')' for the '(' at ${token.at + 1}.`);
+      }
+      pos++;
+      return inner;
+    }
+    throw new Error(`Unexpected '${token.kind}' at ${token.at + 1}.`);
+  }
+
+  return {
+    parse() {
+      if (!tokens.length) return { op: "and", items: [] };
+      const ast = or();
+      if (pos < tokens.length) {
+        const token = tokens[pos];
+        throw new Error(`Unexpected '${token.kind}' at ${token.at + 1}.`);
+      }
+      return ast;
+    },
+  };
+}
+
+function evaluate(ast, node, context) {
+  switch (ast.op) {
+    case "and":
+      return ast.items.every((item) => evaluate(item, node, context));
+    case "or":
+      return ast.items.some((item) => evaluate(item, node, context));
+    case "not":
+      return !evaluate(ast.item, node, context);
+    default:
+      return FIELDS[ast.term.field](node, ast.term.value, context);
+  }
+}
+
+function collectHighlights(ast, out) {
+  if (ast.op === "not") return;
+  if (ast.op === "term") {
+    const { field, value } = ast.term;
+    if (field === "name" && value.highlight) out.push(value.highlight);
+    return;
+  }
+  for (const item of ast.items) collectHighlights(item, out);
+}
+
+// -----------------------------
+// Values
+// -----------------------------
+// Text values are a substring, a glob over the whole value or a regex
+function compileValue(raw, quoted) {
+  const regex = !quoted && /^\/(.+)\/([a-z]*)$/.exec(raw);
+  if (regex) {
+    let pattern;
+    try {
+      pattern = new RegExp(regex[1], regex[2].replace("g", ""));
+    } catch (err) {
+      throw new Error(`Invalid regex ${raw}: ${err.message}`);
+    }
+    return {
+      test: (text) => pattern.test(text),
+      highlight: new RegExp(pattern.source, `${pattern.flags}g`),
+    };
+  }
+
+  if (!quoted && /[*?]/.test(raw)) {
+    const pattern = new RegExp(`^${globSource(raw, ".*")}$`, "i");
+    // Highlight the literal parts between the wildcards
+    const literals = raw.split(/[*?]+/).filter(Boolean).map(escapeRegex);
+    return {
+      test: (text) => pattern.test(text),
+      highlight: literals.length ? new RegExp(literals.join("|"), "gi") : null,
+    };
+  }
+
+  const lower = raw.toLowerCase();
+  return {
+    test: (text) => text.toLowerCase().includes(lower),
+    highlight: new RegExp(escapeRegex(raw), "gi"),
+    exact: lower,
+  };
+}
+
+function compileSize(raw) {
+  const [, op, amount] = /^(<=|>=|<|>|=)?(.*)$/.exec(raw);
+  const bytes = parseSize(amount);
+  if (bytes === null) {
+    throw new Error(`Invalid size '${amount}'. Use e.g. size:>5MB.`);
+  }
+  return { op: op || "=", bytes };
+}
+
+function compileDate(raw) {
+  const [, op, value] = /^(<=|>=|<|>|=)?(.*)$/.exec(raw);
+  const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?$/.exec(value);
+  const start = match ? parseDate(value) : NaN;
+  if (Number.isNaN(start)) {
+    throw new Error(`Invalid date '${value}'. Use YYYY-MM-DD.`);
+  }
+
+  // A bare day covers the whole day; a time covers that minute
+  const end = start + (match[2] ? 60_000 : 86_400_000);
+  return { op: op || "=", start, end };
+}
+
+function compilePath(raw) {
+  const value = raw.startsWith("/") ? raw : `/${raw}`;
+  if (!/[*?]/.test(value)) {
+    // A plain path matches that node and everything inside it
+    const prefix = value.replace(/\/+$/, "").toLowerCase();
+    return (path) => {
+      const lower = path.toLowerCase();
+      return lower === prefix || lower.startsWith(`${prefix}/`);
+    };
+  }
+
+  const pattern = new RegExp(`^${globSource(value, "[^/]*")}$`, "i");
+  return (path) => pattern.test(path);
+}
+
+// -----------------------------
+// Field matchers
+// -----------------------------
+function matchName(node, value) {
+  return value.test(node.name);
+}
+
+function matchText(text, value) {
+  return typeof text === "string" && value.test(text);
+}
+
+function matchExact(text, value) {
+  if (typeof text !== "string") return false;
+  return value.exact !== undefined
+    ? text.toLowerCase() === value.exact
+    : value.test(text);
+}
+
+function matchExt(node, value) {
+  if (node.type !== "file") return false;
+  const parts = node.name.split(".");
+  const ext = parts.length > 1 ? parts.pop().toLowerCase() : "";
+  if (value.exact !== undefined) return ext === value.exact.replace(/^\./, "");
+  return value.test(ext);
+}
+
+function matchEncryption(node, value) {
+  if (node.type !== "file") return false;
+  if (value.exact === "none") return !node.encryption;
+  if (value.exact === "any") return Boolean(node.encryption);
+  return Boolean(node.encryption) && value.test(node.encryption.algorithm);
+}
+
+function matchSize(node, { op, bytes }) {
+  if (node.type !== "file") return false;
+  return node.bytes != null && compare(node.bytes, op, bytes);
+}
+
+// `date` is the parsed timestamp (see format.js); null never matches
+function matchDate(date, { op, start, end }) {
+  if (!date) return false;
+  const time = date.getTime();
+
+  switch (op) {
+    case "<":
+      return time < start;
+    case "<=":
+      return time < end;
+    case ">":
+      return time >= end;
+    case ">=":
+      return time >= start;
+    default:
+      return time >= start && time < end;
+  }
+}
+
+function matchPath(node, test, { pathOf }) {
+  const path = pathOf(node);
+  return typeof path === "string" && test(path);
+}
+
+// -----------------------------
+// Utilities
+// -----------------------------
+function compare(a, op, b) {
+  switch (op) {
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    default:
+      return a === b;
+  }
+}
+
+// Dates in data.json look like "2024-01-12 08:00" and are local time
+function parseDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?/.exec(
+    String(text ?? ""),
+  );
+  if (!match) return NaN;
+  const [y, m, d, hh, mm] = match.slice(1).map((part) => Number(part ?? 0));
+  const date = new Date(y, m - 1, d, hh, mm);
+  return date.getMonth() === m - 1 ? date.getTime() : NaN;
+}
+
+function globSource(glob, star) {
+  return glob
+    .split(/(\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**") return ".*";
+      if (part === "*") return star;
+      if (part === "?") return ".";
+      return escapeRegex(part);
+    })
+    .join("");
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,485 @@
+/**
+ * SecureVault — Text Preview Renderers
+ * ------------------------------------------------------------
+ * Each renderer turns a file's text into preview HTML. Renderers are
+ * looked up by file extension first, then by MIME type, so a new
+ * format only needs a registerRenderer() call:
+ *
+ *   registerRenderer({
+ *     name: "csv",
+ *     extensions: ["csv"],
+ *     mime: "text/csv",
+ *     render: (text, { complete }) => "<table>…</table>",
+ *   });
+ *
+ * `complete` is false while a paged file is still partially loaded.
+ * Every renderer must escape the text it is given.
+ */
+
+import { escapeHtml } from "./html.js";
+
+const byExtension = new Map();
+const byMime = new Map();
+
+export function registerRenderer(renderer) {
+  const { name, extensions = [], mime, render } = renderer;
+  if (!name || typeof render !== "function") {
+    throw new Error("A renderer needs a name and a render(text) function.");
+  }
+
+  for (const ext of extensions) byExtension.set(ext.toLowerCase(), renderer);
+  if (mime) byMime.set(mime, renderer);
+}
+
+export function findRenderer(ext, mime) {
+  return byExtension.get(ext) || byMime.get(mime) || null;
+}
+
+export function mimeForExtension(ext) {
+  return byExtension.get(ext)?.mime || null;
+}
+
+// -----------------------------
+// Plain text + logs
+// -----------------------------
+const SEVERITY_PATTERNS = [
+  ["error", /\b(ERROR|ERR|FATAL|CRIT(ICAL)?|SEVERE)\b/],
+  ["warn", /\b(WARN(ING)?)\b/],
+];
+
+function renderLog(text, { errorLine, hit } = {}) {
+  const rows = splitLines(text).map((line, i) => {
+    if (i + 1 === hit?.line) {
+      return CodeLine(
+        i + 1,
+        markRange(line, hit.column - 1, hit.length),
+        " codeLine--hit",
+      );
+    }
+
+    const severity =
+      i + 1 === errorLine
+        ? ["error"]
+        : SEVERITY_PATTERNS.find(([, re]) => re.test(line));
+    const cls = severity ? ` codeLine--${severity[0]}` : "";
+    return CodeLine(i + 1, escapeHtml(line), cls);
+  });
+
+  return `<div class="codeLines">${rows.join("")}</div>`;
+}
+
+// Numbered plain lines for any text format. `hit` ({ line, column,
+// length }, 1-based) highlights one match, e.g. from content search.
+export function renderSource(text, { hit } = {}) {
+  return renderLog(text, { hit });
+}
+
+function markRange(line, start, length) {
+  return `${escapeHtml(line.slice(0, start))}<mark>${escapeHtml(line.slice(start, start + length))}</mark>${escapeHtml(line.slice(start + length))}`;
+}
+
+registerRenderer({
+  name: "log",
+  extensions: ["txt", "log"],
+  mime: "text/plain",
+  render: renderLog,
+});
+
+// -----------------------------
+// JSON (collapsible tree)
+// -----------------------------
+function renderJson(text, { complete }) {
+  if (!complete) {
+    return `${Notice("Load the full file to validate and browse it as a tree.")}${renderLog(text)}`;
+  }
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    const { line, column } = lineAndColumn(text, jsonErrorOffset(text));
+    const message = `Invalid JSON at line ${line}, column ${column}: ${err.message}`;
+    return `${Notice(message, "error")}${renderLog(text, { errorLine: line })}`;
+  }
+
+  return `<div class="jsonTree">${JsonValue(value, null)}</div>`;
+}
+
+function JsonValue(value, key) {
+  const label =
+    key === null
+      ? ""
+      : `<span class="tok-key">${escapeHtml(JSON.stringify(key))}</span>: `;
+
+  if (value !== null && typeof value === "object") {
+    const isArray = Array.isArray(value);
+    const entries = isArray
+      ? value.map((v, i) => [i, v])
+      : Object.entries(value);
+    const [open, close] = isArray ? ["[", "]"] : ["{", "}"];
+    const noun = isArray ? "item" : "key";
+    const count = `${entries.length} ${noun}${entries.length === 1 ? "" : "s"}`;
+
+    if (!entries.length) {
+      return `<div class="jsonLeaf">${label}${open}${close}</div>`;
+    }
+
+    const children = entries
+      .map(([k, v]) => JsonValue(v, isArray ? null : k))
+      .join("");
+
+    return `
+      <details class="jsonNode" open>
+        <summary>${label}${open}<span class="muted"> ${count} </span>${close}</summary>
+        <div class="jsonChildren">${children}</div>
+      </details>
+    `;
+  }
+
+  return `<div class="jsonLeaf">${label}${JsonPrimitive(value)}</div>`;
+}
+
+function JsonPrimitive(value) {
+  if (typeof value === "string") {
+    return `<span class="tok-string">${escapeHtml(JSON.stringify(value))}</span>`;
+  }
+  if (typeof value === "number")
+    return `<span class="tok-number">${value}</span>`;
+  return `<span class="tok-literal">${String(value)}</span>`;
+}
+
+// JSON.parse messages differ per browser and often omit the position,
+// so the offset of the first syntax error is found with a small scanner.
+function jsonErrorOffset(text) {
+  let i = 0;
+  const literal = /true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+
+  const fail = () => {
+    throw i;
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && " \t\n\r".includes(text[i])) i++;
+  };
+  const expect = (ch) => {
+    skipWhitespace();
+    if (text[i] !== ch) fail();
+    i++;
+  };
+
+  function string() {
+    expect('"');
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] < " ") fail();
+      i += text[i] === "\\" ? 2 : 1;
+    }
+    if (i >= text.length) fail();
+    i++;
+  }
+
+  function container(open, close, member) {
+    expect(open);
+    skipWhitespace();
+    if (text[i] === close) {
+      i++;
+      return;
+    }
+    for (;;) {
+      member();
+      skipWhitespace();
+      if (text[i] === close) {
+        i++;
+        return;
+      }
+      expect(",");
+    }
+  }
+
+  function value() {
+    skipWhitespace();
+    const ch = text[i];
+    if (ch === "{") {
+      container("{", "}", () => {
+        string();
+        expect(":");
+        value();
+      });
+    } else if (ch === "[") {
+      container("[", "]", value);
+    } else if (ch === '"') {
+      string();
+    } else {
+      literal.lastIndex = i;
+      if (!literal.test(text)) fail();
+      i = literal.lastIndex;
+    }
+  }
+
+  try {
+    value();
+    skipWhitespace();
+    if (i < text.length) fail();
+  } catch (offset) {
+    return offset;
+  }
+  return text.length;
+}
+
+function lineAndColumn(text, offset) {
+  const before = text.slice(0, offset).split("\n");
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+registerRenderer({
+  name: "json",
+  extensions: ["json"],
+  mime: "application/json",
+  render: renderJson,
+});
+
+// -----------------------------
+// YAML (highlighting + key folding)
+// -----------------------------
+function renderYaml(text) {
+  const lines = splitLines(text).map((raw, i) => ({
+    n: i + 1,
+    raw,
+    indent: raw.match(/^\s*/)[0].length,
+    blank: !raw.trim() || raw.trim().startsWith("#"),
+  }));
+
+  return `<div class="codeLines">${YamlBlock(lines, 0, lines.length)}</div>`;
+}
+
+// Renders lines[from, to): a key line followed by deeper-indented lines folds
+function YamlBlock(lines, from, to) {
+  let html = "";
+  let i = from;
+
+  while (i < to) {
+    const line = lines[i];
+    let end = i + 1;
+
+    if (!line.blank && /:\s*(#.*)?$/.test(line.raw)) {
+      while (
+        end < to &&
+        (lines[end].blank || lines[end].indent > line.indent)
+      ) {
+        end++;
+      }
+      // Trailing blank lines belong to the next sibling, not this block
+      while (end > i + 1 && lines[end - 1].blank) end--;
+    }
+
+    if (end > i + 1) {
+      html += `
+        <details class="codeFold" open>
+          <summary>${CodeLine(line.n, highlightYamlLine(line.raw))}</summary>
+          ${YamlBlock(lines, i + 1, end)}
+        </details>
+      `;
+    } else {
+      html += CodeLine(line.n, highlightYamlLine(line.raw));
+      end = i + 1;
+    }
+    i = end;
+  }
+
+  return html;
+}
+
+function highlightYamlLine(raw) {
+  const commentAt = findYamlComment(raw);
+  const code = commentAt === -1 ? raw : raw.slice(0, commentAt);
+  const comment = commentAt === -1 ? "" : raw.slice(commentAt);
+
+  const match =
+    /^(\s*)(- )?([^\s:"'][^:]*?|"[^"]*"|'[^']*')(:)(\s+|$)(.*)$/.exec(code);
+  let html;
+  if (match) {
+    const [, indent, dash = "", key, colon, gap, value] = match;
+    html = `${indent}${dash ? `<span class="tok-punct">-</span> ` : ""}<span class="tok-key">${escapeHtml(key)}</span><span class="tok-punct">${colon}</span>${gap}${yamlScalar(value)}`;
+  } else {
+    const item = /^(\s*)(- )(.*)$/.exec(code);
+    html = item
+      ? `${item[1]}<span class="tok-punct">-</span> ${yamlScalar(item[3])}`
+      : escapeHtml(code);
+  }
+
+  return comment
+    ? `${html}<span class="tok-comment">${escapeHtml(comment)}</span>`
+    : html;
+}
+
+function findYamlComment(raw) {
+  let quote = null;
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "#" && (i === 0 || /\s/.test(raw[i - 1]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function yamlScalar(value) {
+  const trimmed = value.trim();
+  if (!trimmed) return escapeHtml(value);
+  if (/^(["']).*\1$/.test(trimmed)) {
+    return `<span class="tok-string">${escapeHtml(value)}</span>`;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+    return `<span class="tok-number">${escapeHtml(value)}</span>`;
+  }
+  if (/^(true|false|null|yes|no|on|off|~)$/i.test(trimmed)) {
+    return `<span class="tok-literal">${escapeHtml(value)}</span>`;
+  }
+  return escapeHtml(value);
+}
+
+registerRenderer({
+  name: "yaml",
+  extensions: ["yaml", "yml"],
+  mime: "text/yaml",
+  render: renderYaml,
+});
+
+// -----------------------------
+// Markdown (sanitized HTML)
+// -----------------------------
+// Raw HTML in the source is never passed through: all text is escaped
+// first and only the Markdown constructs below produce tags.
+function renderMarkdown(text) {
+  const lines = splitLines(text);
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (/^```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+      i++; // closing fence
+      out.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      out.push(`<h${level}>${mdInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push("<hr />");
+      i++;
+      continue;
+    }
+
+    if (/^>\s?/.test(line)) {
+      const quote = [];
+      while (i < lines.length && /^>\s?/.test(lines[i])) {
+        quote.push(lines[i++].replace(/^>\s?/, ""));
+      }
+      out.push(`<blockquote>${renderMarkdown(quote.join("\n"))}</blockquote>`);
+      continue;
+    }
+
+    const listMatch = /^\s*([-*+]|\d+\.)\s+/.exec(line);
+    if (listMatch) {
+      const ordered = /\d/.test(listMatch[1]);
+      const itemRe = ordered ? /^\s*\d+\.\s+(.*)$/ : /^\s*[-*+]\s+(.*)$/;
+      const items = [];
+      while (i < lines.length && itemRe.test(lines[i])) {
+        items.push(`<li>${mdInline(itemRe.exec(lines[i++])[1])}</li>`);
+      }
+      const tag = ordered ? "ol" : "ul";
+      out.push(`<${tag}>${items.join("")}</${tag}>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const para = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !/^(#{1,6}\s|```|>|\s*([-*+]|\d+\.)\s+)/.test(lines[i])
+    ) {
+      para.push(lines[i++]);
+    }
+    out.push(`<p>${mdInline(para.join(" "))}</p>`);
+  }
+
+  return out.join("\n");
+}
+
+function mdInline(text) {
+  const codeSpans = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+    codeSpans.push(`<code>${code}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)\)/g, (_, label, href) => {
+      const safe = safeHref(href);
+      return safe
+        ? `<a href="${safe}" target="_blank" rel="noopener noreferrer">${label}</a>`
+        : label;
+    })
+    .replace(
+      /\*\*([^*]+)\*\*|__([^_]+)__/g,
+      (_, a, b) => `<strong>${a || b}</strong>`,
+    )
+    .replace(/\*([^*]+)\*|\b_([^_]+)_\b/g, (_, a, b) => `<em>${a || b}</em>`);
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, i) => codeSpans[Number(i)]);
+}
+
+function safeHref(href) {
+  // href arrives HTML-escaped; only allow web, mail and relative links
+  const decoded = href.replaceAll("&amp;", "&");
+  if (
+    /^(https?:|mailto:)/i.test(decoded) ||
+    !/^[a-z][a-z0-9+.-]*:/i.test(decoded)
+  ) {
+    return href;
+  }
+  return null;
+}
+
+registerRenderer({
+  name: "markdown",
+  extensions: ["md", "markdown"],
+  mime: "text/markdown",
+  render: (text) => `<div class="markdownBody">${renderMarkdown(text)}</div>`,
+});
+
+// -----------------------------
+// Shared helpers
+// -----------------------------
+function CodeLine(number, html, cls = "") {
+  return `<div class="codeLine${cls}"><span class="codeLine__n">${number}</span><span class="codeLine__text">${html || " "}</span></div>`;
+}
+
+function Notice(text, variant = "") {
+  const cls = variant ? ` previewNotice--${variant}` : "";
+  return `<div class="previewNotice${cls}" role="${variant === "error" ? "alert" : "note"}">${escapeHtml(text)}</div>`;
+}
+
+function splitLines(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  if (lines.length > 1 && lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
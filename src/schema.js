@@ -0,0 +1,206 @@
+/**
+ * SecureVault — data.json Schema
+ * ------------------------------------------------------------
+ * Checks vault nodes against the schema below and reports every
+ * problem, each with the JSON path of the offending value:
+ *
+ *   { path: "[0].children[2].size", id: "leg_2", message: "…" }
+ *
+ * `id`, `name` and `type` are required; everything else is optional
+ * but must be well-formed when present. A node with any problem of
+ * its own is "quarantined" together with everything inside it, so
+ * callers can either reject the data (strict) or load the rest of the
+ * tree without it (lenient, see withoutQuarantined).
+ */
+
+import { aclError } from "./access.js";
+import { CHECKSUM_PATTERN } from "./checksum.js";
+import { encryptionParamsError } from "./encryption.js";
+import { parseSize, parseTimestamp } from "./format.js";
+import { METADATA_CHECKS } from "./metadata.js";
+import { authorError, versionsError } from "./versions.js";
+
+// Bumped whenever a field is added or a rule gets stricter
+export const SCHEMA_VERSION = 3;
+
+const REQUIRED_FIELDS = ["id", "name", "type"];
+
+const MIME_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+
+// field -> check(value), returning an error message or null
+const COMMON_FIELDS = {
+  id: (id) =>
+    typeof id === "string" && id ? null : "id must be a non-empty string.",
+  name: validateNodeName,
+  type: (type) =>
+    type === "folder" || type === "file"
+      ? null
+      : "type must be 'folder' or 'file'.",
+  acl: aclError,
+  ...METADATA_CHECKS,
+  created: (date) => dateError("created", date),
+  modified: (date) => dateError("modified", date),
+  accessed: (date) => dateError("accessed", date),
+};
+
+const FOLDER_FIELDS = {
+  children: (children) =>
+    Array.isArray(children) ? null : "children must be an array.",
+};
+
+const FILE_FIELDS = {
+  children: () => "files must not have 'children'.",
+  size: (size) =>
+    typeof size === "string" && parseSize(size) !== null
+      ? null
+      : "size must be a string such as '4.2MB'.",
+  mime: (mime) =>
+    typeof mime === "string" && MIME_PATTERN.test(mime)
+      ? null
+      : "mime must be a MIME type such as 'text/plain'.",
+  src: (src) =>
+    typeof src === "string" && src
+      ? null
+      : "src must be a non-empty URL string.",
+  content: (content) =>
+    typeof content === "string"
+      ? null
+      : "content must be a string (text or data: URL).",
+  checksum: (checksum) =>
+    CHECKSUM_PATTERN.test(checksum)
+      ? null
+      : "checksum must look like 'sha256:<64 hex digits>'.",
+  encryption: encryptionParamsError,
+  blob: (blob) => (blob instanceof Blob ? null : "blob must be a Blob."),
+  author: authorError,
+  versions: versionsError,
+};
+
+/**
+ * Thrown by strict validation; `errors` holds the full report.
+ */
+export class SchemaError extends Error {
+  constructor(errors) {
+    const [first] = errors;
+    super(
+      errors.length === 1
+        ? `${first.path}: ${first.message}`
+        : `${errors.length} problems in the vault data, starting with ${first.path}: ${first.message}`,
+    );
+    this.name = "SchemaError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validates `nodes` (a data.json array) and everything inside them.
+ * `path` prefixes every reported path; `ids` (id -> path) can be shared
+ * between calls so separate lists still need unique ids.
+ *
+ * → { errors, quarantined: [{ path, node, errors }] }
+ */
+export function validateNodes(nodes, { path = "", ids = new Map() } = {}) {
+  const errors = [];
+  const quarantined = [];
+
+  function visit(node, at, holder) {
+    const own = nodeErrors(node, at, ids);
+    if (own.length && !holder) {
+      holder = { path: at, node, errors: [] };
+      quarantined.push(holder);
+    }
+    errors.push(...own);
+    holder?.errors.push(...own);
+
+    if (node?.type === "folder" && Array.isArray(node.children)) {
+      node.children.forEach((child, i) =>
+        visit(child, `${at}.children[${i}]`, holder),
+      );
+    }
+  }
+
+  if (!Array.isArray(nodes)) {
+    errors.push({
+      path: path || "$",
+      id: null,
+      message: "The vault data must be an array of nodes.",
+    });
+    return { errors, quarantined };
+  }
+
+  nodes.forEach((node, i) => visit(node, `${path}[${i}]`, null));
+  return { errors, quarantined };
+}
+
+// Throws a SchemaError listing every problem, if there are any
+export function assertValidNodes(nodes, options) {
+  const { errors } = validateNodes(nodes, options);
+  if (errors.length) throw new SchemaError(errors);
+}
+
+// Drops quarantined nodes from `nodes` and the folders that hold them
+// (children arrays are replaced, the node objects are kept)
+export function withoutQuarantined(nodes, { quarantined }) {
+  const bad = new Set(quarantined.map((entry) => entry.node));
+  const prune = (list) =>
+    list
+      .filter((node) => !bad.has(node))
+      .map((node) => {
+        if (node.type === "folder" && node.children) {
+          node.children = prune(node.children);
+        }
+        return node;
+      });
+  return Array.isArray(nodes) ? prune(nodes) : [];
+}
+
+// Shared by data.json validation and the explorer's rename/create flows.
+// Returns an error message, or null when the name is acceptable.
+export function validateNodeName(name) {
+  if (!name || typeof name !== "string") return "missing string 'name'.";
+  if (!name.trim()) return "name must not be blank.";
+  if (name.includes("/")) return "name must not contain '/'.";
+  if (name === "." || name === "..") return `'${name}' is a reserved name.`;
+  return null;
+}
+
+function nodeErrors(node, at, ids) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    return [{ path: at, id: null, message: "Every node must be an object." }];
+  }
+
+  const id = typeof node.id === "string" && node.id ? node.id : null;
+  const errors = [];
+  const report = (field, message) =>
+    errors.push({ path: `${at}.${field}`, id, message });
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!(field in node)) report(field, `missing required field '${field}'.`);
+  }
+
+  const fields = {
+    ...COMMON_FIELDS,
+    ...(node.type === "folder" ? FOLDER_FIELDS : {}),
+    ...(node.type === "file" ? FILE_FIELDS : {}),
+  };
+  for (const [field, check] of Object.entries(fields)) {
+    if (!(field in node)) continue;
+    const message = check(node[field]);
+    if (message) report(field, message);
+  }
+
+  if (id && ids.has(id)) {
+    report("id", `duplicate id '${id}' (also at ${ids.get(id)}).`);
+  } else if (id) {
+    ids.set(id, at);
+  }
+  return errors;
+}
+
+// Anything the explorer can parse: "2024-01-12", "2024-01-12 08:00" or
+// an ISO 8601 timestamp
+function dateError(field, value) {
+  return parseTimestamp(value)
+    ? null
+    : `${field} must be a date such as '2024-01-12 08:00'.`;
+}
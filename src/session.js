@@ -0,0 +1,77 @@
+/**
+ * SecureVault — Session State
+ * ------------------------------------------------------------
+ * Keeps the explorer where the user left it across reloads.
+ *
+ * The view — which node is open and how — lives in the URL hash, so a
+ * link can point at a file and back/forward step through viewed files:
+ *
+ *   #/preview/<id>   #/details/<id>   #/trash   #/audit   #/diagnostics
+ *
+ * Everything else (expanded folders, focused row, panel widths, the
+ * last tree query) is kept in localStorage under one key per vault.
+ */
+
+const VIEW_MODES = ["preview", "details", "trash", "audit", "diagnostics"];
+const NODELESS_MODES = ["trash", "audit", "diagnostics"]; // no single node
+const SAVE_DELAY = 300; // ms; bursts of renders write once
+
+// "#/details/file_1" → { mode: "details", id: "file_1" }; null otherwise
+export function parseViewHash(hash) {
+  const match = /^#\/([a-z]+)(?:\/(.+))?$/.exec(hash || "");
+  if (!match || !VIEW_MODES.includes(match[1])) return null;
+  if (NODELESS_MODES.includes(match[1])) return { mode: match[1], id: null };
+  if (!match[2]) return null;
+
+  try {
+    return { mode: match[1], id: decodeURIComponent(match[2]) };
+  } catch {
+    return null; // malformed escape sequence
+  }
+}
+
+// The inverse of parseViewHash; "" for views without a hash
+export function viewHash({ mode, id }) {
+  if (NODELESS_MODES.includes(mode)) return `#/${mode}`;
+  if (!VIEW_MODES.includes(mode) || !id) return "";
+  return `#/${mode}/${encodeURIComponent(id)}`;
+}
+
+/**
+ * localStorage-backed preferences. Storage can be full or disabled
+ * (private windows); the explorer then simply starts fresh.
+ */
+export function createSessionStore(key) {
+  let timer = null;
+  let pending = null;
+
+  function write() {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return;
+    try {
+      localStorage.setItem(key, JSON.stringify(pending));
+    } catch {
+      // Nothing to do; the session just won't survive a reload
+    }
+    pending = null;
+  }
+
+  return {
+    load() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(key) || "{}");
+        return saved && typeof saved === "object" ? saved : {};
+      } catch {
+        return {};
+      }
+    },
+
+    save(session) {
+      pending = session;
+      if (!timer) timer = setTimeout(write, SAVE_DELAY);
+    },
+
+    flush: write,
+  };
+}
@@ -0,0 +1,560 @@
+/**
+ * SecureVault — Storage Adapters
+ * ------------------------------------------------------------
+ * The explorer talks to its backing store only through an adapter:
+ *
+ *   listTree()                  -> Promise<Node[]>   top-level nodes
+ *   getNode(id)                 -> Promise<Node|null>
+ *   deleteNode(id)              -> Promise<void>     permanent
+ *   trashNode(id, info?)        -> Promise<void>     move to the trash; `info`
+ *                                  (e.g. { path }) is kept with the entry
+ *   listTrash()                 -> Promise<TrashEntry[]> newest first, each
+ *                                  { node, parentId, deletedAt, ...info }
+ *   restoreNode(id, parentId, name?) -> Promise<void> out of the trash
+ *   purgeNode(id)               -> Promise<void>     delete a trash entry
+ *   renameNode(id, name)        -> Promise<void>
+ *   updateNode(id, patch)       -> Promise<void>     merge metadata fields;
+ *                                  a null value removes the field
+ *   moveNode(id, parentId)      -> Promise<void>
+ *   createFolder(parentId, folder) -> Promise<void>
+ *   createFile(parentId, file, upload?) -> Promise<void>
+ *                                  upload = { blob, onProgress(0..1) } to
+ *                                  store real content with the node
+ *   writeContent(id, blob)      -> Promise<void>     replace a file's content
+ *   addVersion(id, version)     -> Promise<void>     keep the current content
+ *                                  as an earlier version; `version` describes
+ *                                  it ({ id, timestamp, author, size, checksum },
+ *                                  see versions.js) and gets its content reference
+ *   removeVersion(id, versionId) -> Promise<void>
+ *   appendAudit(entry)          -> Promise<void>     add one audit log entry
+ *   listAudit()                 -> Promise<AuditEntry[]> (see audit.js)
+ *   hasContent(node)            -> boolean
+ *   readContent(node, range?)   -> Promise<{ bytes, total, done }> for a
+ *                                  { offset, length } range, else Promise<Blob>
+ *   readVersion(node, version, range?) -> the same, for one of node.versions
+ *
+ * `parentId` is null for the top level. Adapters:
+ *  - static: reads a JSON file; edits last for the session only
+ *  - local:  seeded from the JSON file, edits persisted in IndexedDB
+ *  - rest:   talks to a server at a configurable base URL
+ */
+
+import {
+  contentReference,
+  copyBlob,
+  fetchBlob,
+  fetchRange,
+  hasContentSource,
+  readBlob,
+  readRange,
+} from "./content.js";
+import {
+  addChild,
+  deleteNodeById,
+  findNodeById,
+  findParentOf,
+} from "./tree.js";
+
+export function createStorage(options) {
+  switch (options.adapter) {
+    case "static":
+      return createStaticAdapter({ url: options.url });
+    case "local":
+      return createLocalAdapter({
+        seedUrl: options.url,
+        dbName: options.dbName,
+      });
+    case "rest":
+      return createRestAdapter({ baseUrl: options.baseUrl });
+    default:
+      throw new Error(
+        `Unknown storage adapter '${options.adapter}'. Use 'static', 'local' or 'rest'.`,
+      );
+  }
+}
+
+// -----------------------------
+// Static JSON
+// -----------------------------
+export function createStaticAdapter({ url }) {
+  return createMemoryAdapter({ loadNodes: () => fetchTreeJson(url) });
+}
+
+async function fetchTreeJson(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) {
+    throw new Error(
+      `Failed to load ${url} (HTTP ${res.status}). Make sure data.json is in the project root and you are using a local server.`,
+    );
+  }
+
+  const data = await res.json();
+  if (!Array.isArray(data)) {
+    throw new Error("Invalid data.json: expected an array of nodes.");
+  }
+  return data;
+}
+
+// -----------------------------
+// Local (IndexedDB)
+// -----------------------------
+const IDB_STORE = "vault";
+const IDB_TREE_KEY = "tree";
+const IDB_TRASH_KEY = "trash";
+const IDB_AUDIT_KEY = "audit";
+
+export function createLocalAdapter({ seedUrl, dbName = "securevault" }) {
+  let dbPromise = null;
+  const db = () => (dbPromise ??= openDatabase(dbName));
+
+  return createMemoryAdapter({
+    loadNodes: async () =>
+      (await idbRequest(db(), "readonly", (s) => s.get(IDB_TREE_KEY))) ??
+      (await fetchTreeJson(seedUrl)),
+    loadTrash: async () =>
+      (await idbRequest(db(), "readonly", (s) => s.get(IDB_TRASH_KEY))) ?? [],
+    // Tree and trash are written in one transaction so they never disagree
+    persist: (nodes, trash) =>
+      idbRequest(db(), "readwrite", (s) => {
+        s.put(trash, IDB_TRASH_KEY);
+        return s.put(nodes, IDB_TREE_KEY);
+      }),
+    // The audit log changes far more often than the tree; it has its own key
+    loadAudit: async () =>
+      (await idbRequest(db(), "readonly", (s) => s.get(IDB_AUDIT_KEY))) ?? [],
+    persistAudit: (audit) =>
+      idbRequest(db(), "readwrite", (s) => s.put(audit, IDB_AUDIT_KEY)),
+  });
+}
+
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const req = indexedDB.open(name, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idbRequest(dbPromise, mode, run) {
+  const db = await dbPromise;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, mode);
+    const req = run(tx.objectStore(IDB_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// -----------------------------
+// In-memory tree (static + local)
+// -----------------------------
+function createMemoryAdapter({
+  loadNodes,
+  loadTrash = async () => [],
+  persist = async () => {},
+  loadAudit = async () => [],
+  persistAudit = async () => {},
+}) {
+  let root = null;
+  let trash = null;
+  let audit = null;
+
+  async function tree() {
+    root ??= {
+      id: null,
+      name: "",
+      type: "folder",
+      children: await loadNodes(),
+    };
+    trash ??= await loadTrash();
+    return root;
+  }
+
+  function save() {
+    return persist(root.children, trash);
+  }
+
+  function requireTrashEntry(id) {
+    const entry = trash.find((e) => e.node.id === id);
+    if (!entry) throw new Error(`Not in the trash: ${id}`);
+    return entry;
+  }
+
+  function requireNode(id) {
+    const node = findNodeById(root, id);
+    if (!node || node === root) throw new Error(`Node not found: ${id}`);
+    return node;
+  }
+
+  function requireVersion(node, versionId) {
+    const version = node.versions?.find((v) => v.id === versionId);
+    if (!version) throw new Error(`Version not found: ${versionId}`);
+    return version;
+  }
+
+  function requireFolder(id) {
+    if (id === null) return root;
+    const folder = requireNode(id);
+    if (folder.type !== "folder") throw new Error(`Not a folder: ${id}`);
+    return folder;
+  }
+
+  return {
+    async listTree() {
+      return structuredClone((await tree()).children);
+    },
+
+    async getNode(id) {
+      await tree();
+      const node = findNodeById(root, id);
+      return node && node !== root ? structuredClone(node) : null;
+    },
+
+    async deleteNode(id) {
+      await tree();
+      requireNode(id);
+      deleteNodeById(root, id);
+      await save();
+    },
+
+    async trashNode(id, info = {}) {
+      await tree();
+      const node = requireNode(id);
+      const parent = findParentOf(root, id);
+      deleteNodeById(root, id);
+      trash.unshift({
+        ...structuredClone(info),
+        node,
+        parentId: parent.id,
+        deletedAt: new Date().toISOString(),
+      });
+      await save();
+    },
+
+    async listTrash() {
+      await tree();
+      return structuredClone(trash);
+    },
+
+    async restoreNode(id, parentId, name) {
+      await tree();
+      const entry = requireTrashEntry(id);
+      const target = requireFolder(parentId);
+      trash.splice(trash.indexOf(entry), 1);
+      if (name) entry.node.name = name;
+      addChild(target, entry.node);
+      await save();
+    },
+
+    async purgeNode(id) {
+      await tree();
+      trash.splice(trash.indexOf(requireTrashEntry(id)), 1);
+      await save();
+    },
+
+    async renameNode(id, name) {
+      await tree();
+      requireNode(id).name = name;
+      await save();
+    },
+
+    async updateNode(id, patch) {
+      await tree();
+      const node = requireNode(id);
+      for (const [field, value] of Object.entries(structuredClone(patch))) {
+        if (value === null) delete node[field];
+        else node[field] = value;
+      }
+      await save();
+    },
+
+    async moveNode(id, parentId) {
+      await tree();
+      const node = requireNode(id);
+      const target = requireFolder(parentId);
+      if (target === node || findNodeById(node, target.id)) {
+        throw new Error(`Cannot move '${node.name}' into itself.`);
+      }
+      deleteNodeById(root, id);
+      addChild(target, node);
+      await save();
+    },
+
+    async createFolder(parentId, folder) {
+      await tree();
+      addChild(requireFolder(parentId), structuredClone(folder));
+      await save();
+    },
+
+    async createFile(parentId, file, upload) {
+      await tree();
+      const folder = requireFolder(parentId);
+      const stored = structuredClone(file);
+      if (upload) stored.blob = await copyBlob(upload.blob, upload.onProgress);
+      addChild(folder, stored);
+      await save();
+    },
+
+    async writeContent(id, blob) {
+      await tree();
+      const node = requireNode(id);
+      node.blob = blob;
+      delete node.src;
+      delete node.content;
+      await save();
+    },
+
+    async addVersion(id, version) {
+      await tree();
+      const node = requireNode(id);
+      if (node.versions?.some((v) => v.id === version.id)) {
+        throw new Error(`Duplicate version id: ${version.id}`);
+      }
+      // Blobs never change, so the version can share the current one
+      const kept = { ...structuredClone(version), ...contentReference(node) };
+      node.versions = [kept, ...(node.versions || [])];
+      await save();
+    },
+
+    async removeVersion(id, versionId) {
+      await tree();
+      const node = requireNode(id);
+      const version = requireVersion(node, versionId);
+      node.versions = node.versions.filter((v) => v !== version);
+      if (!node.versions.length) delete node.versions;
+      await save();
+    },
+
+    async appendAudit(entry) {
+      audit ??= await loadAudit();
+      audit.push(structuredClone(entry));
+      await persistAudit(audit);
+    },
+
+    async listAudit() {
+      audit ??= await loadAudit();
+      return structuredClone(audit);
+    },
+
+    hasContent: hasContentSource,
+
+    readContent(node, range) {
+      return range
+        ? readRange(node, range.offset, range.length)
+        : readBlob(node);
+    },
+
+    // Versions name their content the way files do
+    readVersion(node, version, range) {
+      return range
+        ? readRange(version, range.offset, range.length)
+        : readBlob(version);
+    },
+  };
+}
+
+// -----------------------------
+// REST
+// -----------------------------
+/**
+ * Expected endpoints, relative to baseUrl:
+ *   GET    /tree                  -> Node[]; a file or version whose bytes
+ *                                 were uploaded (PUT) carries hasContent: true
+ *   GET    /nodes/:id             -> Node
+ *   DELETE /nodes/:id
+ *   POST   /nodes/:id/trash       { path }
+ *   GET    /trash                 -> TrashEntry[]
+ *   POST   /trash/:id/restore     { parentId, name? }
+ *   DELETE /trash/:id
+ *   PATCH  /nodes/:id             { name } or other metadata fields (null removes one)
+ *   POST   /nodes/:id/move        { parentId }
+ *   POST   /nodes                 { parentId, node }
+ *   GET    /nodes/:id/content     (honours Range)
+ *   PUT    /nodes/:id/content     raw file body
+ *   POST   /nodes/:id/versions    { id, timestamp, author?, size?, checksum? }
+ *                                 keeps the current content under that version
+ *   DELETE /nodes/:id/versions/:versionId
+ *   GET    /nodes/:id/versions/:versionId/content (honours Range)
+ *   GET    /audit                 -> AuditEntry[]
+ *   POST   /audit                 AuditEntry
+ */
+export function createRestAdapter({ baseUrl, headers = {} }) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const nodePath = (id) => `/nodes/${encodeURIComponent(id)}`;
+  const trashPath = (id) => `/trash/${encodeURIComponent(id)}`;
+
+  async function request(method, path, body) {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      cache: "no-store",
+      headers: body
+        ? { ...headers, "Content-Type": "application/json" }
+        : headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!res.ok) {
+      const err = new Error(
+        `${method} ${base}${path} failed (HTTP ${res.status}).`,
+      );
+      err.status = res.status;
+      throw err;
+    }
+    const text = await res.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  return {
+    async listTree() {
+      const data = await request("GET", "/tree");
+      if (!Array.isArray(data)) {
+        throw new Error(
+          `Invalid response from ${base}/tree: expected an array of nodes.`,
+        );
+      }
+      return data;
+    },
+
+    async getNode(id) {
+      try {
+        return await request("GET", nodePath(id));
+      } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+      }
+    },
+
+    async deleteNode(id) {
+      await request("DELETE", nodePath(id));
+    },
+
+    async trashNode(id, info = {}) {
+      await request("POST", `${nodePath(id)}/trash`, info);
+    },
+
+    async listTrash() {
+      const data = await request("GET", "/trash");
+      if (!Array.isArray(data)) {
+        throw new Error(
+          `Invalid response from ${base}/trash: expected an array of entries.`,
+        );
+      }
+      return data;
+    },
+
+    async restoreNode(id, parentId, name) {
+      await request("POST", `${trashPath(id)}/restore`, { parentId, name });
+    },
+
+    async purgeNode(id) {
+      await request("DELETE", trashPath(id));
+    },
+
+    async renameNode(id, name) {
+      await request("PATCH", nodePath(id), { name });
+    },
+
+    async updateNode(id, patch) {
+      await request("PATCH", nodePath(id), patch);
+    },
+
+    async moveNode(id, parentId) {
+      await request("POST", `${nodePath(id)}/move`, { parentId });
+    },
+
+    async createFolder(parentId, folder) {
+      await request("POST", "/nodes", { parentId, node: folder });
+    },
+
+    async createFile(parentId, file, upload) {
+      await request("POST", "/nodes", { parentId, node: file });
+      if (upload) {
+        await putWithProgress(
+          `${base}${nodePath(file.id)}/content`,
+          upload.blob,
+          headers,
+          upload.onProgress,
+        );
+      }
+    },
+
+    async writeContent(id, blob) {
+      await putWithProgress(`${base}${nodePath(id)}/content`, blob, headers);
+    },
+
+    async addVersion(id, version) {
+      await request("POST", `${nodePath(id)}/versions`, version);
+    },
+
+    async removeVersion(id, versionId) {
+      await request(
+        "DELETE",
+        `${nodePath(id)}/versions/${encodeURIComponent(versionId)}`,
+      );
+    },
+
+    async appendAudit(entry) {
+      await request("POST", "/audit", entry);
+    },
+
+    async listAudit() {
+      const data = await request("GET", "/audit");
+      if (!Array.isArray(data)) {
+        throw new Error(
+          `Invalid response from ${base}/audit: expected an array of entries.`,
+        );
+      }
+      return data;
+    },
+
+    // The server marks the files and versions it holds uploaded bytes for
+    hasContent: (node) =>
+      hasContentSource(node) ||
+      (node?.type === "file" && node.hasContent === true),
+
+    readContent(node, range) {
+      const url = `${base}${nodePath(node.id)}/content`;
+      return range
+        ? fetchRange(url, range.offset, range.length, headers)
+        : fetchBlob(url, headers);
+    },
+
+    readVersion(node, version, range) {
+      const url = `${base}${nodePath(node.id)}/versions/${encodeURIComponent(version.id)}/content`;
+      return range
+        ? fetchRange(url, range.offset, range.length, headers)
+        : fetchBlob(url, headers);
+    },
+  };
+}
+
+// fetch() cannot report upload progress, so uploads go through XHR
+function putWithProgress(url, blob, headers, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("PUT", url);
+    for (const [name, value] of Object.entries(headers)) {
+      xhr.setRequestHeader(name, value);
+    }
+    if (blob.type) xhr.setRequestHeader("Content-Type", blob.type);
+
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        onProgress(1);
+        resolve();
+      } else {
+        reject(new Error(`PUT ${url} failed (HTTP ${xhr.status}).`));
+      }
+    };
+    xhr.onerror = () => reject(new Error(`PUT ${url} failed (network error).`));
+    xhr.send(blob);
+  });
+}
@@ -0,0 +1,72 @@
+/**
+ * SecureVault — Tags
+ * ------------------------------------------------------------
+ * Tags are defined once for the vault (config.js), each with a chip
+ * colour and whether folders pass it on:
+ *
+ *   { name: "PII", color: "#ef4444", inherit: true }
+ *
+ * Nodes list their own tags in `tags` (see metadata.js). A folder's
+ * inheritable tags also apply to everything inside it, so a file
+ * "has" its own tags plus those of its folders. Tags on a node that
+ * are not defined still show, without a colour.
+ */
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * `parentOf(node)` walks up the tree; results are cached until reset(),
+ * which must be called whenever nodes move or their tags change.
+ *
+ * tagsOf(node) → [{ name, color, from, inherited }]
+ *   color      "#rrggbb", or null for a tag that is not defined
+ *   from       node the tag is set on (the node itself unless inherited)
+ */
+export function createTagResolver(definitions, { parentOf }) {
+  const byName = new Map();
+  for (const tag of definitions) {
+    byName.set(tag.name.toLowerCase(), {
+      name: tag.name,
+      color: COLOR_PATTERN.test(tag.color) ? tag.color : null,
+      inherit: Boolean(tag.inherit),
+    });
+  }
+  const cache = new Map(); // node id -> tags
+
+  function tagsOf(node) {
+    const cached = cache.get(node.id);
+    if (cached) return cached;
+
+    const own = (node.tags || []).map((name) => {
+      const definition = byName.get(name.toLowerCase());
+      return {
+        name: definition?.name ?? name,
+        color: definition?.color ?? null,
+        from: node,
+        inherited: false,
+      };
+    });
+
+    const parent = parentOf(node);
+    const seen = new Set(own.map((tag) => tag.name.toLowerCase()));
+    const inherited = (parent ? tagsOf(parent) : []).filter(
+      (tag) =>
+        byName.get(tag.name.toLowerCase())?.inherit &&
+        !seen.has(tag.name.toLowerCase()),
+    );
+
+    const result = [
+      ...own,
+      ...inherited.map((tag) => ({ ...tag, inherited: true })),
+    ];
+    cache.set(node.id, result);
+    return result;
+  }
+
+  return {
+    definitions: [...byName.values()],
+    get: (name) => byName.get(name.toLowerCase()) ?? null,
+    tagsOf,
+    reset: () => cache.clear(),
+  };
+}
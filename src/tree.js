@@ -0,0 +1,114 @@
+/**
+ * SecureVault — Tree Helpers
+ * ------------------------------------------------------------
+ * Plain functions over { id, name, type, children } nodes, shared by
+ * the UI and the storage adapters. `root` is any folder node; the
+ * adapters wrap their top-level array in a folder for these calls.
+ */
+
+export function walk(root, cb, parents = []) {
+  cb(root, parents);
+  if (root.type === "folder" && Array.isArray(root.children)) {
+    for (const child of root.children) {
+      walk(child, cb, [...parents, root]);
+    }
+  }
+}
+
+export function findNodeById(root, id) {
+  let found = null;
+  walk(root, (node) => {
+    if (node.id === id) found = node;
+  });
+  return found;
+}
+
+export function findParentOf(root, childId) {
+  let parent = null;
+  walk(root, (node) => {
+    if (
+      node.type === "folder" &&
+      node.children?.some((c) => c.id === childId)
+    ) {
+      parent = node;
+    }
+  });
+  return parent;
+}
+
+export function deleteNodeById(root, targetId) {
+  if (!targetId) return false;
+
+  if (root.type !== "folder" || !Array.isArray(root.children)) return false;
+
+  const idx = root.children.findIndex((c) => c.id === targetId);
+  if (idx >= 0) {
+    root.children.splice(idx, 1);
+    return true;
+  }
+
+  for (const child of root.children) {
+    if (child.type === "folder") {
+      const removed = deleteNodeById(child, targetId);
+      if (removed) return true;
+    }
+  }
+
+  return false;
+}
+
+export function addChild(folder, node, index = folder.children?.length ?? 0) {
+  if (folder.type !== "folder") {
+    throw new Error(
+      `Cannot add '${node.name}': '${folder.name}' is not a folder.`,
+    );
+  }
+  folder.children ??= [];
+  folder.children.splice(index, 0, node);
+}
+
+/**
+ * Keeps id -> node and id -> parent maps so lookups don't walk the tree.
+ * Structural changes must go through attach/detach to keep it current;
+ * renames and other field edits need no bookkeeping.
+ */
+export function createNodeIndex(root) {
+  const nodes = new Map();
+  const parents = new Map();
+
+  const add = (node, parent) => {
+    walk(node, (n, chain) => {
+      nodes.set(n.id, n);
+      parents.set(n.id, chain.length ? chain[chain.length - 1] : parent);
+    });
+  };
+  add(root, null);
+
+  return {
+    get: (id) => nodes.get(id) ?? null,
+    parentOf: (id) => parents.get(id) ?? null,
+
+    get size() {
+      return nodes.size;
+    },
+
+    attach(folder, node, index) {
+      addChild(folder, node, index);
+      add(node, folder);
+    },
+
+    // Removes a node and its subtree; returns it, or null when unknown
+    detach(id) {
+      const node = nodes.get(id);
+      const parent = parents.get(id);
+      if (!node || !parent) return null;
+
+      parent.children.splice(parent.children.indexOf(node), 1);
+      walk(node, (n) => {
+        nodes.delete(n.id);
+        parents.delete(n.id);
+      });
+      return node;
+    },
+  };
+}
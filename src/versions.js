@@ -0,0 +1,104 @@
+/**
+ * SecureVault — File Versions
+ * ------------------------------------------------------------
+ * A file keeps its earlier contents in `versions`, newest first; the
+ * file's own content is always the current version:
+ *
+ *   "author": "Dev_Jake",             // who wrote the current content
+ *   "versions": [
+ *     { "id": "ver_2", "timestamp": "2025-03-02 09:15", "author": "Admin_Sara",
+ *       "size": "41KB", "checksum": "sha256:…", "src": "./files/…" },
+ *     { "id": "ver_1", "timestamp": "2025-02-20 16:40", "content": "…" }
+ *   ]
+ *
+ * Each version points at its content like a file does (`src`, inline
+ * `content`, or a stored `blob`); one without any only lists what it
+ * was. `timestamp` is when that content was written. Uploading a new
+ * version or restoring an old one moves the current content into the
+ * list first, so nothing is ever overwritten.
+ */
+
+import { CHECKSUM_PATTERN } from "./checksum.js";
+import { parseSize, parseTimestamp } from "./format.js";
+
+const ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// field -> check(value), returning an error message or null
+const VERSION_FIELDS = {
+  id: (id) =>
+    typeof id === "string" && ID_PATTERN.test(id)
+      ? null
+      : "id must be 1–64 letters, digits, '.', '-' or '_'.",
+  timestamp: (value) =>
+    parseTimestamp(value)
+      ? null
+      : "timestamp must be a date such as '2024-01-12 08:00'.",
+  author: authorError,
+  size: (size) =>
+    typeof size === "string" && parseSize(size) !== null
+      ? null
+      : "size must be a string such as '4.2MB'.",
+  checksum: (checksum) =>
+    CHECKSUM_PATTERN.test(checksum)
+      ? null
+      : "checksum must look like 'sha256:<64 hex digits>'.",
+  src: (src) =>
+    typeof src === "string" && src
+      ? null
+      : "src must be a non-empty URL string.",
+  content: (content) =>
+    typeof content === "string"
+      ? null
+      : "content must be a string (text or data: URL).",
+  blob: (blob) => (blob instanceof Blob ? null : "blob must be a Blob."),
+};
+
+// For the file's own `author`
+export function authorError(author) {
+  return typeof author === "string" && author.trim()
+    ? null
+    : "author must be a non-empty string.";
+}
+
+// The first problem with a `versions` list, or null
+export function versionsError(versions) {
+  if (!Array.isArray(versions)) return "versions must be an array.";
+
+  const ids = new Set();
+  for (const [i, version] of versions.entries()) {
+    if (!version || typeof version !== "object" || Array.isArray(version)) {
+      return `versions[${i}] must be an object.`;
+    }
+    for (const field of ["id", "timestamp"]) {
+      if (!(field in version)) {
+        return `versions[${i}] is missing '${field}'.`;
+      }
+    }
+    for (const [field, check] of Object.entries(VERSION_FIELDS)) {
+      const message = field in version ? check(version[field]) : null;
+      if (message) return `versions[${i}].${message}`;
+    }
+    if (ids.has(version.id)) {
+      return `versions[${i}] repeats the id '${version.id}'.`;
+    }
+    ids.add(version.id);
+  }
+  return null;
+}
+
+export function createVersionId(versions = []) {
+  let id;
+  do {
+    const rand = Math.random().toString(36).slice(2, 8);
+    id = `ver_${Date.now().toString(36)}${rand}`;
+  } while (versions.some((version) => version.id === id));
+  return id;
+}
+
+// Versions are numbered from the oldest (v1); the current content
+// comes after the last stored one
+export function versionNumber(node, version) {
+  const versions = node.versions || [];
+  const index = version ? versions.indexOf(version) : -1;
+  return index === -1 ? versions.length + 1 : versions.length - index;
+}
@@ -0,0 +1,113 @@
+/**
+ * SecureVault — ZIP Archives
+ * ------------------------------------------------------------
+ * Builds a .zip file in the browser, for downloading a folder:
+ *
+ *   await createZip([
+ *     { path: "Reports/" },                                // folder
+ *     { path: "Reports/q1.pdf", blob, date },              // file
+ *   ]);
+ *
+ * Entries are stored without compression — vault files are mostly
+ * compressed or encrypted already — and names are UTF-8. Archives are
+ * limited to 4 GiB and 65,535 entries (no ZIP64).
+ */
+
+const ZIP_LIMIT = 0xffffffff;
+const ENTRY_LIMIT = 0xffff;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export async function createZip(entries) {
+  if (entries.length > ENTRY_LIMIT) {
+    throw new Error(`A ZIP archive holds at most ${ENTRY_LIMIT} entries.`);
+  }
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { path, blob, date = new Date() } of entries) {
+    const name = encoder.encode(path);
+    const data = blob
+      ? new Uint8Array(await blob.arrayBuffer())
+      : new Uint8Array();
+    const crc = crc32(data);
+    const [time, day] = dosDateTime(date);
+
+    if (offset + data.length > ZIP_LIMIT) {
+      throw new Error("The folder is too large for a ZIP archive (4 GiB).");
+    }
+
+    const local = header(30, name);
+    local.view.setUint32(0, 0x04034b50, true); // local file header
+    local.view.setUint16(4, 20, true); // version needed (2.0)
+    local.view.setUint16(6, UTF8_FLAG, true);
+    local.view.setUint16(8, 0, true); // stored
+    local.view.setUint16(10, time, true);
+    local.view.setUint16(12, day, true);
+    local.view.setUint32(14, crc, true);
+    local.view.setUint32(18, data.length, true);
+    local.view.setUint32(22, data.length, true);
+    local.view.setUint16(26, name.length, true);
+
+    const record = header(46, name);
+    record.view.setUint32(0, 0x02014b50, true); // central directory header
+    record.view.setUint16(4, 20, true); // version made by
+    record.view.setUint16(6, 20, true);
+    record.view.setUint16(8, UTF8_FLAG, true);
+    record.view.setUint16(12, time, true);
+    record.view.setUint16(14, day, true);
+    record.view.setUint32(16, crc, true);
+    record.view.setUint32(20, data.length, true);
+    record.view.setUint32(24, data.length, true);
+    record.view.setUint16(28, name.length, true);
+    // MS-DOS directory attribute, so empty folders extract as folders
+    record.view.setUint32(38, path.endsWith("/") ? 0x10 : 0, true);
+    record.view.setUint32(42, offset, true);
+
+    parts.push(local.bytes, data);
+    central.push(record.bytes);
+    offset += local.bytes.length + data.length;
+  }
+
+  const size = central.reduce((sum, bytes) => sum + bytes.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: "application/zip" });
+}
+
+// A fixed-size header followed by the entry name
+function header(size, name) {
+  const bytes = new Uint8Array(size + name.length);
+  bytes.set(name, size);
+  return { bytes, view: new DataView(bytes.buffer) };
+}
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ZIP stores local time with 2-second precision, from 1980 on
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return [
+    (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  ];
+}
@@ -0,0 +1,135 @@
+/**
+ * SecureVault — Benchmark Fixture Generator
+ * ------------------------------------------------------------
+ * Writes a synthetic data.json with a given number of nodes, for
+ * trying the explorer against large vaults:
+ *
+ *   node tools/generate-fixture.mjs [nodes] [output] [seed]
+ *   node tools/generate-fixture.mjs 50000 data.large.json
+ *   open http://localhost:4000/index.html?data=./data.large.json
+ *
+ * The same seed always produces the same tree. Folders hold up to 24
+ * children and nest up to 8 levels; files get realistic names, sizes
+ * and dates but no content.
+ */
+
+import { writeFile } from "node:fs/promises";
+
+const total = Number(process.argv[2]) || 50_000;
+const output = process.argv[3] || "data.large.json";
+const random = mulberry32(Number(process.argv[4]) || 1);
+
+const MAX_DEPTH = 8;
+const FOLDER_WORDS = [
+  "Legal",
+  "Finance",
+  "Security",
+  "Audit",
+  "Archive",
+  "Contracts",
+  "Reports",
+  "Incidents",
+  "Payroll",
+  "Vendors",
+  "Backups",
+  "Projects",
+];
+const FILE_WORDS = [
+  "invoice",
+  "summary",
+  "access",
+  "statement",
+  "policy",
+  "notes",
+  "export",
+  "evidence",
+  "config",
+  "release",
+  "minutes",
+  "draft",
+];
+const EXTENSIONS = [
+  "pdf",
+  "docx",
+  "txt",
+  "log",
+  "md",
+  "json",
+  "yaml",
+  "png",
+  "csv",
+];
+const SIZE_UNITS = ["KB", "KB", "KB", "MB", "MB", "GB"];
+
+let nextId = 1;
+let remaining = total;
+
+function pick(list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function file() {
+  const id = nextId++;
+  const unit = pick(SIZE_UNITS);
+  const amount =
+    unit === "GB" ? (random() * 4).toFixed(1) : Math.ceil(random() * 900);
+  const day = new Date(
+    Date.UTC(2022, 0, 1) + Math.floor(random() * 1200) * 86_400_000,
+  );
+  const date = day.toISOString().slice(0, 10);
+
+  return {
+    id: `gen_${id}`,
+    name: `${pick(FILE_WORDS)}_${id}.${pick(EXTENSIONS)}`,
+    type: "file",
+    size: `${amount}${unit}`,
+    created: `${date} 09:00`,
+    modified: `${date} 17:30`,
+  };
+}
+
+function folder(depth) {
+  const id = nextId++;
+  const node = {
+    id: `gen_${id}`,
+    name: `${String(id).padStart(2, "0")}_${pick(FOLDER_WORDS)}`,
+    type: "folder",
+    children: [],
+  };
+  pending.push({ node, depth });
+  return node;
+}
+
+// Folders are filled breadth-first so the budget spreads over the
+// whole tree instead of one deep branch
+const TOP_LEVEL_FOLDERS = 8;
+const pending = [];
+const nodes = [];
+
+for (let i = 0; i < TOP_LEVEL_FOLDERS && remaining > 0; i++) {
+  remaining--;
+  nodes.push(folder(1));
+}
+
+for (let next = 0; remaining > 0 && next < pending.length; next++) {
+  const { node, depth } = pending[next];
+  const count = 4 + Math.floor(random() * 21);
+  for (let i = 0; i < count && remaining > 0; i++) {
+    remaining--;
+    const subfolder = depth < MAX_DEPTH && random() < 0.3;
+    node.children.push(subfolder ? folder(depth + 1) : file());
+  }
+}
+
+await writeFile(output, JSON.stringify(nodes));
+console.log(`Wrote ${total} nodes to ${output}`);
+
+// Small seeded PRNG so fixtures are reproducible
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
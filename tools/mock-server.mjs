@@ -0,0 +1,359 @@
+/**
+ * SecureVault — Mock REST Server
+ * ------------------------------------------------------------
+ * A dependency-free server for trying the REST storage adapter:
+ *
+ *   node tools/mock-server.mjs [port]
+ *   open http://localhost:4000/index.html?storage=rest&api=/api
+ *
+ * It serves the project files and implements the endpoints listed in
+ * src/storage.js against an in-memory copy of data.json. Edits are
+ * lost when the server stops.
+ */
+
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { extname, isAbsolute, join, normalize, relative, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const PORT = Number(process.argv[2]) || 4000;
+
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+};
+
+const uploads = new Map(); // node id -> Buffer written through PUT content
+const versionUploads = new Map(); // "<node id>/<version id>" -> Buffer
+const trash = []; // { node, parentId, deletedAt, path }, newest first
+const audit = []; // audit log entries, oldest first
+
+const tree = {
+  id: null,
+  type: "folder",
+  children: JSON.parse(await readFile(join(ROOT, "data.json"), "utf8")),
+};
+
+// -----------------------------
+// Tree helpers
+// -----------------------------
+function find(id, node = tree, parent = null) {
+  if (node.id === id) return { node, parent };
+  for (const child of node.children || []) {
+    const hit = find(id, child, node);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+function forgetUploads(node) {
+  uploads.delete(node.id);
+  forgetVersions(node);
+  for (const child of node.children || []) forgetUploads(child);
+}
+
+function forgetVersions(node) {
+  for (const version of node.versions || []) {
+    versionUploads.delete(`${node.id}/${version.id}`);
+  }
+}
+
+function detach(id) {
+  const hit = find(id);
+  if (!hit || !hit.parent) return null;
+  hit.parent.children = hit.parent.children.filter((c) => c.id !== id);
+  return hit.node;
+}
+
+// -----------------------------
+// Routes
+// -----------------------------
+async function handleApi(req, res, path) {
+  if (req.method === "GET" && path === "/tree") {
+    return sendJson(res, 200, tree.children);
+  }
+
+  if (req.method === "POST" && path === "/nodes") {
+    const { parentId, node } = await readJson(req);
+    const parent = find(parentId ?? null);
+    if (!parent || parent.node.type !== "folder") {
+      return sendJson(res, 404, { error: "Parent folder not found" });
+    }
+    if (find(node.id)) return sendJson(res, 409, { error: "Duplicate id" });
+    (parent.node.children ??= []).push(node);
+    return sendJson(res, 201, node);
+  }
+
+  if (req.method === "GET" && path === "/trash") {
+    return sendJson(res, 200, trash);
+  }
+
+  if (path === "/audit") {
+    if (req.method === "GET") return sendJson(res, 200, audit);
+    if (req.method === "POST") {
+      const entry = await readJson(req);
+      audit.push(entry);
+      return sendJson(res, 201, entry);
+    }
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  const trashMatch = /^\/trash\/([^/]+)(\/restore)?$/.exec(path);
+  if (trashMatch) {
+    const id = decodeURIComponent(trashMatch[1]);
+    const index = trash.findIndex((e) => e.node.id === id);
+    if (index < 0) return sendJson(res, 404, { error: "Not in trash" });
+    const entry = trash[index];
+
+    if (trashMatch[2] && req.method === "POST") {
+      const { parentId, name } = await readJson(req);
+      const target = find(parentId ?? null);
+      if (!target || target.node.type !== "folder") {
+        return sendJson(res, 404, { error: "Target folder not found" });
+      }
+      trash.splice(index, 1);
+      if (typeof name === "string" && name) entry.node.name = name;
+      (target.node.children ??= []).push(entry.node);
+      return sendJson(res, 200, entry.node);
+    }
+
+    if (!trashMatch[2] && req.method === "DELETE") {
+      trash.splice(index, 1);
+      forgetUploads(entry.node);
+      res.writeHead(204).end();
+      return;
+    }
+
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  const versionMatch =
+    /^\/nodes\/([^/]+)\/versions(?:\/([^/]+)(\/content)?)?$/.exec(path);
+  if (versionMatch) return handleVersions(req, res, versionMatch);
+
+  const match = /^\/nodes\/([^/]+)(\/move|\/content|\/trash)?$/.exec(path);
+  if (!match) return sendJson(res, 404, { error: "Not found" });
+
+  const id = decodeURIComponent(match[1]);
+  const hit = find(id);
+  if (!hit || !hit.parent) return sendJson(res, 404, { error: "Not found" });
+
+  if (match[2] === "/content" && req.method === "GET") {
+    return sendContent(req, res, await contentOf(hit.node, uploads.get(id)));
+  }
+
+  if (match[2] === "/content" && req.method === "PUT") {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    uploads.set(id, Buffer.concat(chunks));
+    hit.node.hasContent = true;
+    res.writeHead(204).end();
+    return;
+  }
+
+  if (match[2] === "/trash" && req.method === "POST") {
+    const { path: originalPath } = await readJson(req);
+    trash.unshift({
+      node: detach(id),
+      parentId: hit.parent.id,
+      deletedAt: new Date().toISOString(),
+      path: originalPath,
+    });
+    res.writeHead(204).end();
+    return;
+  }
+
+  if (match[2] === "/move" && req.method === "POST") {
+    const { parentId } = await readJson(req);
+    const target = find(parentId ?? null);
+    if (!target || target.node.type !== "folder") {
+      return sendJson(res, 404, { error: "Target folder not found" });
+    }
+    if (find(target.node.id, hit.node)) {
+      return sendJson(res, 409, { error: "Cannot move a folder into itself" });
+    }
+    (target.node.children ??= []).push(detach(id));
+    return sendJson(res, 200, hit.node);
+  }
+
+  if (!match[2] && req.method === "GET") return sendJson(res, 200, hit.node);
+
+  if (!match[2] && req.method === "PATCH") {
+    // id, type and children are structural and only change through moves
+    const { id: _id, type, children, ...patch } = await readJson(req);
+    if ("name" in patch && !(typeof patch.name === "string" && patch.name)) {
+      delete patch.name;
+    }
+    if (patch.versions === null) forgetVersions(hit.node);
+    for (const [field, value] of Object.entries(patch)) {
+      if (value === null) delete hit.node[field];
+      else hit.node[field] = value;
+    }
+    return sendJson(res, 200, hit.node);
+  }
+
+  if (!match[2] && req.method === "DELETE") {
+    forgetUploads(detach(id));
+    res.writeHead(204).end();
+    return;
+  }
+
+  sendJson(res, 405, { error: "Method not allowed" });
+}
+
+// POST   /nodes/:id/versions                 keep the current content
+// DELETE /nodes/:id/versions/:versionId
+// GET    /nodes/:id/versions/:versionId/content
+async function handleVersions(req, res, [, nodeId, versionId, content]) {
+  const id = decodeURIComponent(nodeId);
+  const hit = find(id);
+  if (!hit || !hit.parent || hit.node.type !== "file") {
+    return sendJson(res, 404, { error: "Not found" });
+  }
+  const node = hit.node;
+
+  if (!versionId && req.method === "POST") {
+    const version = await readJson(req);
+    if (typeof version.id !== "string" || !version.id) {
+      return sendJson(res, 400, { error: "A version needs an id" });
+    }
+    if ((node.versions || []).some((v) => v.id === version.id)) {
+      return sendJson(res, 409, { error: "Duplicate version id" });
+    }
+    // The content moves with the version: an upload is copied, a file
+    // reference is kept as it was
+    const key = `${id}/${version.id}`;
+    if (uploads.has(id)) {
+      versionUploads.set(key, uploads.get(id));
+      version.hasContent = true;
+    } else {
+      if (node.src) version.src = node.src;
+      if (typeof node.content === "string") version.content = node.content;
+    }
+    node.versions = [version, ...(node.versions || [])];
+    return sendJson(res, 201, version);
+  }
+
+  const version = (node.versions || []).find(
+    (v) => v.id === decodeURIComponent(versionId ?? ""),
+  );
+  if (!version) return sendJson(res, 404, { error: "Version not found" });
+  const key = `${id}/${version.id}`;
+
+  if (content && req.method === "GET") {
+    return sendContent(
+      req,
+      res,
+      await contentOf(version, versionUploads.get(key)),
+    );
+  }
+
+  if (!content && req.method === "DELETE") {
+    node.versions = node.versions.filter((v) => v !== version);
+    if (!node.versions.length) delete node.versions;
+    versionUploads.delete(key);
+    res.writeHead(204).end();
+    return;
+  }
+
+  sendJson(res, 405, { error: "Method not allowed" });
+}
+
+// A node or version's bytes: an upload wins over `src` and `content`
+async function contentOf(entry, upload) {
+  if (upload) return upload;
+  const file = entry.src
+    ? await readFile(safePath(entry.src)).catch(() => null)
+    : null;
+  if (file) return file;
+  return typeof entry.content === "string" ? Buffer.from(entry.content) : null;
+}
+
+async function sendContent(req, res, body) {
+  if (!body) return sendJson(res, 404, { error: "No content" });
+
+  const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+  if (!range) {
+    res.writeHead(200, { "Content-Length": body.length });
+    res.end(body);
+    return;
+  }
+
+  const start = Number(range[1]);
+  if (start >= body.length) {
+    res.writeHead(416, { "Content-Range": `bytes */${body.length}` });
+    res.end();
+    return;
+  }
+  const end = Math.min(body.length - 1, range[2] ? Number(range[2]) : Infinity);
+  res.writeHead(206, {
+    "Content-Range": `bytes ${start}-${end}/${body.length}`,
+    "Content-Length": Math.max(0, end - start + 1),
+  });
+  res.end(body.subarray(start, end + 1));
+}
+
+async function serveStatic(res, path) {
+  try {
+    const file = safePath(path === "/" ? "/index.html" : path);
+    const body = await readFile(file);
+    res.writeHead(200, {
+      "Content-Type": STATIC_TYPES[extname(file)] || "application/octet-stream",
+    });
+    res.end(body);
+  } catch {
+    sendJson(res, 404, { error: "Not found" });
+  }
+}
+
+// -----------------------------
+// Utilities
+// -----------------------------
+function safePath(urlPath) {
+  const file = normalize(join(ROOT, decodeURIComponent(urlPath)));
+  // A prefix check would let /root/tree-other through for /root/tree
+  const rel = relative(ROOT, file);
+  if (rel === ".." || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+    throw new Error("Path escapes project root");
+  }
+  return file;
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+async function readJson(req) {
+  let raw = "";
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
+createServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Range");
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    "GET, POST, PUT, PATCH, DELETE",
+  );
+  res.setHeader("Access-Control-Expose-Headers", "Content-Range");
+  if (req.method === "OPTIONS") return res.writeHead(204).end();
+
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  try {
+    if (pathname.startsWith("/api/")) {
+      await handleApi(req, res, pathname.slice(4));
+    } else {
+      await serveStatic(res, pathname);
+    }
+  } catch (err) {
+    sendJson(res, 500, { error: err.message });
+  }
+}).listen(PORT, () => {
+  console.log(`SecureVault mock server on http://localhost:${PORT}`);
+});